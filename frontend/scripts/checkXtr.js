@@ -0,0 +1,73 @@
+// checkXtr.js
+// Purpose: Check that the XTR segment solver solves every frame of a sweep of rolling terrains.
+// Name: checkXtr.js
+// Date created: 2026-10-19
+// Method: Loads the analysis modules through Vite (their imports have no file extensions) and analyses batches
+//         of sine-wave frames whose phase shifts frame by frame. These terrains used to make the LP report
+//         "unbounded" on a few frames. A frame fails the check if it throws or falls back to the straight tube.
+//         Run with `npm run check:xtr`; exits with code 1 if any frame fails.
+// Data dictionary:
+// - SWEEPS: [{ name, poles, frames, amplitude, params }] terrain batches and their Parameters page values
+// - Output: one line per sweep on stdout, the failing frames on stderr
+
+import { createServer } from "vite";
+
+const BASE_PARAMS = {
+  trackerType: "xtr",
+  maxIncline: 5,
+  minPileReveal: 1000,
+  maxPileReveal: 1500,
+  installationTolerance: 100,
+  maxCumulativeSlopeChange: 2,
+};
+
+const SWEEPS = [
+  { name: "20 poles, 1% joint", poles: 20, frames: 300, amplitude: 0.8, params: { maxSegmentSlopeChange: 1 } },
+  { name: "30 poles, 0.5% joint", poles: 30, frames: 100, amplitude: 0.8, params: { maxSegmentSlopeChange: 0.5 } },
+];
+
+const POLE_SPACING = 7;
+
+const server = await createServer({
+  logLevel: "silent",
+  server: { middlewareMode: true, hmr: false },
+  optimizeDeps: { noDiscovery: true, include: [] },
+});
+
+let failed = 0;
+try {
+  const { analyseFrame } = await server.ssrLoadModule("/src/analysis/index.js");
+  const { buildLimits } = await server.ssrLoadModule("/src/analysis/common.js");
+
+  for (const sweep of SWEEPS) {
+    const limits = buildLimits({ ...BASE_PARAMS, ...sweep.params });
+    const failures = [];
+
+    for (let f = 0; f < sweep.frames; f++) {
+      const frame = String(f + 1);
+      const poles = Array.from({ length: sweep.poles }, (_, i) => ({
+        frame,
+        pole: String(i + 1),
+        label: `${frame}-${i + 1}`,
+        x: i * POLE_SPACING,
+        y: 0,
+        z: 100 + sweep.amplitude * Math.sin(i / 3 + f),
+      }));
+
+      try {
+        const result = analyseFrame(frame, poles, limits);
+        if (result.straightFallback) failures.push(`frame ${frame}: fell back to a straight tube`);
+      } catch (e) {
+        failures.push(`frame ${frame}: ${e?.message || e}`);
+      }
+    }
+
+    console.log(`${sweep.name}: ${sweep.frames - failures.length} / ${sweep.frames} frames solved`);
+    failures.forEach((line) => console.error(`  ${line}`));
+    failed += failures.length;
+  }
+} finally {
+  await server.close();
+}
+
+if (failed) process.exit(1);
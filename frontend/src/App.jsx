@@ -1,14 +1,15 @@
 import "./App.css";
-import { BrowserRouter, Routes, Route, Link } from "react-router-dom";
-
-import pclLogo from "./assets/logos/pcllogo.png";
+import { BrowserRouter, Routes, Route } from "react-router-dom";
 
+import Home from "./pages/Home";
 import Uploads from "./pages/Uploads";
 import Review from "./pages/Review";
 import GradingTool from "./pages/GradingTool";
 import Parameters from "./pages/Parameters";
 import RunAnalysis from "./pages/RunAnalysis";
 import FramePage from "./pages/FramePage";
+import Earthworks from "./pages/Earthworks";
+import Compare from "./pages/Compare";
 
 
 export default function App() {
@@ -16,21 +17,7 @@ export default function App() {
     <BrowserRouter>
       <Routes>
         {/* HOME */}
-        <Route
-          path="/"
-          element={
-            <div className="app-container">
-              <img src={pclLogo} alt="PCL Logo" className="app-logo" />
-              <h1>PCL Earthworks Tool</h1>
-
-              <Link to="/uploads">
-              <div className = "app-button">
-                <button>Go to Uploads</button>
-              </div>
-              </Link>
-            </div>
-          }
-        />
+        <Route path="/" element={<Home />} />
 
         {/* PAGES */}
         <Route path="/uploads" element={<Uploads />} />
@@ -39,6 +26,15 @@ export default function App() {
         <Route path="/parameters" element={<Parameters />} />
         <Route path="/run-analysis" element={<RunAnalysis />} />
         <Route path="/frame/:frameId" element={<FramePage />} />
+        <Route path="/earthworks" element={<Earthworks />} />
+        <Route path="/compare" element={<Compare />} />
+
+        {/* PROJECT-KEYED (rebuilt from the project store, safe to refresh / share) */}
+        <Route path="/project/:projectId/parameters" element={<Parameters />} />
+        <Route path="/project/:projectId/analysis" element={<RunAnalysis />} />
+        <Route path="/project/:projectId/frame/:frameId" element={<FramePage />} />
+        <Route path="/project/:projectId/compare" element={<Compare />} />
+        <Route path="/project/:projectId/earthworks" element={<Earthworks />} />
       
       </Routes>
     </BrowserRouter>
@@ -0,0 +1,40 @@
+// analysis.worker.js
+// Purpose: Run the project-wide frame analysis off the main thread.
+// Name: analysis.worker.js
+// Date created: 2026-10-19
+// Method: Receives { type: "run", columns, params, frameIds? }, runs analyseProject (only the listed frames when
+//         frameIds is given) and posts progress every few frames, then the full results. Cancelling is done by the
+//         page terminating the worker.
+// Data dictionary:
+// - Messages in: { type: "run", columns: { frame, pole, x, y, z }, params, frameIds (optional string[]),
+//                 overrides (optional { [frameId]: tube override }) }
+// - Messages out:
+//   - { type: "progress", done, total }
+//   - { type: "done", results, errors, volumes }
+//   - { type: "error", message }
+
+import { analyseProject } from "./project";
+
+const PROGRESS_EVERY = 25;
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  if (msg.type !== "run") return;
+
+  try {
+    const frameIds = msg.frameIds ? new Set(msg.frameIds.map(String)) : null;
+    const { results, errors, volumes } = analyseProject(
+      msg.columns,
+      msg.params,
+      (done, total) => {
+        if (done % PROGRESS_EVERY === 0 || done === total) {
+          self.postMessage({ type: "progress", done, total });
+        }
+      },
+      { frameIds, overrides: msg.overrides || null }
+    );
+    self.postMessage({ type: "done", results, errors, volumes });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err?.message || "Analysis failed." });
+  }
+};
@@ -0,0 +1,257 @@
+// common.js
+// Purpose: Shared helpers for the pile reveal analysis (parsing copied BOM columns, grouping poles by frame,
+//          turning Parameters page values into numeric limits).
+// Name: common.js
+// Date created: 2026-10-19
+// Method: Frame/Pole/X/Y/Z arrays are zipped row by row, non-numeric rows dropped, and poles grouped by frame id
+//         and sorted by pole number. Each pole gets a station (distance along the tube) measured from the first
+//         pole along the first→last pole direction.
+// Data dictionary:
+// - Inputs:
+//   - columns: { frame, pole, x, y, z } arrays as copied in Review.jsx
+//   - params: Parameters page payload (maxIncline %, minPileReveal, maxPileReveal, installationTolerance in the
+//             payload's revealUnit, coordUnit; see units.js)
+// - Outputs:
+//   - frames (Map<string, Pole[]>): Pole = { row, frame, pole, label, x, y, z }
+//   - limits: { trackerType, maxSlope, lo, hi, minRevealMm, maxRevealMm, halfToleranceMm, mmPerUnit, units,
+//               maxJointChange, maxCumulativeChange (XTR only, ratios) }
+
+import { mmPerCoordUnit, paramsUnits, revealToMm } from "./units";
+
+// Numerical slack when comparing reveals against the window
+export const EPS = 1e-7;
+
+// Frame statuses. The earthworks step always finds a grading, so a frame outside the reveal window is "grade",
+// never "fail"; "fail" is a frame that could not be analysed (solver error or no poles with numeric Z).
+export const FRAME_STATUS_LABELS = {
+  pass: "Pass",
+  grade: "Needs grading",
+  fail: "Fail (analysis error)",
+};
+
+// Longer explanation of each status for tooltips next to the labels
+export const FRAME_STATUS_HELP = {
+  pass: "Every pole is inside the reveal window with the tube as placed.",
+  grade: "Some poles are outside the reveal window; the recommended cut / fill brings them inside.",
+  fail: "The frame could not be analysed (solver error or no poles with numeric Z), so it has no result.",
+};
+
+export function toNum(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = String(v ?? "").trim();
+  if (s === "") return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function toIdPiece(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return "";
+  const n = Number(s);
+  if (Number.isFinite(n)) return String(Math.trunc(n));
+  return s;
+}
+
+function comparePoleIds(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Groups copied columns into frames. Rows with a non-numeric X/Y/Z or without a frame id are skipped.
+ * Returns a Map keyed by frame id (insertion order = first appearance in the BOM).
+ */
+export function groupFrames({ frame = [], pole = [], x = [], y = [], z = [] }) {
+  const n = Math.min(frame.length, pole.length, x.length, y.length, z.length);
+  const frames = new Map();
+
+  for (let i = 0; i < n; i++) {
+    const f = toIdPiece(frame[i]);
+    const xv = toNum(x[i]);
+    const yv = toNum(y[i]);
+    const zv = toNum(z[i]);
+    if (!f || xv === null || yv === null || zv === null) continue;
+
+    const p = toIdPiece(pole[i]) || String(i + 1);
+    if (!frames.has(f)) frames.set(f, []);
+    frames.get(f).push({ row: i, frame: f, pole: p, label: `${f}.${p}`, x: xv, y: yv, z: zv });
+  }
+
+  for (const poles of frames.values()) {
+    poles.sort((a, b) => comparePoleIds(a.pole, b.pole));
+  }
+
+  return frames;
+}
+
+/**
+ * Adds a station `s` (distance along the tube) to each pole, measured from the first pole
+ * along the unit vector pointing at the last pole.
+ */
+export function withStations(poles) {
+  if (!poles.length) return [];
+
+  const first = poles[0];
+  const last = poles[poles.length - 1];
+  const dx = last.x - first.x;
+  const dy = last.y - first.y;
+  const len = Math.hypot(dx, dy);
+  const ux = len > 0 ? dx / len : 0;
+  const uy = len > 0 ? dy / len : 0;
+
+  return poles.map((p) => ({ ...p, s: (p.x - first.x) * ux + (p.y - first.y) * uy }));
+}
+
+/**
+ * Converts Parameters page values to numeric limits in coordinate units.
+ * Reveals are entered in the payload's reveal unit and held in millimetres; the coordinate unit sets how many
+ * millimetres one coordinate unit is. The installation tolerance is split in half: one half raises the minimum
+ * reveal, the other half lowers the maximum reveal. XTR slope change limits are converted from % to ratios.
+ */
+export function buildLimits(params) {
+  const units = paramsUnits(params);
+  const mmPerUnit = mmPerCoordUnit(units);
+  const maxIncline = toNum(params?.maxIncline);
+  const minReveal = toNum(params?.minPileReveal);
+  const maxReveal = toNum(params?.maxPileReveal);
+  const toleranceMm = revealToMm(toNum(params?.installationTolerance) ?? 0, units);
+
+  if (maxIncline === null || minReveal === null || maxReveal === null) {
+    throw new Error("Missing parameters. Go back to Parameters and complete the required fields.");
+  }
+
+  const minRevealMm = revealToMm(minReveal, units);
+  const maxRevealMm = revealToMm(maxReveal, units);
+  const halfToleranceMm = Math.max(0, toleranceMm) / 2;
+  const loMm = minRevealMm + halfToleranceMm;
+  const hiMm = maxRevealMm - halfToleranceMm;
+
+  if (hiMm < loMm) {
+    throw new Error("Installation tolerance leaves no room between the minimum and maximum pile reveal.");
+  }
+
+  const trackerType = params?.trackerType === "xtr" ? "xtr" : "flat";
+  let maxJointChange = null;
+  let maxCumulativeChange = null;
+
+  if (trackerType === "xtr") {
+    const seg = toNum(params?.maxSegmentSlopeChange);
+    const cum = toNum(params?.maxCumulativeSlopeChange);
+    if (seg === null || cum === null) {
+      throw new Error("Missing XTR slope change limits. Go back to Parameters and complete the XTR fields.");
+    }
+    maxJointChange = Math.abs(seg) / 100;
+    maxCumulativeChange = Math.abs(cum) / 100;
+  }
+
+  return {
+    trackerType,
+    maxSlope: Math.abs(maxIncline) / 100,
+    lo: loMm / mmPerUnit,
+    hi: hiMm / mmPerUnit,
+    minRevealMm,
+    maxRevealMm,
+    halfToleranceMm,
+    mmPerUnit,
+    units,
+    maxJointChange,
+    maxCumulativeChange,
+  };
+}
+
+/**
+ * Checks each pole's reveal (tubeZ − z) against the window and summarises the frame.
+ * `pts` must already carry a station `s` and a tube elevation `tubeZ`.
+ */
+export function summariseFrame(frameId, pts, limits, extra = {}) {
+  const { lo, hi, mmPerUnit } = limits;
+
+  let passCount = 0;
+  const poles = pts.map((p) => {
+    const reveal = p.tubeZ - p.z;
+
+    let status = "pass";
+    let note = "";
+    if (reveal < lo - EPS) {
+      status = "fail";
+      note = "Below min reveal";
+    } else if (reveal > hi + EPS) {
+      status = "fail";
+      note = "Above max reveal";
+    }
+    if (status === "pass") passCount++;
+
+    return { ...p, reveal, revealMm: reveal * mmPerUnit, status, note };
+  });
+
+  const failCount = poles.length - passCount;
+
+  return {
+    frameId,
+    trackerType: limits.trackerType || "flat",
+    poles,
+    feasible: failCount === 0,
+    passCount,
+    failCount,
+    ...extra,
+  };
+}
+
+/**
+ * Golden-section search for the minimum of a convex (unimodal) function on [a, b].
+ */
+export function minimiseConvex(f, a, b, iterations = 80) {
+  if (!(b > a)) return a;
+
+  const r = (Math.sqrt(5) - 1) / 2;
+  let c = b - r * (b - a);
+  let d = a + r * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+
+  for (let i = 0; i < iterations; i++) {
+    if (fc <= fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - r * (b - a);
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + r * (b - a);
+      fd = f(d);
+    }
+  }
+
+  return (a + b) / 2;
+}
+
+/**
+ * Least-squares slope of z against s.
+ */
+export function regressionSlope(pts) {
+  const n = pts.length;
+  if (n < 2) return 0;
+
+  let ms = 0;
+  let mz = 0;
+  for (const p of pts) {
+    ms += p.s;
+    mz += p.z;
+  }
+  ms /= n;
+  mz /= n;
+
+  let num = 0;
+  let den = 0;
+  for (const p of pts) {
+    num += (p.s - ms) * (p.z - mz);
+    den += (p.s - ms) * (p.s - ms);
+  }
+
+  return den > 0 ? num / den : 0;
+}
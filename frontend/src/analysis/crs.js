@@ -0,0 +1,448 @@
+// crs.js
+// Purpose: Project coordinate reference system from a bundled EPSG subset, and reprojection between the BOM grid
+//          coordinates and WGS 84 latitude / longitude without any network access.
+// Name: crs.js
+// Date created: 2026-10-19
+// Method: Each bundled CRS is a projection plus its parameters as published by EPSG (false origin in metres, then
+//         the CRS's linear unit). Transverse Mercator (UTM / MGA zones and TM state plane zones) uses Krüger's
+//         series to third order in n (millimetre-level inside a zone); Lambert Conformal Conic 2SP (LCC state plane
+//         zones) uses Snyder's ellipsoidal formulas with an iterated inverse. The NAD83, ETRS89, GDA94 and GDA2020
+//         datums are taken as WGS 84 (they differ by about 2 m at most), which suits display, GIS sharing and
+//         datum checks but not survey-grade transformations. The datum check projects a sample of BOM points to
+//         latitude / longitude and counts those outside the CRS's approximate area of use: a BOM delivered in
+//         another zone, unit or datum lands far away or outside the area.
+// Data dictionary:
+// - CRS: { code ("EPSG:32614"), name, group, unit (units.js COORD_UNITS key), ellipsoid, proj ("tm" | "lcc"),
+//          lat0, lon0, k0 (TM), lat1 / lat2 (LCC), x0, y0 (metres), bounds [west, south, east, north] (degrees) }
+// - Outputs:
+//   - CRS_LIST, CRS_GROUPS, findCrs(code), paramsCrs(params)
+//   - toWgs84(crs, x, y): { lon, lat } (degrees); fromWgs84(crs, lon, lat): { x, y } (CRS units)
+//   - checkCrs(crs, columns): { checked, outside, centre: { lon, lat } | null }
+//   - fmtLatLon({ lon, lat }): "30.267210°N, 97.743060°W"
+
+import { COORD_UNITS } from "./units";
+
+const ELLIPSOIDS = {
+  WGS84: { a: 6378137, f: 1 / 298.257223563 },
+  GRS80: { a: 6378137, f: 1 / 298.257222101 },
+};
+
+// Points projected by the datum check (evenly spread over the BOM rows)
+const CHECK_SAMPLE = 2000;
+
+const RAD = Math.PI / 180;
+
+// ---------- bundled EPSG subset ----------
+
+function utmZones(group, first, last, codeOf, ellipsoid, south, nameOf) {
+  const list = [];
+  for (let zone = first; zone <= last; zone++) {
+    const west = zone * 6 - 186;
+    list.push({
+      code: `EPSG:${codeOf(zone)}`,
+      name: nameOf(zone),
+      group,
+      unit: "m",
+      ellipsoid,
+      proj: "tm",
+      lat0: 0,
+      lon0: west + 3,
+      k0: 0.9996,
+      x0: 500000,
+      y0: south ? 10000000 : 0,
+      bounds: south ? [west, -80, west + 6, 0] : [west, 0, west + 6, 84],
+    });
+  }
+  return list;
+}
+
+// NAD83 state plane zone in metres and (when it has one) the foot version EPSG publishes for the state
+function statePlane(zone, state, bounds, projection, metreCode, footCode, footUnit = "usft") {
+  const base = { group: `NAD83 / State Plane · ${state}`, ellipsoid: "GRS80", bounds, ...projection };
+  const out = [{ ...base, code: `EPSG:${metreCode}`, name: `NAD83 / ${zone}`, unit: "m" }];
+  if (footCode) {
+    const label = footUnit === "usft" ? "ftUS" : "ft";
+    out.push({ ...base, code: `EPSG:${footCode}`, name: `NAD83 / ${zone} (${label})`, unit: footUnit });
+  }
+  return out;
+}
+
+const lcc = (lat1, lat2, lat0, lon0, x0, y0) => ({ proj: "lcc", lat1, lat2, lat0, lon0, x0, y0 });
+const tm = (lat0, lon0, k0, x0, y0 = 0) => ({ proj: "tm", lat0, lon0, k0, x0, y0 });
+
+// Approximate state extents used as the area of use of their zones
+const TX = [-106.66, 25.83, -93.5, 36.5];
+const CA = [-124.45, 32.53, -114.12, 42.01];
+const AZ = [-114.82, 31.33, -109.04, 37.01];
+const NV = [-120.0, 35.0, -114.04, 42.0];
+const NC = [-84.33, 33.83, -75.38, 36.59];
+const FL = [-87.63, 24.4, -79.97, 31.0];
+const GA = [-85.61, 30.36, -80.84, 35.0];
+const CO = [-109.06, 36.99, -102.04, 41.0];
+
+// California and Colorado zones share their false origin
+const CA_ORIGIN = [2000000, 500000];
+const CO_ORIGIN = [914401.8289, 304800.6096];
+
+export const CRS_LIST = [
+  ...utmZones(
+    "WGS 84 / UTM north",
+    1,
+    60,
+    (z) => 32600 + z,
+    "WGS84",
+    false,
+    (z) => `WGS 84 / UTM zone ${z}N`
+  ),
+  ...utmZones(
+    "WGS 84 / UTM south",
+    1,
+    60,
+    (z) => 32700 + z,
+    "WGS84",
+    true,
+    (z) => `WGS 84 / UTM zone ${z}S`
+  ),
+  ...utmZones(
+    "NAD83 / UTM",
+    1,
+    23,
+    (z) => 26900 + z,
+    "GRS80",
+    false,
+    (z) => `NAD83 / UTM zone ${z}N`
+  ),
+  ...utmZones(
+    "ETRS89 / UTM",
+    28,
+    38,
+    (z) => 25800 + z,
+    "GRS80",
+    false,
+    (z) => `ETRS89 / UTM zone ${z}N`
+  ),
+  ...utmZones(
+    "GDA2020 / MGA",
+    46,
+    59,
+    (z) => 7800 + z,
+    "GRS80",
+    true,
+    (z) => `GDA2020 / MGA zone ${z}`
+  ),
+  ...utmZones(
+    "GDA94 / MGA",
+    48,
+    58,
+    (z) => 28300 + z,
+    "GRS80",
+    true,
+    (z) => `GDA94 / MGA zone ${z}`
+  ),
+
+  ...statePlane("Texas North", "Texas", TX, lcc(36.18333333, 34.65, 34, -101.5, 200000, 1000000), 32137, 2275),
+  ...statePlane(
+    "Texas North Central",
+    "Texas",
+    TX,
+    lcc(33.96666667, 32.13333333, 31.66666667, -98.5, 600000, 2000000),
+    32138,
+    2276
+  ),
+  ...statePlane(
+    "Texas Central",
+    "Texas",
+    TX,
+    lcc(31.88333333, 30.11666667, 29.66666667, -100.3333333, 700000, 3000000),
+    32139,
+    2277
+  ),
+  ...statePlane(
+    "Texas South Central",
+    "Texas",
+    TX,
+    lcc(30.28333333, 28.38333333, 27.83333333, -99, 600000, 4000000),
+    32140,
+    2278
+  ),
+  ...statePlane(
+    "Texas South",
+    "Texas",
+    TX,
+    lcc(27.83333333, 26.16666667, 25.66666667, -98.5, 300000, 5000000),
+    32141,
+    2279
+  ),
+
+  ...statePlane(
+    "California zone 1",
+    "California",
+    CA,
+    lcc(41.66666667, 40, 39.33333333, -122, ...CA_ORIGIN),
+    26941,
+    2225
+  ),
+  ...statePlane(
+    "California zone 2",
+    "California",
+    CA,
+    lcc(39.83333333, 38.33333333, 37.66666667, -122, ...CA_ORIGIN),
+    26942,
+    2226
+  ),
+  ...statePlane(
+    "California zone 3",
+    "California",
+    CA,
+    lcc(38.43333333, 37.06666667, 36.5, -120.5, ...CA_ORIGIN),
+    26943,
+    2227
+  ),
+  ...statePlane("California zone 4", "California", CA, lcc(37.25, 36, 35.33333333, -119, ...CA_ORIGIN), 26944, 2228),
+  ...statePlane(
+    "California zone 5",
+    "California",
+    CA,
+    lcc(35.46666667, 34.03333333, 33.5, -118, ...CA_ORIGIN),
+    26945,
+    2229
+  ),
+  ...statePlane(
+    "California zone 6",
+    "California",
+    CA,
+    lcc(33.88333333, 32.78333333, 32.16666667, -116.25, ...CA_ORIGIN),
+    26946,
+    2230
+  ),
+
+  ...statePlane("Arizona East", "Arizona", AZ, tm(31, -110.1666667, 0.9999, 213360), 26948, 2222, "ft"),
+  ...statePlane("Arizona Central", "Arizona", AZ, tm(31, -111.9166667, 0.9999, 213360), 26949, 2223, "ft"),
+  ...statePlane("Arizona West", "Arizona", AZ, tm(31, -113.75, 0.999933333, 213360), 26950, 2224, "ft"),
+
+  ...statePlane("Nevada East", "Nevada", NV, tm(34.75, -115.5833333, 0.9999, 200000, 8000000), 32107),
+  ...statePlane("Nevada Central", "Nevada", NV, tm(34.75, -116.6666667, 0.9999, 500000, 6000000), 32108),
+  ...statePlane("Nevada West", "Nevada", NV, tm(34.75, -118.5833333, 0.9999, 800000, 4000000), 32109),
+
+  ...statePlane(
+    "North Carolina",
+    "North Carolina",
+    NC,
+    lcc(36.16666667, 34.33333333, 33.75, -79, 609601.22, 0),
+    32119,
+    2264
+  ),
+
+  ...statePlane("Florida East", "Florida", FL, tm(24.33333333, -81, 0.999941177, 200000), 26958, 2236),
+  ...statePlane("Florida West", "Florida", FL, tm(24.33333333, -82, 0.999941177, 200000), 26959, 2237),
+  ...statePlane("Florida North", "Florida", FL, lcc(30.75, 29.58333333, 29, -84.5, 600000, 0), 26960, 2238),
+
+  ...statePlane("Georgia East", "Georgia", GA, tm(30, -82.16666667, 0.9999, 200000), 26966, 2239),
+  ...statePlane("Georgia West", "Georgia", GA, tm(30, -84.16666667, 0.9999, 700000), 26967, 2240),
+
+  ...statePlane(
+    "Colorado North",
+    "Colorado",
+    CO,
+    lcc(40.78333333, 39.71666667, 39.33333333, -105.5, ...CO_ORIGIN),
+    26953,
+    2231
+  ),
+  ...statePlane("Colorado Central", "Colorado", CO, lcc(39.75, 38.45, 37.83333333, -105.5, ...CO_ORIGIN), 26954, 2232),
+  ...statePlane(
+    "Colorado South",
+    "Colorado",
+    CO,
+    lcc(38.43333333, 37.23333333, 36.66666667, -105.5, ...CO_ORIGIN),
+    26955,
+    2233
+  ),
+];
+
+export const CRS_GROUPS = [...new Set(CRS_LIST.map((crs) => crs.group))];
+
+const byCode = new Map(CRS_LIST.map((crs) => [crs.code, crs]));
+
+export function findCrs(code) {
+  return byCode.get(code) || null;
+}
+
+/**
+ * CRS chosen on the Parameters page (null = none; coordinates stay plain grid numbers).
+ */
+export function paramsCrs(params) {
+  return findCrs(params?.crs);
+}
+
+// ---------- Transverse Mercator (Krüger series) ----------
+
+const tmCache = new WeakMap();
+
+function tmConstants(crs) {
+  if (tmCache.has(crs)) return tmCache.get(crs);
+  const { a, f } = ELLIPSOIDS[crs.ellipsoid];
+  const n = f / (2 - f);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const c = {
+    e: (2 * Math.sqrt(n)) / (1 + n),
+    A: (a / (1 + n)) * (1 + n2 / 4 + (n2 * n2) / 64),
+    alpha: [n / 2 - (2 * n2) / 3 + (5 * n3) / 16, (13 * n2) / 48 - (3 * n3) / 5, (61 * n3) / 240],
+    beta: [n / 2 - (2 * n2) / 3 + (37 * n3) / 96, n2 / 48 + n3 / 15, (17 * n3) / 480],
+    delta: [2 * n - (2 * n2) / 3 - 2 * n3, (7 * n2) / 3 - (8 * n3) / 5, (56 * n3) / 15],
+  };
+  // Northing of the latitude of origin on the central meridian
+  c.m0 = tmProject(c, crs.lat0 * RAD, 0).northing;
+  tmCache.set(crs, c);
+  return c;
+}
+
+// Unscaled easting / northing (times A) relative to the central meridian and the equator
+function tmProject(c, phi, dLambda) {
+  const sinPhi = Math.sin(phi);
+  const t = Math.sinh(Math.atanh(sinPhi) - c.e * Math.atanh(c.e * sinPhi));
+  const xi = Math.atan2(t, Math.cos(dLambda));
+  const eta = Math.atanh(Math.sin(dLambda) / Math.sqrt(1 + t * t));
+  let easting = eta;
+  let northing = xi;
+  c.alpha.forEach((alpha, j) => {
+    const k = 2 * (j + 1);
+    easting += alpha * Math.cos(k * xi) * Math.sinh(k * eta);
+    northing += alpha * Math.sin(k * xi) * Math.cosh(k * eta);
+  });
+  return { easting: c.A * easting, northing: c.A * northing };
+}
+
+function tmForward(crs, lon, lat) {
+  const c = tmConstants(crs);
+  const p = tmProject(c, lat * RAD, (lon - crs.lon0) * RAD);
+  return { x: crs.x0 + crs.k0 * p.easting, y: crs.y0 + crs.k0 * (p.northing - c.m0) };
+}
+
+function tmInverse(crs, x, y) {
+  const c = tmConstants(crs);
+  const xi = ((y - crs.y0) / crs.k0 + c.m0) / c.A;
+  const eta = (x - crs.x0) / crs.k0 / c.A;
+  let xiP = xi;
+  let etaP = eta;
+  c.beta.forEach((beta, j) => {
+    const k = 2 * (j + 1);
+    xiP -= beta * Math.sin(k * xi) * Math.cosh(k * eta);
+    etaP -= beta * Math.cos(k * xi) * Math.sinh(k * eta);
+  });
+  const chi = Math.asin(Math.sin(xiP) / Math.cosh(etaP));
+  let phi = chi;
+  c.delta.forEach((delta, j) => {
+    phi += delta * Math.sin(2 * (j + 1) * chi);
+  });
+  return { lon: crs.lon0 + Math.atan2(Math.sinh(etaP), Math.cos(xiP)) / RAD, lat: phi / RAD };
+}
+
+// ---------- Lambert Conformal Conic 2SP ----------
+
+const lccCache = new WeakMap();
+
+function lccConstants(crs) {
+  if (lccCache.has(crs)) return lccCache.get(crs);
+  const { a, f } = ELLIPSOIDS[crs.ellipsoid];
+  const e = Math.sqrt(f * (2 - f));
+  const m = (phi) => Math.cos(phi) / Math.sqrt(1 - (e * Math.sin(phi)) ** 2);
+  const t = (phi) => {
+    const es = e * Math.sin(phi);
+    return Math.tan(Math.PI / 4 - phi / 2) / ((1 - es) / (1 + es)) ** (e / 2);
+  };
+  const phi1 = crs.lat1 * RAD;
+  const phi2 = crs.lat2 * RAD;
+  const n = (Math.log(m(phi1)) - Math.log(m(phi2))) / (Math.log(t(phi1)) - Math.log(t(phi2)));
+  const F = m(phi1) / (n * t(phi1) ** n);
+  const c = { a, e, n, F, t, rho0: a * F * t(crs.lat0 * RAD) ** n };
+  lccCache.set(crs, c);
+  return c;
+}
+
+function lccForward(crs, lon, lat) {
+  const c = lccConstants(crs);
+  const rho = c.a * c.F * c.t(lat * RAD) ** c.n;
+  const theta = c.n * (lon - crs.lon0) * RAD;
+  return { x: crs.x0 + rho * Math.sin(theta), y: crs.y0 + c.rho0 - rho * Math.cos(theta) };
+}
+
+function lccInverse(crs, x, y) {
+  const c = lccConstants(crs);
+  const dx = x - crs.x0;
+  const dy = c.rho0 - (y - crs.y0);
+  const sign = Math.sign(c.n);
+  const rho = sign * Math.hypot(dx, dy);
+  const t = (rho / (c.a * c.F)) ** (1 / c.n);
+  const theta = Math.atan2(sign * dx, sign * dy);
+
+  let phi = Math.PI / 2 - 2 * Math.atan(t);
+  for (let k = 0; k < 15; k++) {
+    const es = c.e * Math.sin(phi);
+    const next = Math.PI / 2 - 2 * Math.atan(t * ((1 - es) / (1 + es)) ** (c.e / 2));
+    const done = Math.abs(next - phi) < 1e-12;
+    phi = next;
+    if (done) break;
+  }
+  return { lon: crs.lon0 + theta / c.n / RAD, lat: phi / RAD };
+}
+
+// ---------- public conversions ----------
+
+/**
+ * Grid coordinates (in the CRS's unit) to WGS 84 longitude / latitude in degrees.
+ */
+export function toWgs84(crs, x, y) {
+  const metres = COORD_UNITS[crs.unit].metres;
+  const inverse = crs.proj === "lcc" ? lccInverse : tmInverse;
+  return inverse(crs, x * metres, y * metres);
+}
+
+/**
+ * WGS 84 longitude / latitude in degrees to grid coordinates in the CRS's unit.
+ */
+export function fromWgs84(crs, lon, lat) {
+  const metres = COORD_UNITS[crs.unit].metres;
+  const forward = crs.proj === "lcc" ? lccForward : tmForward;
+  const p = forward(crs, lon, lat);
+  return { x: p.x / metres, y: p.y / metres };
+}
+
+const inside = ([west, south, east, north], { lon, lat }) => lon >= west && lon <= east && lat >= south && lat <= north;
+
+/**
+ * Datum / zone check: projects a sample of BOM points and counts those outside the CRS's area of use.
+ */
+export function checkCrs(crs, { x = [], y = [] } = {}) {
+  const n = Math.min(x.length, y.length);
+  const step = Math.max(1, Math.floor(n / CHECK_SAMPLE));
+  let checked = 0;
+  let outside = 0;
+  let placed = 0;
+  let sumLon = 0;
+  let sumLat = 0;
+  for (let i = 0; i < n; i += step) {
+    if (x[i] === "" || y[i] === "") continue;
+    const xv = Number(x[i]);
+    const yv = Number(y[i]);
+    if (!Number.isFinite(xv) || !Number.isFinite(yv)) continue;
+    checked++;
+    const p = toWgs84(crs, xv, yv);
+    if (!Number.isFinite(p.lon) || !Number.isFinite(p.lat)) {
+      outside++;
+      continue;
+    }
+    if (!inside(crs.bounds, p)) outside++;
+    placed++;
+    sumLon += p.lon;
+    sumLat += p.lat;
+  }
+  return { checked, outside, centre: placed ? { lon: sumLon / placed, lat: sumLat / placed } : null };
+}
+
+export function fmtLatLon({ lon, lat }, digits = 6) {
+  if (!Number.isFinite(lon) || !Number.isFinite(lat)) return "—";
+  const ns = lat >= 0 ? "N" : "S";
+  const ew = lon >= 0 ? "E" : "W";
+  return `${Math.abs(lat).toFixed(digits)}°${ns}, ${Math.abs(lon).toFixed(digits)}°${ew}`;
+}
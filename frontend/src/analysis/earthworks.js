@@ -0,0 +1,120 @@
+// earthworks.js
+// Purpose: Minimum cut/fill at each pole when a frame cannot meet the reveal window on existing ground.
+// Name: earthworks.js
+// Date created: 2026-10-19
+// Method: For flat trackers a linear program places the straight tube line (|slope| ≤ maxIncline) and chooses
+//         cut_i, fill_i ≥ 0 so that lo ≤ tubeZ_i − (z_i − cut_i + fill_i) ≤ hi, minimising Σ(cut + fill). Reveals
+//         are centred in the window as a secondary goal. XTR frames get the same quantities from the segment LP
+//         (xtr.js), so both paths finish through applyGrading.
+// Data dictionary:
+// - Inputs:
+//   - pts: poles with stations s
+//   - limits: output of buildLimits
+//   - cut/fill (number[]): ground change per pole in coordinate units (cut lowers, fill raises the ground)
+// - Outputs:
+//   - poles gain: cut, fill, gradeZ (design ground), gradedReveal, gradedRevealMm
+//   - frame gains: status "pass" | "grade", gradedCount, totalCut, totalFill, maxCut, maxFill
+
+import { solveLP } from "./lp";
+
+const EARTHWORK_WEIGHT = 1000;
+const CENTRE_WEIGHT = 1;
+
+// Ground changes smaller than this (coordinate units) are treated as zero
+export const MIN_GRADE = 1e-6;
+
+/**
+ * Places a straight tube line with the least total cut + fill. Returns { a, b, cut, fill }.
+ */
+export function gradeFlatFrame(pts, { lo, hi, maxSlope }) {
+  const n = pts.length;
+  const mid = (lo + hi) / 2;
+  const z0 = pts.reduce((sum, p) => sum + p.z, 0) / n;
+
+  // Variable layout: a (free, relative to z0), b (free), cut[n], fill[n], k[n] (|reveal − mid|)
+  const A = 0;
+  const B = 1;
+  const C = 2;
+  const F = 2 + n;
+  const K = 2 + 2 * n;
+  const nv = 2 + 3 * n;
+
+  const c = new Array(nv).fill(0);
+  const free = new Array(nv).fill(false);
+  free[A] = true;
+  free[B] = true;
+  for (let i = 0; i < n; i++) {
+    c[C + i] = EARTHWORK_WEIGHT;
+    c[F + i] = EARTHWORK_WEIGHT;
+    c[K + i] = CENTRE_WEIGHT;
+  }
+
+  const rows = [];
+  const row = (entries, op, b) => {
+    const a = new Array(nv).fill(0);
+    for (const [idx, val] of entries) a[idx] += val;
+    rows.push({ a, op, b });
+  };
+
+  row([[B, 1]], "<=", maxSlope);
+  row([[B, 1]], ">=", -maxSlope);
+
+  pts.forEach((p, i) => {
+    // graded reveal = a + z0 + b·s − z + cut − fill
+    const base = z0 - p.z;
+    const reveal = [[A, 1], [B, p.s], [C + i, 1], [F + i, -1]];
+    row(reveal, ">=", lo - base);
+    row(reveal, "<=", hi - base);
+    row([[A, 1], [B, p.s], [K + i, -1]], "<=", mid - base);
+    row([[A, -1], [B, -p.s], [K + i, -1]], "<=", base - mid);
+  });
+
+  const { status, x } = solveLP({ c, rows, free });
+  if (status !== "optimal") {
+    throw new Error(`Earthworks solver did not converge (${status}).`);
+  }
+
+  return {
+    a: x[A] + z0,
+    b: x[B],
+    cut: x.slice(C, C + n),
+    fill: x.slice(F, F + n),
+  };
+}
+
+/**
+ * Adds cut/fill, design ground and graded reveal to a summarised frame result.
+ */
+export function applyGrading(result, cut, fill, limits) {
+  let totalCut = 0;
+  let totalFill = 0;
+  let maxCut = 0;
+  let maxFill = 0;
+  let gradedCount = 0;
+
+  const poles = result.poles.map((p, i) => {
+    const c = cut[i] > MIN_GRADE ? cut[i] : 0;
+    const f = fill[i] > MIN_GRADE ? fill[i] : 0;
+    const gradeZ = p.z - c + f;
+    const gradedReveal = p.tubeZ - gradeZ;
+
+    totalCut += c;
+    totalFill += f;
+    maxCut = Math.max(maxCut, c);
+    maxFill = Math.max(maxFill, f);
+    if (c > 0 || f > 0) gradedCount++;
+
+    return { ...p, cut: c, fill: f, gradeZ, gradedReveal, gradedRevealMm: gradedReveal * limits.mmPerUnit };
+  });
+
+  return {
+    ...result,
+    poles,
+    status: result.failCount > 0 ? "grade" : "pass",
+    gradedCount,
+    totalCut,
+    totalFill,
+    maxCut,
+    maxFill,
+  };
+}
@@ -0,0 +1,74 @@
+// flatTracker.js
+// Purpose: Flat tracker pile reveal check for a single frame.
+// Name: flatTracker.js
+// Date created: 2026-10-19
+// Method: The torque tube is a straight line tubeZ = a + b·s through the frame's poles. The slope starts from a
+//         least-squares fit of the terrain, clamped to ±maxIncline. For a slope b every pole gives an allowed
+//         range for a (lo ≤ a + b·s − z ≤ hi); if the ranges do not overlap we search for the slope that maximises
+//         the overlap (a concave function of b). The line is then centred in the remaining range, so reveals sit
+//         as far from both limits as possible, and each pole's reveal is checked against the window. When no
+//         slope fits every pole, the line is instead placed by the minimum-earthworks solver (earthworks.js)
+//         and the failing poles get cut/fill depths.
+// Data dictionary:
+// - Inputs:
+//   - poles: [{ frame, pole, label, x, y, z }] for one frame (sorted by pole)
+//   - limits: output of buildLimits (lo/hi in coordinate units, maxSlope as a ratio)
+// - Outputs:
+//   - { frameId, trackerType, poles: [{ ...pole, s, tubeZ, reveal, revealMm, status, note, cut, fill, gradeZ }],
+//       slope, slopePct, intercept, feasible, status, passCount, failCount, totalCut, totalFill, ... }
+
+import { EPS, minimiseConvex, regressionSlope, summariseFrame, withStations } from "./common";
+import { applyGrading, gradeFlatFrame } from "./earthworks";
+
+/**
+ * Lowest and highest tube intercept that keeps every pole inside the reveal window for slope b.
+ */
+function interceptRange(pts, b, lo, hi) {
+  let lower = -Infinity;
+  let upper = Infinity;
+  for (const p of pts) {
+    lower = Math.max(lower, lo + p.z - b * p.s);
+    upper = Math.min(upper, hi + p.z - b * p.s);
+  }
+  return { lower, upper };
+}
+
+/**
+ * Evaluates the straight tube line tubeZ = a + b·s for a frame.
+ */
+export function evaluateLine(frameId, pts, a, b, limits) {
+  const withTube = pts.map((p) => ({ ...p, tubeZ: a + b * p.s }));
+  return summariseFrame(frameId, withTube, limits, { slope: b, slopePct: b * 100, intercept: a });
+}
+
+/**
+ * Fits the straight tube line for one flat tracker frame and checks every pole's reveal.
+ */
+export function analyseFlatFrame(frameId, poles, limits) {
+  const pts = withStations(poles);
+  const none = pts.map(() => 0);
+  if (!pts.length) return applyGrading(evaluateLine(frameId, pts, 0, 0, limits), none, none, limits);
+
+  const { lo, hi, maxSlope } = limits;
+  const margin = (b) => {
+    const { lower, upper } = interceptRange(pts, b, lo, hi);
+    return upper - lower;
+  };
+
+  let b = Math.max(-maxSlope, Math.min(maxSlope, regressionSlope(pts)));
+  if (margin(b) < -EPS) {
+    // Regression slope does not fit the window: use the slope with the most room (or least overlap).
+    b = minimiseConvex((v) => -margin(v), -maxSlope, maxSlope);
+  }
+
+  if (margin(b) < -EPS) {
+    // No straight line fits every pole: place it for the least cut + fill instead.
+    const graded = gradeFlatFrame(pts, limits);
+    return applyGrading(evaluateLine(frameId, pts, graded.a, graded.b, limits), graded.cut, graded.fill, limits);
+  }
+
+  const { lower, upper } = interceptRange(pts, b, lo, hi);
+  const a = (lower + upper) / 2;
+
+  return applyGrading(evaluateLine(frameId, pts, a, b, limits), none, none, limits);
+}
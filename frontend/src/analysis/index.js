@@ -0,0 +1,16 @@
+// index.js
+// Purpose: Entry point for the frame analysis; picks the flat or XTR solver from the limits' tracker type.
+// Name: index.js
+// Date created: 2026-10-19
+// Method: Thin dispatcher so pages do not need to know which solver applies.
+// Data dictionary:
+// - Inputs: frameId (string), poles (Pole[]), limits (buildLimits output)
+// - Output: frame result (see flatTracker.js / xtr.js)
+
+import { analyseFlatFrame } from "./flatTracker";
+import { analyseXtrFrame } from "./xtr";
+
+export function analyseFrame(frameId, poles, limits) {
+  if (limits.trackerType === "xtr") return analyseXtrFrame(frameId, poles, limits);
+  return analyseFlatFrame(frameId, poles, limits);
+}
@@ -0,0 +1,237 @@
+// layout.js
+// Purpose: Frame walking order and neighbours: frame id order, spatial row order and the frames around a frame.
+// Name: layout.js
+// Date created: 2026-10-19
+// Method: Each frame is reduced to its centroid and tube direction (first pole -> last pole). The site tube axis is
+//         the average of all frame directions (flipped into one half-plane first). Centroids are projected on
+//         that axis ("along", rows are stacked along it) and on its perpendicular ("across", frames in a row sit
+//         side by side). Frames are grouped into rows by their along coordinate: a frame joins the current row
+//         while it is within half the median frame length of the row's mean. Rows are walked from the far end
+//         of the axis (north for N-S tubes) and frames in a row from the low across side (west), like reading
+//         a plan. Neighbours are the previous / next frame in the row and the nearest frame (by across) in the
+//         rows before and after. Tube continuity compares a frame result with a neighbour's: the tube step
+//         between their closest poles and the largest step where the neighbour's poles project inside the frame.
+//         The chosen walking order is remembered in localStorage (pcl_frame_order).
+// Data dictionary:
+// - Inputs:
+//   - frames: Map<frameId, poles [{ x, y }]> (groupFrames output)
+//   - result / other: frame results (poles with label, x, y, s, tubeZ)
+// - Outputs:
+//   - frameLayout: { order: { frame: [frameId], row: [frameId] }, rows: [[frameId]], info: Map<frameId,
+//                    { cx, cy, length, along, across, row, index }>, axis: { ux, uy } }
+//   - frameNeighbours(layout, frameId): { prevInRow, nextInRow, prevRow, nextRow } (frame ids or null)
+//   - nearbyFrames(layout, frameId, count): ids of the frames with the closest centroids (the frame included)
+//   - stationsOnFrame(result, poles): stations of the poles along the result's tube
+//   - tubeContinuity(result, other): { gap, from, to, step, maxStep }
+
+export const FRAME_ORDERS = {
+  frame: "Frame order",
+  row: "Row order",
+};
+
+// Rows are split when a frame is further than this share of the median frame length from the row's mean
+const ROW_TOLERANCE = 0.5;
+
+const compareIds = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Frame centroids, tube axis, rows and both walking orders.
+ */
+export function frameLayout(frames) {
+  const info = new Map();
+  let sx = 0;
+  let sy = 0;
+  let ref = null;
+
+  for (const [frameId, poles] of frames) {
+    if (!poles.length) continue;
+    const first = poles[0];
+    const last = poles[poles.length - 1];
+    const dx = last.x - first.x;
+    const dy = last.y - first.y;
+    const length = Math.hypot(dx, dy);
+    info.set(String(frameId), {
+      cx: poles.reduce((acc, p) => acc + p.x, 0) / poles.length,
+      cy: poles.reduce((acc, p) => acc + p.y, 0) / poles.length,
+      length,
+    });
+
+    // Frame directions point either way along the axis: flip them into the half-plane of the first one
+    if (length > 1e-9) {
+      let ux = dx / length;
+      let uy = dy / length;
+      if (!ref) ref = { ux, uy };
+      else if (ux * ref.ux + uy * ref.uy < 0) {
+        ux = -ux;
+        uy = -uy;
+      }
+      sx += ux;
+      sy += uy;
+    }
+  }
+
+  // Point the axis north (or east when the tubes run exactly east-west) so rows are walked from the top of the plan
+  const norm = Math.hypot(sx, sy);
+  let ux = norm > 1e-9 ? sx / norm : 0;
+  let uy = norm > 1e-9 ? sy / norm : 1;
+  if (uy < 0 || (Math.abs(uy) < 1e-9 && ux < 0)) {
+    ux = -ux;
+    uy = -uy;
+  }
+
+  for (const f of info.values()) {
+    f.along = f.cx * ux + f.cy * uy;
+    f.across = f.cx * uy - f.cy * ux;
+  }
+
+  const ids = [...info.keys()];
+  const tolerance = Math.max(median(ids.map((id) => info.get(id).length)) * ROW_TOLERANCE, 1e-6);
+
+  const rows = [];
+  let current = null;
+  for (const id of [...ids].sort((a, b) => info.get(b).along - info.get(a).along)) {
+    const along = info.get(id).along;
+    if (current && Math.abs(current.mean - along) <= tolerance) {
+      current.ids.push(id);
+      current.mean += (along - current.mean) / current.ids.length;
+    } else {
+      current = { ids: [id], mean: along };
+      rows.push(current);
+    }
+  }
+
+  const rowIds = rows.map((row) => row.ids.sort((a, b) => info.get(a).across - info.get(b).across));
+  rowIds.forEach((row, r) =>
+    row.forEach((id, index) => {
+      const f = info.get(id);
+      f.row = r;
+      f.index = index;
+    })
+  );
+
+  return {
+    order: { frame: [...ids].sort(compareIds), row: rowIds.flat() },
+    rows: rowIds,
+    info,
+    axis: { ux, uy },
+  };
+}
+
+// Frame in another row closest across to the given frame
+function closestInRow(layout, row, across) {
+  let best = null;
+  let bestD = Infinity;
+  for (const id of layout.rows[row] || []) {
+    const d = Math.abs(layout.info.get(id).across - across);
+    if (d < bestD) {
+      bestD = d;
+      best = id;
+    }
+  }
+  return best;
+}
+
+/**
+ * Previous / next frame in the same row and the nearest frame in the rows either side.
+ */
+export function frameNeighbours(layout, frameId) {
+  const f = layout.info.get(String(frameId));
+  if (!f) return { prevInRow: null, nextInRow: null, prevRow: null, nextRow: null };
+  const row = layout.rows[f.row];
+  return {
+    prevInRow: row[f.index - 1] ?? null,
+    nextInRow: row[f.index + 1] ?? null,
+    prevRow: closestInRow(layout, f.row - 1, f.across),
+    nextRow: closestInRow(layout, f.row + 1, f.across),
+  };
+}
+
+/**
+ * The `count` frames with centroids closest to the given frame (itself first).
+ */
+export function nearbyFrames(layout, frameId, count) {
+  const f = layout.info.get(String(frameId));
+  if (!f) return [];
+  return [...layout.info.entries()]
+    .map(([id, g]) => ({ id, d: Math.hypot(g.cx - f.cx, g.cy - f.cy) }))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, count)
+    .map((e) => e.id);
+}
+
+/**
+ * Stations of other poles measured along a frame's tube (from its first pole towards its last).
+ */
+export function stationsOnFrame(result, poles) {
+  const first = result.poles[0];
+  const last = result.poles[result.poles.length - 1];
+  const len = Math.hypot(last.x - first.x, last.y - first.y);
+  const ux = len > 1e-9 ? (last.x - first.x) / len : 0;
+  const uy = len > 1e-9 ? (last.y - first.y) / len : 0;
+  return poles.map((p) => (p.x - first.x) * ux + (p.y - first.y) * uy);
+}
+
+// Tube elevation of a result at station s (linear between its poles, none outside the frame)
+function tubeAtStation(result, s) {
+  const poles = result.poles;
+  if (poles.length === 1) return Math.abs(s - poles[0].s) < 1e-6 ? poles[0].tubeZ : null;
+  for (let i = 1; i < poles.length; i++) {
+    const a = poles[i - 1];
+    const b = poles[i];
+    if (s >= a.s - 1e-6 && s <= b.s + 1e-6) {
+      const ds = b.s - a.s;
+      return ds > 1e-9 ? a.tubeZ + ((b.tubeZ - a.tubeZ) * (s - a.s)) / ds : a.tubeZ;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tube continuity between a frame and a neighbour: the step between their closest poles and, where the
+ * neighbour's poles fall within the frame's stations (side-by-side trackers), the largest tube step.
+ */
+export function tubeContinuity(result, other) {
+  let nearest = null;
+  for (const p of result.poles) {
+    for (const q of other.poles) {
+      const gap = Math.hypot(q.x - p.x, q.y - p.y);
+      if (!nearest || gap < nearest.gap) nearest = { gap, from: p.label, to: q.label, step: q.tubeZ - p.tubeZ };
+    }
+  }
+
+  let maxStep = null;
+  stationsOnFrame(result, other.poles).forEach((s, i) => {
+    const own = tubeAtStation(result, s);
+    if (own === null) return;
+    const step = other.poles[i].tubeZ - own;
+    if (maxStep === null || Math.abs(step) > Math.abs(maxStep)) maxStep = step;
+  });
+
+  return { ...nearest, maxStep };
+}
+
+const ORDER_KEY = "pcl_frame_order";
+
+export function loadFrameOrder() {
+  try {
+    const saved = localStorage.getItem(ORDER_KEY);
+    if (saved in FRAME_ORDERS) return saved;
+  } catch {
+    // ignore unreadable settings
+  }
+  return "frame";
+}
+
+export function saveFrameOrder(order) {
+  try {
+    localStorage.setItem(ORDER_KEY, order);
+  } catch {
+    // storage unavailable: the order just is not remembered
+  }
+}
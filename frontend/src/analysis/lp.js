@@ -0,0 +1,194 @@
+// lp.js
+// Purpose: Small dense linear program solver used by the frame optimisers (XTR segments, earthworks).
+// Name: lp.js
+// Date created: 2026-10-19
+// Method: Two-phase tableau simplex. Phase 1 drives artificial variables to zero to find a feasible basis,
+//         phase 2 minimises the real objective. Dantzig pricing with a fall back to Bland's rule if the
+//         iteration count gets large (prevents cycling on degenerate problems). Pricing, pivot and ratio
+//         tolerances are relative to the size of the row or column they compare, so badly scaled rows (1 / ds
+//         next to unit weights) do not read round-off as an unbounded ray. Frames have tens of poles, so a dense
+//         tableau is plenty fast.
+// Data dictionary:
+// - Inputs:
+//   - c (number[]): objective coefficients (minimised)
+//   - rows ([{ a: number[], op: "<=" | ">=" | "=", b: number }]): constraints, a has one entry per variable
+//   - free (boolean[]): variables allowed to go negative (others are ≥ 0)
+// - Outputs:
+//   - { status: "optimal" | "infeasible" | "unbounded" | "iteration_limit", x: number[], objective: number }
+
+const TOL = 1e-9;
+// A pivot element must be at least this fraction of the largest entry in its column
+const PIVOT_TOL = 1e-7;
+
+function pivot(T, basis, r, c) {
+  const row = T[r];
+  const pv = row[c];
+  for (let j = 0; j < row.length; j++) row[j] /= pv;
+
+  for (let i = 0; i < T.length; i++) {
+    if (i === r) continue;
+    const f = T[i][c];
+    if (Math.abs(f) < 1e-15) continue;
+    const ri = T[i];
+    for (let j = 0; j < ri.length; j++) ri[j] -= f * row[j];
+  }
+
+  basis[r] = c;
+}
+
+// Minimises the objective held in the last tableau row. `allowed(j)` filters entering columns.
+function runSimplex(T, basis, allowed) {
+  const m = T.length - 1;
+  const w = T[0].length - 1;
+  const obj = T[m];
+  const blandAfter = 50 * (m + w);
+  const maxIter = 200 * (m + w);
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    const bland = iter > blandAfter;
+
+    let costScale = 1;
+    for (let j = 0; j < w; j++) if (allowed(j)) costScale = Math.max(costScale, Math.abs(obj[j]));
+    const costTol = TOL * costScale;
+
+    let enter = -1;
+    let best = -costTol;
+    for (let j = 0; j < w; j++) {
+      if (!allowed(j) || obj[j] >= -costTol) continue;
+      if (bland) {
+        enter = j;
+        break;
+      }
+      if (obj[j] < best) {
+        best = obj[j];
+        enter = j;
+      }
+    }
+    if (enter < 0) return "optimal";
+
+    let colMax = 0;
+    for (let i = 0; i < m; i++) colMax = Math.max(colMax, Math.abs(T[i][enter]));
+    const pivotTol = Math.max(TOL, PIVOT_TOL * colMax);
+
+    let leave = -1;
+    let ratio = Infinity;
+    for (let i = 0; i < m; i++) {
+      const a = T[i][enter];
+      if (a <= pivotTol) continue;
+      const r = Math.max(0, T[i][w]) / a;
+      const tie = leave < 0 ? 0 : TOL * Math.max(1, ratio);
+      if (leave < 0 || r < ratio - tie || (Math.abs(r - ratio) <= tie && basis[i] < basis[leave])) {
+        ratio = r;
+        leave = i;
+      }
+    }
+    if (leave < 0) return "unbounded";
+
+    pivot(T, basis, leave, enter);
+  }
+
+  return "iteration_limit";
+}
+
+/**
+ * Solves: minimise c·x subject to rows, x ≥ 0 except where free[j] is true.
+ */
+export function solveLP({ c, rows, free = [] }) {
+  const nv = c.length;
+
+  // Column layout: [original vars][negative parts of free vars][slack/surplus][artificial]
+  const negCol = new Array(nv).fill(-1);
+  let nCols = nv;
+  for (let j = 0; j < nv; j++) {
+    if (free[j]) negCol[j] = nCols++;
+  }
+
+  const slackCol = new Array(rows.length).fill(-1);
+  const artCol = new Array(rows.length).fill(-1);
+  const sign = rows.map((r) => (r.b < 0 ? -1 : 1));
+  const ops = rows.map((r, i) => {
+    if (sign[i] > 0 || r.op === "=") return r.op;
+    return r.op === "<=" ? ">=" : "<=";
+  });
+
+  ops.forEach((op, i) => {
+    if (op !== "=") slackCol[i] = nCols++;
+  });
+  const firstArt = nCols;
+  ops.forEach((op, i) => {
+    if (op !== "<=") artCol[i] = nCols++;
+  });
+
+  const m = rows.length;
+  const T = [];
+  const basis = new Array(m).fill(-1);
+
+  for (let i = 0; i < m; i++) {
+    const row = new Array(nCols + 1).fill(0);
+    const s = sign[i];
+    const a = rows[i].a;
+    for (let j = 0; j < nv; j++) {
+      const v = (a[j] || 0) * s;
+      row[j] = v;
+      if (negCol[j] >= 0) row[negCol[j]] = -v;
+    }
+    if (slackCol[i] >= 0) row[slackCol[i]] = ops[i] === "<=" ? 1 : -1;
+    if (artCol[i] >= 0) row[artCol[i]] = 1;
+    row[nCols] = rows[i].b * s;
+
+    basis[i] = ops[i] === "<=" ? slackCol[i] : artCol[i];
+    T.push(row);
+  }
+
+  // Phase 1: minimise the sum of artificial variables
+  const obj1 = new Array(nCols + 1).fill(0);
+  for (let i = 0; i < m; i++) {
+    if (artCol[i] < 0) continue;
+    for (let j = 0; j <= nCols; j++) obj1[j] -= T[i][j];
+    obj1[artCol[i]] += 1;
+  }
+  T.push(obj1);
+
+  const status1 = runSimplex(T, basis, () => true);
+  if (status1 === "iteration_limit") return { status: status1, x: new Array(nv).fill(0), objective: NaN };
+  const bScale = rows.reduce((acc, r) => Math.max(acc, Math.abs(r.b)), 1);
+  if (-T[m][nCols] > 1e-7 * bScale) return { status: "infeasible", x: new Array(nv).fill(0), objective: NaN };
+
+  // Move any zero-valued artificial variables out of the basis
+  for (let i = 0; i < m; i++) {
+    if (basis[i] < firstArt) continue;
+    for (let j = 0; j < firstArt; j++) {
+      if (Math.abs(T[i][j]) > TOL) {
+        pivot(T, basis, i, j);
+        break;
+      }
+    }
+  }
+
+  // Phase 2: real objective
+  const obj2 = new Array(nCols + 1).fill(0);
+  for (let j = 0; j < nv; j++) {
+    obj2[j] = c[j];
+    if (negCol[j] >= 0) obj2[negCol[j]] = -c[j];
+  }
+  for (let i = 0; i < m; i++) {
+    const cb = obj2[basis[i]];
+    if (!cb) continue;
+    for (let j = 0; j <= nCols; j++) obj2[j] -= cb * T[i][j];
+  }
+  T[m] = obj2;
+
+  const status2 = runSimplex(T, basis, (j) => j < firstArt);
+
+  const values = new Array(nCols).fill(0);
+  for (let i = 0; i < m; i++) values[basis[i]] = T[i][nCols];
+
+  const x = new Array(nv);
+  let objective = 0;
+  for (let j = 0; j < nv; j++) {
+    x[j] = values[j] - (negCol[j] >= 0 ? values[negCol[j]] : 0);
+    objective += c[j] * x[j];
+  }
+
+  return { status: status2, x, objective };
+}
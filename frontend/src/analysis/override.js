@@ -0,0 +1,114 @@
+// override.js
+// Purpose: What-if tube lines: evaluate a frame with tube elevations set by the engineer instead of the optimiser.
+// Name: override.js
+// Date created: 2026-10-19
+// Method: An override stores tube elevations at named poles: the first and last pole for a flat tracker (a straight
+//         line), every pole for XTR (the joint elevations). The tube at each pole is interpolated by station
+//         between the override points (extended along the end segments), each reveal is checked against the
+//         window, and the ground change a pole needs at that fixed tube becomes its cut (reveal below the minimum)
+//         or fill (reveal above the maximum). Slope limits are not enforced, only reported as warnings.
+//         Overrides are matched to poles by Frame.Pole label; one that no longer matches the frame is ignored.
+// Data dictionary:
+// - Inputs:
+//   - poles: [{ frame, pole, label, x, y, z }] for one frame (sorted by pole)
+//   - limits: output of buildLimits
+//   - override: { trackerType, points: [{ label, tubeZ }], updatedAt }
+// - Outputs:
+//   - overridePoints(result): editable points for a frame result
+//   - applyOverride: frame result (same shape as the optimiser's) with overridden: true and overrideWarnings,
+//                    or null when the override does not fit the frame
+
+import { summariseFrame, withStations } from "./common";
+import { applyGrading } from "./earthworks";
+import { evaluateLine } from "./flatTracker";
+import { describeSegments } from "./xtr";
+
+// Slope comparisons allow for rounding of typed elevations
+const SLOPE_EPS = 1e-7;
+
+/**
+ * Editable tube points for a result: first + last pole (flat) or every pole (XTR).
+ */
+export function overridePoints(result) {
+  const poles = result.poles;
+  if (!poles.length) return [];
+  const picked = result.trackerType === "xtr" || poles.length < 2 ? poles : [poles[0], poles[poles.length - 1]];
+  return picked.map((p) => ({ label: p.label, tubeZ: p.tubeZ }));
+}
+
+/**
+ * Tube elevation at station s, linear between the (station-sorted) override points.
+ */
+function tubeAt(anchors, s) {
+  if (anchors.length === 1) return anchors[0].tubeZ;
+  let i = 1;
+  while (i < anchors.length - 1 && s > anchors[i].s) i++;
+  const a = anchors[i - 1];
+  const b = anchors[i];
+  const ds = b.s - a.s;
+  if (Math.abs(ds) < 1e-9) return a.tubeZ;
+  return a.tubeZ + ((b.tubeZ - a.tubeZ) * (s - a.s)) / ds;
+}
+
+/**
+ * Evaluates a frame on an overridden tube line. Returns null when the override does not fit the frame.
+ */
+export function applyOverride(frameId, poles, limits, override) {
+  if (!override?.points?.length || override.trackerType !== limits.trackerType) return null;
+
+  const pts = withStations(poles);
+  const byLabel = new Map(pts.map((p) => [p.label, p]));
+  const anchors = [];
+  for (const o of override.points) {
+    const p = byLabel.get(o.label);
+    if (!p || !Number.isFinite(o.tubeZ)) return null;
+    anchors.push({ s: p.s, tubeZ: o.tubeZ });
+  }
+  const expected = limits.trackerType === "xtr" ? pts.length : Math.min(2, pts.length);
+  if (anchors.length !== expected) return null;
+  anchors.sort((a, b) => a.s - b.s);
+
+  const warnings = [];
+  let result;
+
+  if (limits.trackerType === "xtr") {
+    const withTube = pts.map((p) => ({ ...p, tubeZ: tubeAt(anchors, p.s) }));
+    const described = describeSegments(withTube, limits);
+
+    const steep = described.segments.filter((seg) => Math.abs(seg.slope) > limits.maxSlope + SLOPE_EPS);
+    if (steep.length) {
+      warnings.push(
+        `${steep.length} segment(s) steeper than the max incline (${(limits.maxSlope * 100).toFixed(2)}%).`
+      );
+    }
+    const sharp = described.joints.filter((j) => Math.abs(j.changePct) / 100 > limits.maxJointChange + SLOPE_EPS);
+    if (sharp.length) {
+      warnings.push(`Joint slope change over the limit at ${sharp.map((j) => j.label).join(", ")}.`);
+    }
+    if (described.cumulativeChangePct / 100 > limits.maxCumulativeChange + SLOPE_EPS) {
+      warnings.push(`Cumulative slope change ${described.cumulativeChangePct.toFixed(2)}% is over the limit.`);
+    }
+
+    result = summariseFrame(frameId, withTube, limits, {
+      ...described,
+      forcedBy: { incline: [], joint: [], cumulative: [] },
+    });
+  } else {
+    const first = anchors[0];
+    const last = anchors[anchors.length - 1];
+    const b = last.s - first.s > 1e-9 ? (last.tubeZ - first.tubeZ) / (last.s - first.s) : 0;
+    const a = first.tubeZ - b * first.s;
+    if (Math.abs(b) > limits.maxSlope + SLOPE_EPS) {
+      warnings.push(
+        `Tube slope ${(b * 100).toFixed(2)}% is steeper than the max incline (${(limits.maxSlope * 100).toFixed(2)}%).`
+      );
+    }
+    result = evaluateLine(frameId, pts, a, b, limits);
+  }
+
+  // Ground change each pole needs to bring its reveal back into the window at this tube
+  const cut = result.poles.map((p) => Math.max(0, limits.lo - p.reveal));
+  const fill = result.poles.map((p) => Math.max(0, p.reveal - limits.hi));
+
+  return { ...applyGrading(result, cut, fill, limits), overridden: true, overrideWarnings: warnings };
+}
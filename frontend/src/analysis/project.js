@@ -0,0 +1,100 @@
+// project.js
+// Purpose: Run the frame analysis over every frame in the project and collect the poles that need grading.
+// Name: project.js
+// Date created: 2026-10-19
+// Method: Groups the copied columns into frames, builds limits once and analyses each frame in BOM order.
+//         A frame that throws is recorded as an error instead of stopping the run. An optional onProgress
+//         callback is called after every frame (used by the batch Web Worker). Cut/fill volumes are then
+//         estimated over a TIN of all analysed poles (tin.js). A run can be limited to a set of frame ids (plot
+//         selection); mergeResults folds such a run into an earlier one and re-estimates the volumes. Frames with a
+//         saved what-if tube override are evaluated on that tube instead of being optimised.
+// Data dictionary:
+// - Inputs:
+//   - columns: { frame, pole, x, y, z } arrays as copied in Review.jsx
+//   - params: Parameters page payload
+//   - onProgress (optional): (done, total) => void
+//   - options (optional): { frameIds: Set<string> analyse only these frames,
+//                           overrides: { [frameId]: what-if tube (override.js) } used instead of the optimiser }
+// - Outputs:
+//   - { results: FrameResult[] (with .volume), errors: [{ frameId, message }], volumes: { total, triangleCount } }
+//     (total and every .volume are null when the pole TIN has no triangles)
+//   - mergeResults(previous, next, frameIds): previous run with the frames in frameIds replaced by next
+//   - gradingList(results): [{ frameId, label, x, y, z, gradeZ, cut, fill, tubeZ }] for graded poles only
+
+import { buildLimits, groupFrames } from "./common";
+import { analyseFrame } from "./index";
+import { applyOverride } from "./override";
+import { estimateVolumes } from "./tin";
+
+export function analyseProject(columns, params, onProgress, { frameIds = null, overrides = null } = {}) {
+  const limits = buildLimits(params);
+  const frames = groupFrames(columns);
+  if (frameIds) {
+    for (const id of frames.keys()) if (!frameIds.has(id)) frames.delete(id);
+  }
+  const total = frames.size;
+
+  const results = [];
+  const errors = [];
+  let done = 0;
+  for (const [frameId, poles] of frames) {
+    try {
+      const overridden = overrides?.[frameId] ? applyOverride(frameId, poles, limits, overrides[frameId]) : null;
+      results.push(overridden || analyseFrame(frameId, poles, limits));
+    } catch (e) {
+      errors.push({ frameId, message: e?.message || "Analysis failed." });
+    }
+    done++;
+    if (onProgress) onProgress(done, total);
+  }
+
+  const { results: withVolumes, total: volumeTotal, triangleCount } = estimateVolumes(results);
+
+  return { results: withVolumes, errors, volumes: { total: volumeTotal, triangleCount } };
+}
+
+/**
+ * Replaces the frames in frameIds of an earlier run with a new (partial) run and re-estimates the volumes over
+ * the combined TIN.
+ */
+export function mergeResults(previous, next, frameIds) {
+  const keep = (r) => !frameIds.has(String(r.frameId));
+  const results = [...previous.results.filter(keep), ...next.results];
+  const errors = [...previous.errors.filter(keep), ...next.errors];
+  const { results: withVolumes, total, triangleCount } = estimateVolumes(results);
+  return { results: withVolumes, errors, volumes: { total, triangleCount } };
+}
+
+/**
+ * Flattens frame results into the project-wide cut/fill list (poles with a ground change only).
+ */
+export function gradingList(results) {
+  const out = [];
+  for (const r of results) {
+    for (const p of r.poles) {
+      if (!(p.cut > 0 || p.fill > 0)) continue;
+      out.push({
+        frameId: r.frameId,
+        label: p.label,
+        x: p.x,
+        y: p.y,
+        z: p.z,
+        gradeZ: p.gradeZ,
+        cut: p.cut,
+        fill: p.fill,
+        tubeZ: p.tubeZ,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Per-frame status for colouring: "pass", "grade" (needs grading) or "fail" (analysis error).
+ */
+export function frameStatusMap(results, errors) {
+  const out = new Map();
+  for (const r of results) out.set(String(r.frameId), r);
+  for (const e of errors) out.set(String(e.frameId), { frameId: e.frameId, status: "fail", message: e.message });
+  return out;
+}
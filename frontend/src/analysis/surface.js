@@ -0,0 +1,178 @@
+// surface.js
+// Purpose: Sample a surveyed existing-ground TIN at pile X/Y positions and swap it in as the analysis Z.
+// Name: surface.js
+// Date created: 2026-10-19
+// Method: Triangles are bucketed into a uniform grid over the surface extent (about two triangles per cell) so a
+//         pile only tests the triangles in its cell. The elevation is the linear (barycentric) interpolation on
+//         the containing triangle; piles outside the surface get NaN. The sampled column is cached per surface
+//         and X/Y column objects so pages can call withSurfaceZ on every render.
+// Data dictionary:
+// - Inputs:
+//   - surface: { points: Float64Array (x, y, z interleaved), triangles: Uint32Array (3 point indexes each) }
+//   - columns: { frame, pole, x, y, z } copied columns
+//   - zSource: "bom" (Z column from the upload) | "survey" (sampled from the surface)
+// - Outputs:
+//   - sampleSurface: z at (x, y) or NaN
+//   - sampleColumns: Float64Array of surface Z per row (NaN outside)
+//   - withSurfaceZ: columns with z replaced when zSource is "survey" (BOM Z kept where the surface has no value)
+//   - surfaceComparison: { sampled, outside, meanDiff, maxAbsDiff } survey Z − BOM Z
+
+import { toNum } from "./common";
+
+const TRIANGLES_PER_CELL = 2;
+const EDGE_EPS = 1e-9;
+
+const indexCache = new WeakMap();
+const sampleCache = new WeakMap();
+
+function buildIndex(surface) {
+  const { points, triangles } = surface;
+  const nTri = triangles.length / 3;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < points.length; i += 3) {
+    minX = Math.min(minX, points[i]);
+    maxX = Math.max(maxX, points[i]);
+    minY = Math.min(minY, points[i + 1]);
+    maxY = Math.max(maxY, points[i + 1]);
+  }
+
+  const cellsWanted = Math.max(1, Math.ceil(nTri / TRIANGLES_PER_CELL));
+  const width = Math.max(maxX - minX, EDGE_EPS);
+  const height = Math.max(maxY - minY, EDGE_EPS);
+  const size = Math.sqrt((width * height) / cellsWanted) || 1;
+  const nx = Math.max(1, Math.ceil(width / size));
+  const ny = Math.max(1, Math.ceil(height / size));
+
+  const cells = Array.from({ length: nx * ny }, () => []);
+  const cellOf = (v, min, n) => Math.min(n - 1, Math.max(0, Math.floor((v - min) / size)));
+
+  for (let t = 0; t < nTri; t++) {
+    const a = triangles[3 * t] * 3;
+    const b = triangles[3 * t + 1] * 3;
+    const c = triangles[3 * t + 2] * 3;
+    const c0 = cellOf(Math.min(points[a], points[b], points[c]), minX, nx);
+    const c1 = cellOf(Math.max(points[a], points[b], points[c]), minX, nx);
+    const r0 = cellOf(Math.min(points[a + 1], points[b + 1], points[c + 1]), minY, ny);
+    const r1 = cellOf(Math.max(points[a + 1], points[b + 1], points[c + 1]), minY, ny);
+    for (let r = r0; r <= r1; r++) {
+      for (let col = c0; col <= c1; col++) cells[r * nx + col].push(t);
+    }
+  }
+
+  return { surface, minX, minY, maxX, maxY, size, nx, ny, cells };
+}
+
+function getIndex(surface) {
+  let index = indexCache.get(surface);
+  if (!index) {
+    index = buildIndex(surface);
+    indexCache.set(surface, index);
+  }
+  return index;
+}
+
+/**
+ * Surface elevation at (x, y) by linear interpolation on the containing triangle, NaN outside the surface.
+ */
+export function sampleSurface(surface, x, y) {
+  const index = getIndex(surface);
+  if (x < index.minX || x > index.maxX || y < index.minY || y > index.maxY) return NaN;
+
+  const col = Math.min(index.nx - 1, Math.floor((x - index.minX) / index.size));
+  const row = Math.min(index.ny - 1, Math.floor((y - index.minY) / index.size));
+  const { points, triangles } = surface;
+
+  for (const t of index.cells[row * index.nx + col]) {
+    const a = triangles[3 * t] * 3;
+    const b = triangles[3 * t + 1] * 3;
+    const c = triangles[3 * t + 2] * 3;
+
+    const x1 = points[a];
+    const y1 = points[a + 1];
+    const x2 = points[b];
+    const y2 = points[b + 1];
+    const x3 = points[c];
+    const y3 = points[c + 1];
+
+    const det = (y2 - y3) * (x1 - x3) + (x3 - x2) * (y1 - y3);
+    if (Math.abs(det) < EDGE_EPS) continue;
+
+    const l1 = ((y2 - y3) * (x - x3) + (x3 - x2) * (y - y3)) / det;
+    const l2 = ((y3 - y1) * (x - x3) + (x1 - x3) * (y - y3)) / det;
+    const l3 = 1 - l1 - l2;
+    if (l1 < -EDGE_EPS || l2 < -EDGE_EPS || l3 < -EDGE_EPS) continue;
+
+    return l1 * points[a + 2] + l2 * points[b + 2] + l3 * points[c + 2];
+  }
+  return NaN;
+}
+
+/**
+ * Surface Z for every copied row (NaN where X/Y is missing or outside the surface).
+ */
+export function sampleColumns(surface, columns) {
+  const byX = sampleCache.get(surface);
+  const cached = byX?.get(columns.x);
+  if (cached && cached.y === columns.y) return cached.z;
+
+  const n = Math.min(columns.x?.length || 0, columns.y?.length || 0);
+  const z = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const x = toNum(columns.x[i]);
+    const y = toNum(columns.y[i]);
+    z[i] = x === null || y === null ? NaN : sampleSurface(surface, x, y);
+  }
+
+  const map = byX || new WeakMap();
+  map.set(columns.x, { y: columns.y, z });
+  if (!byX) sampleCache.set(surface, map);
+  return z;
+}
+
+/**
+ * Columns the analysis should use: the BOM Z, or the survey surface Z (falling back to the BOM Z outside it).
+ */
+export function withSurfaceZ(columns, surface, zSource) {
+  if (!columns || !surface || zSource !== "survey") return columns;
+
+  const sampled = sampleColumns(surface, columns);
+  const z = Float64Array.from(sampled, (v, i) => (Number.isNaN(v) ? (toNum(columns.z?.[i]) ?? NaN) : v));
+  return { ...columns, z };
+}
+
+/**
+ * Survey Z − BOM Z statistics over the rows where both exist.
+ */
+export function surfaceComparison(surface, columns) {
+  const surveyZ = sampleColumns(surface, columns);
+  let sampled = 0;
+  let compared = 0;
+  let outside = 0;
+  let sum = 0;
+  let maxAbs = 0;
+
+  for (let i = 0; i < surveyZ.length; i++) {
+    if (Number.isNaN(surveyZ[i])) {
+      outside++;
+      continue;
+    }
+    sampled++;
+    const bomZ = toNum(columns.z?.[i]);
+    if (bomZ === null) continue;
+    const d = surveyZ[i] - bomZ;
+    compared++;
+    sum += d;
+    maxAbs = Math.max(maxAbs, Math.abs(d));
+  }
+
+  return {
+    sampled,
+    outside,
+    meanDiff: compared ? sum / compared : NaN,
+    maxAbsDiff: compared ? maxAbs : NaN,
+  };
+}
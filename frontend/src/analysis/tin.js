@@ -0,0 +1,190 @@
+// tin.js
+// Purpose: Delaunay TIN of the BOM terrain points and cut/fill volume estimation against a graded design surface.
+// Name: tin.js
+// Date created: 2026-10-19
+// Method: Delaunator triangulates the pole X/Y points. Triangles with an edge longer than a multiple of the
+//         median edge length are dropped so the convex hull does not bridge gaps between blocks. The design
+//         surface is the same TIN with each graded pole's Z replaced by its design ground, so the difference
+//         surface is linear on every triangle. Its integral splits exactly into one term per vertex:
+//         volume_i = d_i · (area of triangles around i) / 3, which lets volumes be attributed to poles and frames.
+// Data dictionary:
+// - Inputs:
+//   - points: [{ x, y, z }] terrain points
+//   - results: frame results with poles carrying x, y, z, gradeZ
+// - Outputs:
+//   - buildTin: { points, triangles: Uint32Array (3 indices per triangle), area: Float64Array (per triangle) }
+//   - estimateVolumes: { results, byFrame: Map<frameId, { cut, fill, net }>, total: { cut, fill, net }, triangleCount }
+//                      results are copies carrying r.volume and pole.volume (signed, + = fill); the inputs are not
+//                      changed. With no triangles nothing can be estimated: volumes and total are null.
+//   - volumeHeatmap: { x0, dx, y0, dy, z[][] } grid of net volume per cell
+
+import Delaunator from "delaunator";
+
+// Triangles with an edge longer than this many median edge lengths are discarded
+export const MAX_EDGE_FACTOR = 3;
+
+// Tooltip for pages that show "Volume not estimated"
+export const VOLUME_NOT_ESTIMATED_HELP =
+  "The TIN of the analysed poles has no triangles (fewer than three poles, or all on one line), so cut/fill " +
+  "volumes cannot be estimated.";
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Builds a Delaunay TIN from X/Y/Z points.
+ */
+export function buildTin(points, { maxEdgeFactor = MAX_EDGE_FACTOR } = {}) {
+  if (points.length < 3) {
+    return { points, triangles: new Uint32Array(0), area: new Float64Array(0) };
+  }
+
+  const coords = new Float64Array(points.length * 2);
+  points.forEach((p, i) => {
+    coords[2 * i] = p.x;
+    coords[2 * i + 1] = p.y;
+  });
+
+  const d = new Delaunator(coords);
+  const tri = d.triangles;
+  const nTri = tri.length / 3;
+
+  const edgeLen = (a, b) => Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y);
+  const longest = new Float64Array(nTri);
+  const edges = [];
+  for (let t = 0; t < nTri; t++) {
+    const a = tri[3 * t];
+    const b = tri[3 * t + 1];
+    const c = tri[3 * t + 2];
+    const ab = edgeLen(a, b);
+    const bc = edgeLen(b, c);
+    const ca = edgeLen(c, a);
+    longest[t] = Math.max(ab, bc, ca);
+    edges.push(ab, bc, ca);
+  }
+
+  const maxEdge = median(edges) * maxEdgeFactor;
+  const kept = [];
+  const area = [];
+  for (let t = 0; t < nTri; t++) {
+    if (maxEdge > 0 && longest[t] > maxEdge) continue;
+    const a = points[tri[3 * t]];
+    const b = points[tri[3 * t + 1]];
+    const c = points[tri[3 * t + 2]];
+    const ar = Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+    if (ar <= 0) continue;
+    kept.push(tri[3 * t], tri[3 * t + 1], tri[3 * t + 2]);
+    area.push(ar);
+  }
+
+  return { points, triangles: Uint32Array.from(kept), area: Float64Array.from(area) };
+}
+
+/**
+ * Area of the TIN attributed to each vertex (one third of every triangle it belongs to).
+ */
+export function vertexAreas(tin) {
+  const out = new Float64Array(tin.points.length);
+  for (let t = 0; t < tin.area.length; t++) {
+    const share = tin.area[t] / 3;
+    out[tin.triangles[3 * t]] += share;
+    out[tin.triangles[3 * t + 1]] += share;
+    out[tin.triangles[3 * t + 2]] += share;
+  }
+  return out;
+}
+
+/**
+ * Estimates cut/fill volumes between existing ground and the graded design surface.
+ * Returns copies of the results with `volume` on each frame and pole (signed: + fill, − cut), per-frame and project
+ * totals. The results passed in may be held by React state or the store, so they are left untouched.
+ */
+export function estimateVolumes(results) {
+  const points = [];
+  for (const r of results) {
+    for (const p of r.poles) points.push(p);
+  }
+
+  const tin = buildTin(points);
+  const triangleCount = tin.area.length;
+  const byFrame = new Map();
+
+  if (!triangleCount) {
+    const unestimated = results.map((r) => ({
+      ...r,
+      volume: null,
+      poles: r.poles.map((p) => ({ ...p, volume: null })),
+    }));
+    return { results: unestimated, byFrame, total: null, triangleCount };
+  }
+
+  const areas = vertexAreas(tin);
+  const total = { cut: 0, fill: 0, net: 0 };
+
+  let i = 0;
+  const annotated = results.map((r) => {
+    const frameVol = { cut: 0, fill: 0, net: 0 };
+    const poles = r.poles.map((p) => {
+      const d = (Number.isFinite(p.gradeZ) ? p.gradeZ : p.z) - p.z;
+      const volume = d * areas[i++];
+      if (volume > 0) frameVol.fill += volume;
+      else frameVol.cut -= volume;
+      return { ...p, volume };
+    });
+    frameVol.net = frameVol.fill - frameVol.cut;
+    byFrame.set(String(r.frameId), frameVol);
+
+    total.cut += frameVol.cut;
+    total.fill += frameVol.fill;
+    return { ...r, poles, volume: frameVol };
+  });
+  total.net = total.fill - total.cut;
+
+  return { results: annotated, byFrame, total, triangleCount };
+}
+
+/**
+ * Bins pole volumes into a regular grid for a Plotly heatmap (net volume per cell, + fill / − cut).
+ * Empty cells are null so they render transparent.
+ */
+export function volumeHeatmap(results, cells = 80) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const r of results) {
+    for (const p of r.poles) {
+      if (!Number.isFinite(p.volume)) continue;
+      minX = Math.min(minX, p.x);
+      maxX = Math.max(maxX, p.x);
+      minY = Math.min(minY, p.y);
+      maxY = Math.max(maxY, p.y);
+    }
+  }
+  if (!Number.isFinite(minX)) return null;
+
+  const size = Math.max(maxX - minX, maxY - minY, 1) / cells;
+  const nx = Math.max(1, Math.ceil((maxX - minX) / size) + 1);
+  const ny = Math.max(1, Math.ceil((maxY - minY) / size) + 1);
+  const z = Array.from({ length: ny }, () => new Array(nx).fill(null));
+
+  for (const r of results) {
+    for (const p of r.poles) {
+      if (!Number.isFinite(p.volume) || p.volume === 0) continue;
+      const col = Math.floor((p.x - minX) / size);
+      const row = Math.floor((p.y - minY) / size);
+      z[row][col] = (z[row][col] || 0) + p.volume;
+    }
+  }
+
+  return {
+    x0: minX + size / 2,
+    dx: size,
+    y0: minY + size / 2,
+    dy: size,
+    z,
+  };
+}
@@ -0,0 +1,79 @@
+// units.js
+// Purpose: Project units: what the BOM coordinates are in and what reveals / tolerances are entered and shown in.
+// Name: units.js
+// Date created: 2026-10-19
+// Method: The units are chosen on the Parameters page and saved with the parameters (coordUnit, revealUnit), so
+//         every consumer of the parameters (analysis, worker, pages, exports) sees the same setting; projects
+//         saved before the setting existed read as metres + millimetres. Reveal values are entered in the reveal
+//         unit and converted to millimetres by buildLimits; the analysis keeps working in coordinate units and
+//         millimetres (revealMm) and pages convert back for display. US survey feet are 1200/3937 m exactly,
+//         international feet 0.3048 m.
+// Data dictionary:
+// - COORD_UNITS: { [key]: { label, short, metres, landXml } } (landXml = LandXML linearUnit name)
+// - REVEAL_UNITS: { [key]: { label, short, mm, digits } } (digits = decimals shown)
+// - units: { coord, reveal } (keys of the tables above)
+// - Outputs:
+//   - paramsUnits / projectUnits: units of a parameters payload / project
+//   - mmPerCoordUnit, revealFromMm, revealToMm, convertRevealText, fmtReveal, coordSuffix, volumeSuffix
+
+export const COORD_UNITS = {
+  m: { label: "Metres", short: "m", metres: 1, landXml: "meter" },
+  usft: { label: "US survey feet", short: "US ft", metres: 1200 / 3937, landXml: "USSurveyFoot" },
+  ft: { label: "International feet", short: "ft", metres: 0.3048, landXml: "foot" },
+};
+
+export const REVEAL_UNITS = {
+  mm: { label: "Millimetres", short: "mm", mm: 1, digits: 0 },
+  in: { label: "Inches", short: "in", mm: 25.4, digits: 1 },
+  ft: { label: "Feet", short: "ft", mm: 304.8, digits: 2 },
+};
+
+export const DEFAULT_UNITS = { coord: "m", reveal: "mm" };
+
+// Decimals kept when a typed value is converted to another reveal unit (enough to convert back unchanged)
+const CONVERT_DIGITS = { mm: 2, in: 3, ft: 4 };
+
+/**
+ * Units of a Parameters payload (unknown or missing keys fall back to metres + millimetres).
+ */
+export function paramsUnits(params) {
+  return {
+    coord: params?.coordUnit in COORD_UNITS ? params.coordUnit : DEFAULT_UNITS.coord,
+    reveal: params?.revealUnit in REVEAL_UNITS ? params.revealUnit : DEFAULT_UNITS.reveal,
+  };
+}
+
+export function projectUnits(project) {
+  return paramsUnits(project?.params);
+}
+
+export const mmPerCoordUnit = (units) => COORD_UNITS[units.coord].metres * 1000;
+
+export const revealFromMm = (mm, units) => mm / REVEAL_UNITS[units.reveal].mm;
+
+export const revealToMm = (value, units) => value * REVEAL_UNITS[units.reveal].mm;
+
+/**
+ * A typed reveal value moved from one reveal unit to another (blank / non-numeric text is kept as is).
+ */
+export function convertRevealText(text, from, to) {
+  const s = String(text ?? "").trim();
+  const v = Number(s);
+  if (s === "" || !Number.isFinite(v) || from === to) return text;
+  const converted = (v * REVEAL_UNITS[from].mm) / REVEAL_UNITS[to].mm;
+  return String(Number(converted.toFixed(CONVERT_DIGITS[to])));
+}
+
+/**
+ * Millimetres shown in the reveal unit, e.g. "1200 mm" or "47.2 in" (withUnit false leaves the suffix off).
+ */
+export function fmtReveal(mm, units, withUnit = true) {
+  if (!Number.isFinite(mm)) return "—";
+  const unit = REVEAL_UNITS[units.reveal];
+  const text = revealFromMm(mm, units).toFixed(unit.digits);
+  return withUnit ? `${text} ${unit.short}` : text;
+}
+
+export const coordSuffix = (units) => COORD_UNITS[units.coord].short;
+
+export const volumeSuffix = (units) => `${COORD_UNITS[units.coord].short}³`;
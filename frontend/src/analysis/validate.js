@@ -0,0 +1,274 @@
+// validate.js
+// Purpose: Check the copied BOM columns for problems before anyone moves on to Parameters or the analysis.
+// Name: validate.js
+// Date created: 2026-10-19
+// Method: One pass over the copied rows finds missing frame ids and non-numeric X/Y/Z (rows the analysis would
+//         drop), missing pole ids (the analysis numbers those poles by row, as groupFrames does), repeated
+//         Frame.Pole ids and rows sharing the same X/Y. The rows are then grouped into frames to check:
+//         - pole count: counts used by no more than EXPECTED_COUNT_SHARE of the frames are unexpected
+//         - pole order: sorted by pole id, the poles must move steadily along the tube (first -> last pole)
+//         - spacing: gaps between consecutive poles are clustered; a gap that matches no common spacing is flagged
+//         - elevation: Z outside the site's interquartile fences, or a spike against the line through the two
+//           neighbouring poles that is far bigger than the site's usual spike (only the largest of adjacent
+//           spikes, since one bad Z also bends its neighbours' lines)
+//         Each issue points at the copied row(s) involved; the page maps those to sheet rows.
+// Data dictionary:
+// - Inputs:
+//   - columns: { frame, pole, x, y, z, invalidText } copied columns (arrays or Float64Array, NaN = non-numeric;
+//              invalidText holds the original text of stored non-numeric cells, quoted in the messages)
+// - Outputs:
+//   - validateColumns: { issues: [{ type, severity ("error" | "warning"), rows: [copied row index], frame,
+//                        label, message }], counts: { [type]: n }, errors, warnings }
+//   - ISSUE_TYPES: { [type]: { label, severity } }
+
+import { toIdPiece, toNum } from "./common";
+
+export const ISSUE_TYPES = {
+  missingId: { label: "Missing Frame", severity: "error" },
+  missingPole: { label: "Missing Pole", severity: "warning" },
+  nonNumeric: { label: "Non-numeric X / Y / Z", severity: "error" },
+  duplicateId: { label: "Duplicate Frame.Pole", severity: "error" },
+  duplicateXY: { label: "Duplicate coordinates", severity: "warning" },
+  poleCount: { label: "Unexpected pole count", severity: "warning" },
+  poleOrder: { label: "Out-of-order poles", severity: "warning" },
+  spacing: { label: "Unusual pole spacing", severity: "warning" },
+  elevation: { label: "Outlier elevation", severity: "warning" },
+};
+
+// Pole counts used by no more than this share of the frames are flagged
+const EXPECTED_COUNT_SHARE = 0.05;
+// Spacing clusters: gaps within max(SPACING_TOL, SPACING_REL × gap) belong together; a cluster is common when it
+// holds at least SPACING_MIN_SHARE of all gaps (and 3 gaps)
+const SPACING_TOL = 0.02;
+const SPACING_REL = 0.01;
+const SPACING_MIN_SHARE = 0.01;
+// Minimum data before the statistical checks are meaningful
+const MIN_FRAMES = 5;
+const MIN_GAPS = 10;
+// Elevation fences: quartiles ± this many interquartile ranges; spikes over this many median spikes
+const Z_FENCE = 3;
+const SPIKE_FACTOR = 8;
+// X/Y are matched to this many decimals when looking for duplicates
+const XY_DECIMALS = 3;
+
+const fmt = (v, digits = 3) => (Number.isFinite(v) ? v.toFixed(digits) : String(v));
+
+function quantile(sorted, q) {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return quantile(sorted, 0.5);
+}
+
+const comparePoles = (a, b) => {
+  const na = Number(a.pole);
+  const nb = Number(b.pole);
+  if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  return String(a.pole).localeCompare(String(b.pole), undefined, { numeric: true });
+};
+
+/**
+ * Runs every check over the copied columns.
+ */
+export function validateColumns({ frame = [], pole = [], x = [], y = [], z = [], invalidText = null }) {
+  const n = Math.min(frame.length, pole.length, x.length, y.length, z.length);
+  const issues = [];
+  const add = (type, rows, frameId, label, message) =>
+    issues.push({ type, severity: ISSUE_TYPES[type].severity, rows, frame: frameId, label, message });
+
+  const frames = new Map();
+  const byLabel = new Map();
+  const byXY = new Map();
+
+  for (let i = 0; i < n; i++) {
+    const f = toIdPiece(frame[i]);
+    if (!f) {
+      add("missingId", [i], f, "", "Frame id is empty. The analysis skips this row.");
+      continue;
+    }
+    // Same fallback as groupFrames: a row without a pole id takes its row number
+    const p = toIdPiece(pole[i]) || String(i + 1);
+    const label = `${f}.${p}`;
+    if (!toIdPiece(pole[i])) {
+      add("missingPole", [i], f, label, `Pole id is empty. The analysis uses the row number: ${label}.`);
+    }
+
+    const xv = toNum(x[i]);
+    const yv = toNum(y[i]);
+    const zv = toNum(z[i]);
+    const bad = [
+      ["X", xv, invalidText?.x?.[i] ?? x[i]],
+      ["Y", yv, invalidText?.y?.[i] ?? y[i]],
+      ["Z", zv, invalidText?.z?.[i] ?? z[i]],
+    ].filter(([, v]) => v === null);
+    if (bad.length) {
+      // A stored NaN without its text was blank (or saved before the text was kept)
+      const quote = (raw) => (typeof raw === "number" ? "" : String(raw ?? "").trim());
+      const detail = bad
+        .map(([name, , raw]) => (quote(raw) ? `${name} "${quote(raw)}"` : `${name} (empty)`))
+        .join(", ");
+      add("nonNumeric", [i], f, label, `Not a number: ${detail}. The analysis skips this row.`);
+      continue;
+    }
+
+    if (byLabel.has(label)) {
+      // only the first copy goes on to the frame checks
+      add("duplicateId", [byLabel.get(label), i], f, label, `${label} appears more than once.`);
+      continue;
+    }
+    byLabel.set(label, i);
+
+    const key = `${xv.toFixed(XY_DECIMALS)},${yv.toFixed(XY_DECIMALS)}`;
+    if (byXY.has(key)) {
+      const first = byXY.get(key);
+      add("duplicateXY", [first.row, i], f, label, `Same X/Y as ${first.label} (${fmt(xv)}, ${fmt(yv)}).`);
+    } else {
+      byXY.set(key, { row: i, label });
+    }
+
+    if (!frames.has(f)) frames.set(f, []);
+    frames.get(f).push({ row: i, frame: f, pole: p, label, x: xv, y: yv, z: zv });
+  }
+
+  for (const poles of frames.values()) poles.sort(comparePoles);
+  const frameList = [...frames.entries()];
+
+  // Pole count per frame
+  if (frameList.length >= MIN_FRAMES) {
+    const countFrames = new Map();
+    for (const [, poles] of frameList) countFrames.set(poles.length, (countFrames.get(poles.length) || 0) + 1);
+    const expected = [...countFrames.entries()]
+      .filter(([, k]) => k / frameList.length > EXPECTED_COUNT_SHARE)
+      .map(([count]) => count)
+      .sort((a, b) => a - b);
+    for (const [f, poles] of frameList) {
+      if (expected.includes(poles.length)) continue;
+      add(
+        "poleCount",
+        [poles[0].row],
+        f,
+        `Frame ${f}`,
+        `${poles.length} pole${poles.length === 1 ? "" : "s"}; most frames have ${expected.join(" or ")}.`
+      );
+    }
+  }
+
+  // Pole order along the tube and spacing between consecutive poles
+  const gaps = [];
+  for (const [f, poles] of frameList) {
+    if (poles.length < 2) continue;
+    const first = poles[0];
+    const last = poles[poles.length - 1];
+    const len = Math.hypot(last.x - first.x, last.y - first.y);
+    if (len < 1e-9) continue;
+    const ux = (last.x - first.x) / len;
+    const uy = (last.y - first.y) / len;
+
+    for (let k = 1; k < poles.length; k++) {
+      const a = poles[k - 1];
+      const b = poles[k];
+      const ds = (b.x - a.x) * ux + (b.y - a.y) * uy;
+      if (ds <= 0) {
+        add("poleOrder", [b.row], f, b.label, `${b.label} is not beyond ${a.label} along the tube.`);
+      }
+      gaps.push({ gap: Math.hypot(b.x - a.x, b.y - a.y), row: b.row, frame: f, from: a.label, to: b.label });
+    }
+  }
+
+  if (gaps.length >= MIN_GAPS) {
+    const sorted = [...gaps].sort((a, b) => a.gap - b.gap);
+    const clusters = [];
+    for (const g of sorted) {
+      const c = clusters[clusters.length - 1];
+      if (c && g.gap - c.last <= Math.max(SPACING_TOL, SPACING_REL * g.gap)) {
+        c.items.push(g);
+        c.last = g.gap;
+      } else {
+        clusters.push({ items: [g], last: g.gap });
+      }
+    }
+    const common = clusters.filter((c) => c.items.length >= 3 && c.items.length / gaps.length >= SPACING_MIN_SHARE);
+    const usual = common
+      .map((c) => fmt(median(c.items.map((g) => g.gap)), 2))
+      .slice(0, 4)
+      .join(", ");
+    for (const c of clusters) {
+      if (common.includes(c)) continue;
+      for (const g of c.items) {
+        add(
+          "spacing",
+          [g.row],
+          g.frame,
+          g.to,
+          `${g.from} → ${g.to} is ${fmt(g.gap, 2)} apart${usual ? `; usual spacing ${usual}` : ""}.`
+        );
+      }
+    }
+  }
+
+  // Elevation outliers: site-wide fences, then spikes against the neighbouring poles
+  const all = frameList.flatMap(([, poles]) => poles);
+  if (all.length >= MIN_GAPS) {
+    const zs = all.map((p) => p.z).sort((a, b) => a - b);
+    const q1 = quantile(zs, 0.25);
+    const q3 = quantile(zs, 0.75);
+    const lo = q1 - Z_FENCE * (q3 - q1);
+    const hi = q3 + Z_FENCE * (q3 - q1);
+    const flagged = new Set();
+    for (const p of all) {
+      if (p.z >= lo && p.z <= hi) continue;
+      flagged.add(p.row);
+      add("elevation", [p.row], p.frame, p.label, `Z ${fmt(p.z)} is far outside the site range.`);
+    }
+
+    const spikes = [];
+    for (const [f, poles] of frameList) {
+      const run = [];
+      for (let k = 1; k < poles.length - 1; k++) {
+        const a = poles[k - 1];
+        const p = poles[k];
+        const b = poles[k + 1];
+        const da = Math.hypot(p.x - a.x, p.y - a.y);
+        const db = Math.hypot(b.x - p.x, b.y - p.y);
+        if (da + db < 1e-9 || flagged.has(a.row) || flagged.has(b.row)) {
+          run.push(null);
+          continue;
+        }
+        run.push({ f, p, spike: p.z - (a.z + ((b.z - a.z) * da) / (da + db)) });
+      }
+      run.forEach((s, k) => {
+        if (!s) return;
+        const size = Math.abs(s.spike);
+        s.peak = size >= Math.abs(run[k - 1]?.spike ?? 0) && size >= Math.abs(run[k + 1]?.spike ?? 0);
+        spikes.push(s);
+      });
+    }
+    const typical = median(spikes.map((s) => Math.abs(s.spike)));
+    if (spikes.length >= MIN_GAPS && typical > 0) {
+      for (const { f, p, spike, peak } of spikes) {
+        if (!peak || flagged.has(p.row) || Math.abs(spike) <= SPIKE_FACTOR * typical) continue;
+        add(
+          "elevation",
+          [p.row],
+          f,
+          p.label,
+          `Z ${fmt(p.z)} is ${fmt(Math.abs(spike))} ${spike > 0 ? "above" : "below"} the line between its neighbours.`
+        );
+      }
+    }
+  }
+
+  issues.sort((a, b) => a.rows[0] - b.rows[0]);
+  const counts = {};
+  for (const t of Object.keys(ISSUE_TYPES)) counts[t] = 0;
+  for (const issue of issues) counts[issue.type]++;
+  const errors = issues.filter((issue) => issue.severity === "error").length;
+
+  return { issues, counts, errors, warnings: issues.length - errors };
+}
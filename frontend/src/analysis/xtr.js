@@ -0,0 +1,252 @@
+// xtr.js
+// Purpose: XTR (terrain-following) pile reveal check for a single frame.
+// Name: xtr.js
+// Date created: 2026-10-19
+// Method: The torque tube is a chain of straight segments between consecutive poles. Unknowns are the reveals
+//         r_i (tube elevation = z_i + r_i). A linear program keeps every segment within ±maxIncline, every joint's
+//         slope change within maxJointChange and the summed absolute joint changes within maxCumulativeChange.
+//         Reveals outside the window are allowed through heavily weighted violation variables, so the solver
+//         first minimises how far poles fall outside the window, then centres reveals, then prefers straighter
+//         tubes. Reveals are shifted by a floor well below the window so every variable is non-negative and the LP
+//         is bounded. For frames that still fail, the LP is re-solved with each limit relaxed to find which limit
+//         forces grading at which poles. The violation variables are the minimum cut (reveal too low) and fill
+//         (reveal too high) depths at each pole, passed on through applyGrading. If the LP does not solve, the
+//         frame falls back to the flat tracker's straight tube (which meets every XTR limit) and is flagged.
+// Data dictionary:
+// - Inputs:
+//   - poles: [{ frame, pole, label, x, y, z }] for one frame (sorted by pole)
+//   - limits: output of buildLimits with trackerType "xtr"
+// - Outputs:
+//   - { ...summariseFrame result, segments: [{ from, to, slopePct }], joints: [{ label, changePct, atLimit }],
+//       cumulativeChangePct, forcedBy: { incline: [label], joint: [label], cumulative: [label] },
+//       straightFallback: true when the LP did not solve }
+//     plus the cut/fill fields added by applyGrading (earthworks.js)
+//   - describeSegments: { segments, joints, cumulativeChangePct } for any tube through the poles (what-if edits)
+
+import { EPS, summariseFrame, withStations } from "./common";
+import { applyGrading } from "./earthworks";
+import { analyseFlatFrame } from "./flatTracker";
+import { solveLP } from "./lp";
+
+const VIOLATION_WEIGHT = 1000;
+const CENTRE_WEIGHT = 1;
+const BEND_WEIGHT = 0.1;
+
+// Guards against duplicate pole coordinates (zero-length segments)
+const MIN_SEGMENT = 1e-3;
+
+/**
+ * Solves the segment LP. Returns reveals r, per-pole cut (below min = v) and fill (above max = w)
+ * and their sum as the violation, or null if the LP did not solve.
+ */
+function solveSegments(pts, lo, hi, { maxSlope, maxJointChange, maxCumulativeChange }) {
+  const n = pts.length;
+  const nj = Math.max(0, n - 2);
+  const mid = (lo + hi) / 2;
+
+  // Segment i joins pole i and i+1: slope m_i = g_i + (r_{i+1} − r_i) / ds_i
+  const ds = [];
+  const g = [];
+  for (let i = 0; i < n - 1; i++) {
+    const d = Math.max(MIN_SEGMENT, pts[i + 1].s - pts[i].s);
+    ds.push(d);
+    g.push((pts[i + 1].z - pts[i].z) / d);
+  }
+
+  // Reveal floor. An optimal tube never has every pole below lo, since lifting it would reduce every violation, so
+  // no reveal is more than the terrain relief plus the tube's rise below lo. The floor leaves a margin under that.
+  const zs = pts.map((p) => p.z);
+  const relief = Math.max(...zs) - Math.min(...zs);
+  const length = n > 1 ? pts[n - 1].s - pts[0].s : 0;
+  const bendCap = Number.isFinite(maxCumulativeChange)
+    ? maxCumulativeChange
+    : Number.isFinite(maxJointChange)
+      ? nj * maxJointChange
+      : 0;
+  const slopeCap = Number.isFinite(maxSlope) ? maxSlope : Math.max(0, ...g.map(Math.abs)) + bendCap;
+  const margin = relief + length * slopeCap + (hi - lo) + 1;
+  const floor = lo - margin;
+
+  // Variable layout: r[n] (reveal − floor), v[n], w[n], k[n] (|r − mid|), u[nj] (|joint change|)
+  const R = 0;
+  const V = n;
+  const W = 2 * n;
+  const K = 3 * n;
+  const U = 4 * n;
+  const nv = 4 * n + nj;
+
+  const c = new Array(nv).fill(0);
+  for (let i = 0; i < n; i++) {
+    c[V + i] = VIOLATION_WEIGHT;
+    c[W + i] = VIOLATION_WEIGHT;
+    c[K + i] = CENTRE_WEIGHT;
+  }
+  for (let j = 0; j < nj; j++) c[U + j] = BEND_WEIGHT;
+
+  const rows = [];
+  const row = (entries, op, b) => {
+    const a = new Array(nv).fill(0);
+    for (const [idx, val] of entries) a[idx] += val;
+    rows.push({ a, op, b });
+  };
+
+  // Slope and joint rows only hold reveal differences, so the shift by floor only touches these
+  for (let i = 0; i < n; i++) {
+    row([[R + i, 1], [V + i, 1]], ">=", lo - floor);
+    row([[R + i, 1], [W + i, -1]], "<=", hi - floor);
+    row([[R + i, 1], [K + i, -1]], "<=", mid - floor);
+    row([[R + i, -1], [K + i, -1]], "<=", floor - mid);
+  }
+
+  if (Number.isFinite(maxSlope)) {
+    for (let i = 0; i < n - 1; i++) {
+      const d = ds[i];
+      row([[R + i + 1, 1 / d], [R + i, -1 / d]], "<=", maxSlope - g[i]);
+      row([[R + i + 1, -1 / d], [R + i, 1 / d]], "<=", maxSlope + g[i]);
+    }
+  }
+
+  // Joint j sits at pole j+1: change = m_{j+1} − m_j
+  for (let j = 0; j < nj; j++) {
+    const a = j;
+    const b = j + 1;
+    const entries = [
+      [R + b + 1, 1 / ds[b]],
+      [R + b, -1 / ds[b] - 1 / ds[a]],
+      [R + a, 1 / ds[a]],
+    ];
+    const dg = g[b] - g[a];
+
+    row([...entries, [U + j, -1]], "<=", -dg);
+    row([...entries.map(([idx, val]) => [idx, -val]), [U + j, -1]], "<=", dg);
+    if (Number.isFinite(maxJointChange)) row([[U + j, 1]], "<=", maxJointChange);
+  }
+
+  if (nj > 0 && Number.isFinite(maxCumulativeChange)) {
+    row(Array.from({ length: nj }, (_, j) => [U + j, 1]), "<=", maxCumulativeChange);
+  }
+
+  const { status, x } = solveLP({ c, rows });
+  if (status !== "optimal") return null;
+
+  // A reveal on the floor means it did bind after all: do not trust the solution
+  const r = x.slice(R, R + n);
+  if (r.some((v) => !Number.isFinite(v) || v <= EPS)) return null;
+
+  return {
+    r: r.map((v) => v + floor),
+    cut: x.slice(V, V + n),
+    fill: x.slice(W, W + n),
+    violation: Array.from({ length: n }, (_, i) => x[V + i] + x[W + i]),
+  };
+}
+
+/**
+ * Straight tube from the flat tracker solver, used when the segment LP does not solve. A straight tube within
+ * the max incline has no joint changes, so it meets every XTR limit.
+ */
+function straightTubeFrame(frameId, poles, pts, limits) {
+  const flat = analyseFlatFrame(frameId, poles, limits);
+  const withTube = pts.map((p, i) => ({ ...p, tubeZ: flat.poles[i].tubeZ }));
+  const result = summariseFrame(frameId, withTube, limits, {
+    ...describeSegments(withTube, limits),
+    forcedBy: { incline: [], joint: [], cumulative: [] },
+    straightFallback: true,
+  });
+  return applyGrading(
+    result,
+    flat.poles.map((p) => p.cut),
+    flat.poles.map((p) => p.fill),
+    limits
+  );
+}
+
+/**
+ * Segment slopes, joint slope changes and the cumulative change of a tube through the poles' tubeZ.
+ */
+export function describeSegments(withTube, limits) {
+  const segments = [];
+  for (let i = 0; i < withTube.length - 1; i++) {
+    const a = withTube[i];
+    const b = withTube[i + 1];
+    const slope = (b.tubeZ - a.tubeZ) / Math.max(MIN_SEGMENT, b.s - a.s);
+    segments.push({ from: a.label, to: b.label, slope, slopePct: slope * 100 });
+  }
+
+  const joints = [];
+  let cumulative = 0;
+  for (let j = 1; j < segments.length; j++) {
+    const change = segments[j].slope - segments[j - 1].slope;
+    cumulative += Math.abs(change);
+    joints.push({
+      label: withTube[j].label,
+      changePct: change * 100,
+      atLimit: Math.abs(change) >= limits.maxJointChange - 1e-7,
+    });
+  }
+
+  return { segments, joints, cumulativeChangePct: cumulative * 100 };
+}
+
+/**
+ * Optimises XTR segment slopes for one frame and checks every pole's reveal.
+ */
+export function analyseXtrFrame(frameId, poles, limits) {
+  const pts = withStations(poles);
+  const { lo, hi } = limits;
+
+  if (!pts.length) {
+    const empty = summariseFrame(frameId, pts, limits, {
+      segments: [],
+      joints: [],
+      cumulativeChangePct: 0,
+      forcedBy: { incline: [], joint: [], cumulative: [] },
+    });
+    return applyGrading(empty, [], [], limits);
+  }
+
+  const solved = solveSegments(pts, lo, hi, limits);
+  if (!solved) return straightTubeFrame(frameId, poles, pts, limits);
+
+  const withTube = pts.map((p, i) => ({ ...p, tubeZ: p.z + solved.r[i] }));
+
+  const { segments, joints, cumulativeChangePct } = describeSegments(withTube, limits);
+
+  // Which limits force grading: relax each one and see which poles stop failing
+  const forcedBy = { incline: [], joint: [], cumulative: [] };
+  if (solved.violation.some((v) => v > EPS)) {
+    const relaxations = {
+      incline: { ...limits, maxSlope: Infinity },
+      joint: { ...limits, maxJointChange: Infinity },
+      cumulative: { ...limits, maxCumulativeChange: Infinity },
+    };
+
+    for (const [key, relaxed] of Object.entries(relaxations)) {
+      const relaxedSolve = solveSegments(pts, lo, hi, relaxed);
+      if (!relaxedSolve) continue;
+      const { violation } = relaxedSolve;
+      pts.forEach((p, i) => {
+        if (solved.violation[i] > EPS && violation[i] < solved.violation[i] - 1e-6) {
+          forcedBy[key].push(p.label);
+        }
+      });
+    }
+  }
+
+  const result = summariseFrame(frameId, withTube, limits, {
+    segments,
+    joints,
+    cumulativeChangePct,
+    forcedBy,
+  });
+
+  const forcedNames = { incline: "max incline", joint: "joint slope change", cumulative: "cumulative slope change" };
+  result.poles = result.poles.map((p) => {
+    if (p.status !== "fail") return p;
+    const causes = Object.keys(forcedBy).filter((key) => forcedBy[key].includes(p.label));
+    if (!causes.length) return p;
+    return { ...p, note: `${p.note} (limited by ${causes.map((key) => forcedNames[key]).join(", ")})` };
+  });
+
+  return applyGrading(result, solved.cut, solved.fill, limits);
+}
@@ -0,0 +1,29 @@
+// download.js
+// Purpose: Save generated text (CSV, LandXML, DXF…) as a file download in the browser.
+// Name: download.js
+// Date created: 2026-10-19
+// Method: Wraps the text in a Blob, clicks a temporary object-URL link, then releases the URL.
+// Data dictionary:
+// - Inputs: text, fileName, MIME type
+// - Output: browser download
+
+export function downloadText(text, fileName, type = "text/plain") {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * File-name-safe version of a project or file name (extension dropped).
+ */
+export function baseName(name, fallback = "Project") {
+  const base = String(name || "")
+    .replace(/\.[^.]+$/, "")
+    .replace(/[^A-Za-z0-9._-]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return base || fallback;
+}
@@ -0,0 +1,158 @@
+// dxf.js
+// Purpose: Write the frame layout and analysis results as an ASCII DXF drawing for overlaying on the site plan.
+// Name: dxf.js
+// Date created: 2026-10-19
+// Method: AutoCAD R12 (AC1009) DXF, which every CAD package reads. Each frame is a 2D POLYLINE through its poles
+//         (in pole order) on a layer named after the frame status; each pole gets a POINT at its ground elevation
+//         and a "Frame.Pole" TEXT label. Poles needing earthworks get a cut or fill annotation on the CUT (red) or
+//         FILL (blue) layer. X/Y are the BOM (or survey) coordinates used by the Run Analysis scatter, unscaled.
+//         Text height defaults to a fraction of the median pole spacing so labels fit between poles.
+// Data dictionary:
+// - Inputs:
+//   - layout: Map<frameId, poles [{ label, x, y, z }]> (groupFrames output, or one frame's result poles)
+//   - statuses (optional): Map<frameId, result | { status: "fail" }> (frameStatusMap output); result poles
+//                          carry cut / fill
+//   - options: { textHeight, decimals }
+// - Output:
+//   - buildDxf: DXF document as a string
+
+// Layer name -> AutoCAD colour index
+export const DXF_LAYERS = {
+  FRAMES_PASS: 3,
+  FRAMES_GRADE: 30,
+  FRAMES_FAIL: 1,
+  FRAMES_NOT_RUN: 8,
+  POLES: 7,
+  POLE_LABELS: 7,
+  CUT: 1,
+  FILL: 5,
+};
+
+const FRAME_LAYER = {
+  pass: "FRAMES_PASS",
+  grade: "FRAMES_GRADE",
+  fail: "FRAMES_FAIL",
+};
+
+// Label height as a fraction of the median pole spacing
+const TEXT_HEIGHT_RATIO = 0.12;
+const DEFAULT_TEXT_HEIGHT = 0.2;
+
+function medianSpacing(layout) {
+  const gaps = [];
+  for (const poles of layout.values()) {
+    for (let i = 1; i < poles.length; i++) {
+      const d = Math.hypot(poles[i].x - poles[i - 1].x, poles[i].y - poles[i - 1].y);
+      if (d > 0) gaps.push(d);
+    }
+  }
+  if (!gaps.length) return 0;
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+}
+
+// DXF text may not contain line breaks; everything else is written as-is
+const cleanText = (v) => String(v ?? "").replace(/[\r\n]+/g, " ");
+
+/**
+ * Builds an R12 DXF of frame polylines, pole points/labels and cut/fill annotations.
+ */
+export function buildDxf(layout, { statuses = null, textHeight, decimals = 3 } = {}) {
+  const spacing = medianSpacing(layout);
+  const h = textHeight > 0 ? textHeight : spacing * TEXT_HEIGHT_RATIO || DEFAULT_TEXT_HEIGHT;
+  const f = (v) => (Number.isFinite(v) ? v.toFixed(6) : "0.0");
+  const out = [];
+  const pair = (code, value) => out.push(String(code), String(value));
+
+  // Header + tables (line type and layers with their colours)
+  pair(0, "SECTION");
+  pair(2, "HEADER");
+  pair(9, "$ACADVER");
+  pair(1, "AC1009");
+  pair(0, "ENDSEC");
+
+  pair(0, "SECTION");
+  pair(2, "TABLES");
+  pair(0, "TABLE");
+  pair(2, "LTYPE");
+  pair(70, 1);
+  pair(0, "LTYPE");
+  pair(2, "CONTINUOUS");
+  pair(70, 0);
+  pair(3, "Solid line");
+  pair(72, 65);
+  pair(73, 0);
+  pair(40, "0.0");
+  pair(0, "ENDTAB");
+  pair(0, "TABLE");
+  pair(2, "LAYER");
+  pair(70, Object.keys(DXF_LAYERS).length);
+  for (const [name, colour] of Object.entries(DXF_LAYERS)) {
+    pair(0, "LAYER");
+    pair(2, name);
+    pair(70, 0);
+    pair(62, colour);
+    pair(6, "CONTINUOUS");
+  }
+  pair(0, "ENDTAB");
+  pair(0, "ENDSEC");
+
+  // Entities
+  const text = (layer, x, y, value) => {
+    pair(0, "TEXT");
+    pair(8, layer);
+    pair(10, f(x));
+    pair(20, f(y));
+    pair(30, "0.0");
+    pair(40, f(h));
+    pair(1, cleanText(value));
+  };
+
+  pair(0, "SECTION");
+  pair(2, "ENTITIES");
+
+  for (const [frameId, poles] of layout) {
+    const result = statuses?.get(String(frameId));
+    const layer = result ? FRAME_LAYER[result.status] || "FRAMES_NOT_RUN" : "FRAMES_NOT_RUN";
+
+    if (poles.length > 1) {
+      pair(0, "POLYLINE");
+      pair(8, layer);
+      pair(66, 1);
+      pair(10, "0.0");
+      pair(20, "0.0");
+      pair(30, "0.0");
+      pair(70, 0);
+      for (const p of poles) {
+        pair(0, "VERTEX");
+        pair(8, layer);
+        pair(10, f(p.x));
+        pair(20, f(p.y));
+        pair(30, "0.0");
+      }
+      pair(0, "SEQEND");
+      pair(8, layer);
+    }
+
+    // Cut/fill per pole comes from the analysed result (same order and labels as the layout poles)
+    const byLabel = new Map((result?.poles || []).map((p) => [p.label, p]));
+
+    for (const p of poles) {
+      pair(0, "POINT");
+      pair(8, "POLES");
+      pair(10, f(p.x));
+      pair(20, f(p.y));
+      pair(30, f(p.z));
+
+      text("POLE_LABELS", p.x + h * 0.5, p.y + h * 0.5, p.label);
+
+      const r = byLabel.get(p.label);
+      if (r?.cut > 0) text("CUT", p.x + h * 0.5, p.y - h * 1.5, `C ${r.cut.toFixed(decimals)}`);
+      else if (r?.fill > 0) text("FILL", p.x + h * 0.5, p.y - h * 1.5, `F ${r.fill.toFixed(decimals)}`);
+    }
+  }
+
+  pair(0, "ENDSEC");
+  pair(0, "EOF");
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,78 @@
+// geojson.js
+// Purpose: Write the frame layout in WGS 84 longitude / latitude as GeoJSON for sharing with GIS.
+// Name: geojson.js
+// Date created: 2026-10-19
+// Method: RFC 7946 GeoJSON needs WGS 84 coordinates, so each pole is reprojected from the project CRS
+//         (analysis/crs.js) before writing. Each frame is a LineString through its poles (in pole order) carrying
+//         the frame status; each pole is a Point carrying its label, grid X / Y / Z and, once the batch has run,
+//         its cut / fill. Positions keep 8 decimals (about 1 mm); elevations stay in the coordinate unit and are
+//         written as a property rather than a third coordinate, since GeoJSON heights are metres.
+// Data dictionary:
+// - Inputs:
+//   - layout: Map<frameId, poles [{ frame, pole, label, x, y, z }]> (groupFrames output)
+//   - crs: project CRS (analysis/crs.js)
+//   - statuses (optional): Map<frameId, result | { status: "fail" }> (frameStatusMap output)
+// - Output:
+//   - buildGeoJson: FeatureCollection as a JSON string
+
+import { FRAME_STATUS_LABELS } from "../analysis/common";
+import { toWgs84 } from "../analysis/crs";
+
+const DECIMALS = 8;
+
+const round = (v) => Number(v.toFixed(DECIMALS));
+
+/**
+ * Builds a GeoJSON FeatureCollection of frame lines and pole points in WGS 84.
+ */
+export function buildGeoJson(layout, crs, { statuses = null } = {}) {
+  const features = [];
+  const lonLat = (p) => {
+    const { lon, lat } = toWgs84(crs, p.x, p.y);
+    return [round(lon), round(lat)];
+  };
+
+  for (const [frameId, poles] of layout) {
+    const result = statuses?.get(String(frameId));
+    const status = result?.status || null;
+    const coords = poles.map(lonLat);
+
+    if (poles.length > 1) {
+      features.push({
+        type: "Feature",
+        geometry: { type: "LineString", coordinates: coords },
+        properties: {
+          kind: "frame",
+          frame: String(frameId),
+          poles: poles.length,
+          status,
+          statusLabel: status ? FRAME_STATUS_LABELS[status] : null,
+        },
+      });
+    }
+
+    // Cut/fill per pole comes from the analysed result (same labels as the layout poles)
+    const byLabel = new Map((result?.poles || []).map((p) => [p.label, p]));
+
+    poles.forEach((p, i) => {
+      const analysed = byLabel.get(p.label);
+      features.push({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: coords[i] },
+        properties: {
+          kind: "pole",
+          frame: String(frameId),
+          pole: p.pole,
+          label: p.label,
+          x: p.x,
+          y: p.y,
+          z: p.z,
+          cut: Number.isFinite(analysed?.cut) ? analysed.cut : null,
+          fill: Number.isFinite(analysed?.fill) ? analysed.fill : null,
+        },
+      });
+    });
+  }
+
+  return JSON.stringify({ type: "FeatureCollection", sourceCrs: crs.code, features });
+}
@@ -0,0 +1,136 @@
+// landxml.js
+// Purpose: Write analysis results as a LandXML 1.2 file for civil design and machine-control software.
+// Name: landxml.js
+// Date created: 2026-10-19
+// Method: Two CgPoints groups hold one point per pile: "Top of pile" (named Frame.Pole, code TOP) and
+//         "Proposed ground" (named Frame.Pole-PG, code PG, so names stay unique in the file). The proposed grading
+//         surface is the same TIN used for the volume estimate (analysis/tin.js) with each graded pole at its
+//         design ground and every other pole at existing ground, written as a TIN Surface with counter-clockwise
+//         faces. LandXML coordinates are "northing easting elevation", i.e. Y X Z.
+// Data dictionary:
+// - Inputs:
+//   - results: frame results (poles with label, x, y, z, tubeZ, gradeZ)
+//   - options: { projectName, linearUnit ("meter" | "foot" | "USSurveyFoot"), decimals, now (Date) }
+// - Output:
+//   - buildLandXml: LandXML 1.2 document as a string
+
+import { buildTin } from "../analysis/tin";
+
+const SCHEMA = "http://www.landxml.org/schema/LandXML-1.2";
+
+const METRIC_UNITS =
+  'areaUnit="squareMeter" linearUnit="meter" volumeUnit="cubicMeter" temperatureUnit="celsius" ' +
+  'pressureUnit="milliBars" angularUnit="decimal degrees" directionUnit="decimal degrees"';
+
+const IMPERIAL_UNITS = (linearUnit) =>
+  `areaUnit="squareFoot" linearUnit="${linearUnit}" volumeUnit="cubicFeet" temperatureUnit="fahrenheit" ` +
+  'pressureUnit="inHG" angularUnit="decimal degrees" directionUnit="decimal degrees"';
+
+export function escapeXml(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function collectPoles(results) {
+  const out = [];
+  for (const r of results) {
+    for (const p of r.poles) {
+      if (![p.x, p.y, p.z].every(Number.isFinite)) continue;
+      out.push({
+        label: p.label,
+        x: p.x,
+        y: p.y,
+        z: p.z,
+        tubeZ: p.tubeZ,
+        groundZ: Number.isFinite(p.gradeZ) ? p.gradeZ : p.z,
+        graded: p.cut > 0 || p.fill > 0,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Builds the LandXML 1.2 text for pile points + proposed grading surface.
+ */
+export function buildLandXml(results, { projectName = "", linearUnit = "meter", decimals = 4, now = new Date() } = {}) {
+  const poles = collectPoles(results);
+  const f = (v) => v.toFixed(decimals);
+  const nez = (y, x, z) => `${f(y)} ${f(x)} ${f(z)}`;
+
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+  const units = linearUnit === "meter" ? METRIC_UNITS : IMPERIAL_UNITS(linearUnit);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<LandXML xmlns="${SCHEMA}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ` +
+      `xsi:schemaLocation="${SCHEMA} ${SCHEMA}/LandXML-1.2.xsd" version="1.2" date="${date}" time="${time}">`,
+    `  <Units>`,
+    `    <${linearUnit === "meter" ? "Metric" : "Imperial"} ${units}/>`,
+    `  </Units>`,
+    `  <Project name="${escapeXml(projectName || "Project")}"/>`,
+    `  <Application name="PCL Earthworks Tool" manufacturer="PCL" version="1.0"/>`,
+  ];
+
+  lines.push(`  <CgPoints name="Top of pile">`);
+  for (const p of poles) {
+    if (!Number.isFinite(p.tubeZ)) continue;
+    lines.push(
+      `    <CgPoint name="${escapeXml(p.label)}" code="TOP" desc="Top of pile">${nez(p.y, p.x, p.tubeZ)}</CgPoint>`
+    );
+  }
+  lines.push(`  </CgPoints>`);
+
+  lines.push(`  <CgPoints name="Proposed ground">`);
+  for (const p of poles) {
+    const desc = p.graded ? "Proposed ground (graded)" : "Proposed ground (existing)";
+    lines.push(
+      `    <CgPoint name="${escapeXml(p.label)}-PG" code="PG" desc="${desc}">${nez(p.y, p.x, p.groundZ)}</CgPoint>`
+    );
+  }
+  lines.push(`  </CgPoints>`);
+
+  const tin = buildTin(poles.map((p) => ({ x: p.x, y: p.y, z: p.groundZ })));
+  if (tin.triangles.length) {
+    let elevMin = Infinity;
+    let elevMax = -Infinity;
+    for (const p of poles) {
+      elevMin = Math.min(elevMin, p.groundZ);
+      elevMax = Math.max(elevMax, p.groundZ);
+    }
+    const area = tin.area.reduce((sum, a) => sum + a, 0);
+
+    lines.push(`  <Surfaces>`);
+    lines.push(`    <Surface name="Proposed grading" desc="Existing ground with minimum pile cut/fill applied">`);
+    lines.push(
+      `      <Definition surfType="TIN" area2DSurf="${f(area)}" elevMin="${f(elevMin)}" elevMax="${f(elevMax)}">`
+    );
+    lines.push(`        <Pnts>`);
+    poles.forEach((p, i) => lines.push(`          <P id="${i + 1}">${nez(p.y, p.x, p.groundZ)}</P>`));
+    lines.push(`        </Pnts>`);
+    lines.push(`        <Faces>`);
+    for (let t = 0; t < tin.triangles.length; t += 3) {
+      let a = tin.triangles[t];
+      let b = tin.triangles[t + 1];
+      const c = tin.triangles[t + 2];
+      const cross =
+        (poles[b].x - poles[a].x) * (poles[c].y - poles[a].y) - (poles[c].x - poles[a].x) * (poles[b].y - poles[a].y);
+      if (cross < 0) [a, b] = [b, a];
+      lines.push(`          <F>${a + 1} ${b + 1} ${c + 1}</F>`);
+    }
+    lines.push(`        </Faces>`);
+    lines.push(`      </Definition>`);
+    lines.push(`    </Surface>`);
+    lines.push(`  </Surfaces>`);
+  }
+
+  lines.push(`</LandXML>`);
+  return lines.join("\n");
+}
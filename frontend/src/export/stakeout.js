@@ -0,0 +1,137 @@
+// stakeout.js
+// Purpose: Per-pole stakeout CSV for field crews' data collectors (PNEZD and common Trimble / Leica / Carlson layouts).
+// Name: stakeout.js
+// Date created: 2026-10-19
+// Method: Every analysed pole becomes one row numbered from a start point number in frame then pole order.
+//         A layout is an ordered list of field keys plus a header flag; presets cover the usual data collector
+//         imports and the user can reorder / toggle fields on top of any preset. The elevation staked is the
+//         design grade (existing ground where the pole needs no earthworks). Cut/fill is design − existing
+//         (+ = fill, − = cut). The last layout used is remembered in localStorage.
+// Data dictionary:
+// - Inputs:
+//   - results: frame results (poles with label, x, y, z, gradeZ, cut, fill, tubeZ)
+//   - layout: { columns: [field key], header: boolean }
+//   - options: { frameIds (Set, optional subset), startNumber, decimals }
+// - Outputs:
+//   - stakeoutRows: [{ point, description, frame, northing, easting, existing, design, cutFill, topOfPile }]
+//   - buildStakeoutCsv: CSV text
+
+export const STAKEOUT_FIELDS = {
+  point: "Point",
+  description: "Description",
+  frame: "Frame",
+  northing: "Northing",
+  easting: "Easting",
+  existing: "Existing grade",
+  design: "Design grade",
+  cutFill: "Cut/Fill",
+  topOfPile: "Top of pile",
+};
+
+export const STAKEOUT_PRESETS = {
+  full: {
+    label: "Full report",
+    columns: ["point", "description", "northing", "easting", "existing", "design", "cutFill", "topOfPile"],
+    header: true,
+  },
+  pnezd: {
+    label: "PNEZD (no header)",
+    columns: ["point", "northing", "easting", "design", "description"],
+    header: false,
+  },
+  trimble: {
+    label: "Trimble (P,E,N,Z,Code)",
+    columns: ["point", "easting", "northing", "design", "description"],
+    header: false,
+  },
+  leica: {
+    label: "Leica (Point ID,E,N,H,Code + cut/fill)",
+    columns: ["point", "easting", "northing", "design", "description", "cutFill"],
+    header: true,
+  },
+  carlson: {
+    label: "Carlson (P,N,E,Z,D + top of pile)",
+    columns: ["point", "northing", "easting", "design", "description", "topOfPile"],
+    header: false,
+  },
+};
+
+// Header text per preset where data collectors expect their own names
+const PRESET_HEADERS = {
+  leica: { point: "Point ID", easting: "Easting", northing: "Northing", design: "Height", description: "Code" },
+};
+
+const STORAGE_KEY = "pcl_stakeout_layout";
+
+export function presetLayout(key) {
+  const preset = STAKEOUT_PRESETS[key] || STAKEOUT_PRESETS.full;
+  return { preset: key in STAKEOUT_PRESETS ? key : "full", columns: [...preset.columns], header: preset.header };
+}
+
+export function loadStakeoutLayout() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (saved && Array.isArray(saved.columns)) {
+      const columns = saved.columns.filter((c) => c in STAKEOUT_FIELDS);
+      if (columns.length) return { preset: saved.preset || "", columns, header: !!saved.header };
+    }
+  } catch {
+    // ignore unreadable settings
+  }
+  return presetLayout("full");
+}
+
+export function saveStakeoutLayout(layout) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+  } catch {
+    // storage full / unavailable: the layout just is not remembered
+  }
+}
+
+/**
+ * One stakeout row per analysed pole, optionally limited to a set of frame ids.
+ */
+export function stakeoutRows(results, { frameIds = null, startNumber = 1 } = {}) {
+  const rows = [];
+  let point = Math.max(0, Math.trunc(startNumber) || 0);
+  for (const r of results) {
+    if (frameIds && !frameIds.has(String(r.frameId))) continue;
+    for (const p of r.poles) {
+      const design = Number.isFinite(p.gradeZ) ? p.gradeZ : p.z;
+      rows.push({
+        point: point++,
+        description: p.label,
+        frame: r.frameId,
+        northing: p.y,
+        easting: p.x,
+        existing: p.z,
+        design,
+        cutFill: design - p.z,
+        topOfPile: p.tubeZ,
+      });
+    }
+  }
+  return rows;
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * CSV text for the given rows and layout.
+ */
+export function buildStakeoutCsv(rows, layout, { decimals = 3 } = {}) {
+  const names = { ...STAKEOUT_FIELDS, ...(PRESET_HEADERS[layout.preset] || {}) };
+  const fmt = (key, v) => {
+    if (key === "point" || key === "description" || key === "frame") return csvCell(v);
+    return Number.isFinite(v) ? v.toFixed(decimals) : "";
+  };
+
+  const lines = [];
+  if (layout.header) lines.push(layout.columns.map((c) => csvCell(names[c])).join(","));
+  for (const row of rows) lines.push(layout.columns.map((c) => fmt(c, row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,280 @@
+// headerDetect.js
+// Purpose: Find the header row of a BOM sheet and suggest which columns hold Frame, Pole, X, Y and Z.
+// Name: headerDetect.js
+// Date created: 2026-10-19
+// Method: Every non-empty row near the top of the sheet is tried as the header row. Each column gets a header
+//         score per field (fuzzy match against synonyms such as Easting/Northing/Elevation/Tracker ID) and a data
+//         score from the values below it (numeric share, whole numbers, repeats, spread). Fields are assigned to
+//         distinct columns best-score first, and the header row with the highest total wins.
+// Data dictionary:
+// - Inputs:
+//   - rows: sheet rows as arrays (XLSX sheet_to_json with header: 1)
+// - Outputs:
+//   - detectMapping: { headerRowIndex, startIndex, columns: { frame, pole, x, y, z } (0-based indexes),
+//                      letters, headers, confidence (0–1 per field), overall } or null if nothing looks like a header
+//   - columnLetter / columnIndex: spreadsheet letter <-> 0-based index
+
+export const MAPPING_FIELDS = ["frame", "pole", "x", "y", "z"];
+
+const SYNONYMS = {
+  frame: ["table", "frame", "tracker", "tracker id", "tracker no", "row", "row id", "table id", "frame id", "array"],
+  pole: ["pole", "pile", "post", "pier", "pole id", "pile id", "pile no", "pile number", "pole number", "pole no"],
+  x: ["x", "easting", "east", "e", "x coord", "x coordinate"],
+  y: ["y", "northing", "north", "n", "y coord", "y coordinate"],
+  z: [
+    "z",
+    "z terrain enter",
+    "z terrain",
+    "terrain",
+    "elevation",
+    "elev",
+    "ground",
+    "ground elevation",
+    "existing ground",
+    "eg",
+    "natural ground",
+    "ngl",
+  ],
+};
+
+// Header words that point at a design/top-of-pile value rather than existing ground
+const Z_EXCLUDE = ["top", "tube", "design", "reveal", "embed", "finished", "fg", "cut", "fill"];
+
+const HEADER_WEIGHT = 0.65;
+const DATA_WEIGHT = 0.35;
+const MAX_SCAN_ROWS = 60;
+const SAMPLE_ROWS = 200;
+const MIN_OVERALL = 0.45;
+
+export function columnLetter(index) {
+  let n = index + 1;
+  let s = "";
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    s = String.fromCharCode(65 + r) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+export function columnIndex(letters) {
+  const s = String(letters || "").toUpperCase().trim();
+  if (!s) return null;
+  let n = 0;
+  for (let i = 0; i < s.length; i++) {
+    const code = s.charCodeAt(i);
+    if (code < 65 || code > 90) return null;
+    n = n * 26 + (code - 64);
+  }
+  return n - 1;
+}
+
+function normHeader(v) {
+  return String(v ?? "")
+    .toLowerCase()
+    .replace(/[_\-./()#:]+/g, " ")
+    .replace(/[^a-z0-9 ]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest ? 1 - levenshtein(a, b) / longest : 0;
+}
+
+/**
+ * 0–1 score for how well a header cell names a field. Exact synonym = 1, synonym as a whole word = 0.85,
+ * close spelling (typos, plurals) up to 0.7. One-letter synonyms only count on an exact or whole-word match.
+ */
+export function headerScore(field, header) {
+  const h = normHeader(header);
+  if (!h) return 0;
+  const words = h.split(" ");
+
+  if (field === "z" && Z_EXCLUDE.some((w) => words.includes(w))) return 0;
+
+  let best = 0;
+  for (const syn of SYNONYMS[field]) {
+    if (h === syn) return 1;
+    if (syn.includes(" ") ? ` ${h} `.includes(` ${syn} `) : words.includes(syn)) {
+      best = Math.max(best, 0.85);
+      continue;
+    }
+    if (syn.length < 3) continue;
+    const sim = Math.max(similarity(h, syn), ...words.map((w) => similarity(w, syn)));
+    if (sim >= 0.75) best = Math.max(best, sim * 0.7);
+  }
+  return best;
+}
+
+function toNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = String(v ?? "").trim();
+  if (s === "") return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Summary of the values below a candidate header cell
+function columnProfile(rows, col, start) {
+  let filled = 0;
+  let numeric = 0;
+  let integers = 0;
+  let repeats = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  let prev;
+  const distinct = new Set();
+
+  const end = Math.min(rows.length, start + SAMPLE_ROWS);
+  for (let i = start; i < end; i++) {
+    const v = rows[i]?.[col];
+    if (String(v ?? "").trim() === "") continue;
+    filled++;
+    distinct.add(String(v));
+    if (v === prev) repeats++;
+    prev = v;
+
+    const n = toNumber(v);
+    if (n === null) continue;
+    numeric++;
+    if (Number.isInteger(n)) integers++;
+    min = Math.min(min, n);
+    max = Math.max(max, n);
+  }
+
+  return {
+    filled,
+    numericShare: filled ? numeric / filled : 0,
+    integerShare: numeric ? integers / numeric : 0,
+    repeatShare: filled > 1 ? repeats / (filled - 1) : 0,
+    distinctShare: filled ? distinct.size / filled : 0,
+    min,
+    max,
+  };
+}
+
+/**
+ * 0–1 score for how well a column's values fit a field.
+ */
+export function dataScore(field, profile) {
+  const p = profile;
+  if (!p.filled) return 0;
+
+  switch (field) {
+    case "frame":
+      // ids repeat on consecutive rows (one row per pole)
+      return 0.4 * Math.min(1, p.repeatShare * 1.5) + 0.3 * (1 - p.distinctShare) + 0.3 * p.integerShare;
+    case "pole":
+      // small whole numbers that restart for every frame
+      return p.numericShare * (0.5 * p.integerShare + 0.3 * (p.max <= 200 ? 1 : 0) + 0.2 * (1 - p.repeatShare));
+    case "x":
+    case "y":
+      // coordinates: numeric, mostly unique, spread out
+      return p.numericShare * (0.5 * p.distinctShare + 0.3 * (p.max - p.min > 1 ? 1 : 0) + 0.2 * (1 - p.integerShare));
+    case "z":
+      return p.numericShare * (0.6 * (1 - p.integerShare) + 0.4 * (p.max - p.min > 0 ? 1 : 0));
+    default:
+      return 0;
+  }
+}
+
+// Greedy one-to-one assignment of fields to columns, highest combined score first
+function assignColumns(scores) {
+  const pairs = [];
+  for (const field of MAPPING_FIELDS) {
+    scores[field].forEach((s, col) => {
+      if (s.total > 0) pairs.push({ field, col, ...s });
+    });
+  }
+  pairs.sort((a, b) => b.total - a.total);
+
+  const out = {};
+  const used = new Set();
+  for (const pair of pairs) {
+    if (out[pair.field] || used.has(pair.col)) continue;
+    out[pair.field] = pair;
+    used.add(pair.col);
+  }
+  return out;
+}
+
+function scoreHeaderRow(rows, rowIndex) {
+  const header = rows[rowIndex] || [];
+  const scores = Object.fromEntries(MAPPING_FIELDS.map((f) => [f, []]));
+
+  for (let col = 0; col < header.length; col++) {
+    const text = header[col];
+    if (String(text ?? "").trim() === "" || toNumber(text) !== null) continue;
+
+    const profile = columnProfile(rows, col, rowIndex + 1);
+    for (const field of MAPPING_FIELDS) {
+      const h = headerScore(field, text);
+      if (!h) continue;
+      const d = dataScore(field, profile);
+      scores[field][col] = { header: h, data: d, total: HEADER_WEIGHT * h + DATA_WEIGHT * d };
+    }
+  }
+
+  const assigned = assignColumns(scores);
+  const found = MAPPING_FIELDS.filter((f) => assigned[f]);
+  const overall = found.reduce((sum, f) => sum + assigned[f].total, 0) / MAPPING_FIELDS.length;
+  return { assigned, overall };
+}
+
+/**
+ * Suggests a header row and Frame/Pole/X/Y/Z columns for a sheet, or null if no row looks like a header.
+ */
+export function detectMapping(rows, { maxScanRows = MAX_SCAN_ROWS } = {}) {
+  let best = null;
+
+  const limit = Math.min(rows.length, maxScanRows);
+  for (let i = 0; i < limit; i++) {
+    const row = rows[i] || [];
+    const textCells = row.filter((v) => String(v ?? "").trim() !== "" && toNumber(v) === null).length;
+    if (textCells < 3) continue;
+
+    const scored = scoreHeaderRow(rows, i);
+    if (!best || scored.overall > best.overall) best = { ...scored, headerRowIndex: i };
+  }
+
+  if (!best || best.overall < MIN_OVERALL) return null;
+
+  const columns = {};
+  const letters = {};
+  const headers = {};
+  const confidence = {};
+  for (const field of MAPPING_FIELDS) {
+    const a = best.assigned[field];
+    columns[field] = a ? a.col : null;
+    letters[field] = a ? columnLetter(a.col) : "";
+    headers[field] = a ? String(rows[best.headerRowIndex][a.col]).trim() : "";
+    confidence[field] = a ? Math.min(1, a.total) : 0;
+  }
+
+  return {
+    headerRowIndex: best.headerRowIndex,
+    startIndex: best.headerRowIndex + 1,
+    columns,
+    letters,
+    headers,
+    confidence,
+    overall: best.overall,
+  };
+}
@@ -0,0 +1,148 @@
+// sheets.js
+// Purpose: Workbook sheet listing, previews and default sheet choice for BOM imports.
+// Name: sheets.js
+// Date created: 2026-10-19
+// Method: Sheet sizes come from each sheet's used range (no full parse). The default sheet is the one last chosen
+//         for files with the same name pattern (digits ignored, kept in localStorage pcl_sheet_choices), then the
+//         only sheet, then a sheet named like "Piling Information", then the sheet whose header row detection
+//         scores best.
+// Data dictionary:
+// - Inputs:
+//   - file: uploaded Blob/File (.xlsx, .xlsm, .xls, .csv, .txt) + text options for CSV/TXT (textFiles.js)
+//   - wb: XLSX workbook
+//   - fileName: uploaded file name (used for the remembered-sheet pattern)
+// - Outputs:
+//   - readWorkbook: XLSX workbook
+//   - listSheets: [{ name, rowCount, colCount }]
+//   - sheetPreview: first rows/columns as display strings
+//   - sheetRows: all rows of a sheet as arrays
+//   - chooseDefaultSheet: sheet name or "" if none looks like BOM data
+
+import * as XLSX from "xlsx";
+import { detectMapping } from "./headerDetect";
+import { isTextFile, parseTextRows } from "./textFiles";
+
+const CHOICES_KEY = "pcl_sheet_choices";
+const PILING_SHEET = "piling information";
+
+const norm = (v) =>
+  String(v ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+/**
+ * Reads an upload as a workbook. Excel files (.xlsx / .xlsm / .xls) are parsed directly; CSV / TXT files are
+ * parsed with textFiles.js and wrapped in a one-sheet workbook so they use the same Review flow.
+ */
+export async function readWorkbook(file, textOptions = {}) {
+  if (isTextFile(file.name)) {
+    const rows = parseTextRows(await file.text(), textOptions);
+    const wb = XLSX.utils.book_new();
+    const isPointFile = textOptions.layout === "pnezd" || textOptions.layout === "penzd";
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), isPointFile ? "Points" : "Data");
+    return wb;
+  }
+
+  const buffer = await file.arrayBuffer();
+  return XLSX.read(buffer, { type: "array" });
+}
+
+function usedRange(ws) {
+  if (!ws?.["!ref"]) return null;
+  return XLSX.utils.decode_range(ws["!ref"]);
+}
+
+export function listSheets(wb) {
+  return wb.SheetNames.map((name) => {
+    const range = usedRange(wb.Sheets[name]);
+    return {
+      name,
+      rowCount: range ? range.e.r + 1 : 0,
+      colCount: range ? range.e.c + 1 : 0,
+    };
+  });
+}
+
+/**
+ * First `rows` x `cols` cells of a sheet (from A1) as display strings.
+ */
+export function sheetPreview(wb, name, rows = 8, cols = 10) {
+  const ws = wb.Sheets[name];
+  const range = usedRange(ws);
+  if (!range) return [];
+  return XLSX.utils.sheet_to_json(ws, {
+    header: 1,
+    raw: false,
+    defval: "",
+    blankrows: true,
+    range: { s: { r: 0, c: 0 }, e: { r: Math.min(range.e.r, rows - 1), c: Math.min(range.e.c, cols - 1) } },
+  });
+}
+
+export function sheetRows(wb, name) {
+  const ws = wb.Sheets[name];
+  if (!ws) throw new Error(`Sheet "${name}" not found in the workbook.`);
+
+  // start from A1 so row/column indexes match the sheet letters and row numbers
+  const range = usedRange(ws);
+  if (!range) return [];
+  return XLSX.utils.sheet_to_json(ws, {
+    header: 1,
+    raw: true,
+    defval: "",
+    blankrows: true,
+    range: { s: { r: 0, c: 0 }, e: range.e },
+  });
+}
+
+/**
+ * Name pattern used to remember the sheet choice: lower case, extension dropped, digit runs replaced by "#"
+ * (so "Site A BOM rev3.xlsx" and "Site A BOM rev4.xlsx" share a choice).
+ */
+export function filePattern(fileName) {
+  return norm(fileName)
+    .replace(/\.[a-z0-9]+$/, "")
+    .replace(/\d+/g, "#");
+}
+
+function loadChoices() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CHOICES_KEY) || "{}");
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+export function rememberSheet(fileName, sheetName) {
+  try {
+    const choices = loadChoices();
+    choices[filePattern(fileName)] = sheetName;
+    localStorage.setItem(CHOICES_KEY, JSON.stringify(choices));
+  } catch {
+    // ignore (preference only)
+  }
+}
+
+export function chooseDefaultSheet(wb, fileName) {
+  const names = wb.SheetNames;
+
+  const remembered = loadChoices()[filePattern(fileName)];
+  if (remembered && names.includes(remembered)) return remembered;
+  if (names.length === 1) return names[0];
+
+  const piling = names.find((n) => norm(n) === PILING_SHEET) || names.find((n) => norm(n).includes(PILING_SHEET));
+  if (piling) return piling;
+
+  let best = "";
+  let bestScore = 0;
+  for (const name of names) {
+    const detected = detectMapping(sheetRows(wb, name));
+    if (detected && detected.overall > bestScore) {
+      best = name;
+      bestScore = detected.overall;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,123 @@
+// surface.js
+// Purpose: Read an existing-ground survey upload (XYZ point file or LandXML TIN surface) into a TIN.
+// Name: surface.js
+// Date created: 2026-10-19
+// Method: XYZ / PNEZD / PENZD text files are parsed with textFiles.js; X/Y/Z columns come from the header row when
+//         there is one (headerDetect.js synonyms), otherwise the first three columns. The points are then
+//         triangulated with the Delaunay TIN from analysis/tin.js. LandXML files use the first <Surface> with
+//         points: <P id> values are "northing easting elevation" and <F> faces (hidden faces i="1" skipped) are
+//         used as the triangles; a surface with points but no faces is triangulated like a point file.
+// Data dictionary:
+// - Inputs:
+//   - file: .csv / .txt / .xyz point file or .xml / .landxml surface
+//   - options: textFiles.js options (delimiter, layout) for point files
+// - Output:
+//   - { fileName, kind ("points" | "landxml"), name, points: Float64Array (x, y, z interleaved),
+//       triangles: Uint32Array, pointCount, triangleCount }
+
+import { buildTin } from "../analysis/tin";
+import { headerScore } from "./headerDetect";
+import { parseTextRows } from "./textFiles";
+
+export const SURFACE_EXTENSIONS = [".csv", ".txt", ".xyz", ".xml", ".landxml"];
+
+const isXmlName = (name) => /\.(xml|landxml)$/i.test(String(name || ""));
+
+function pickColumn(header, field, fallback) {
+  let best = fallback;
+  let bestScore = 0;
+  header.forEach((h, i) => {
+    const score = headerScore(field, h);
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function pointsFromRows(rows) {
+  const first = rows[0] || [];
+  const hasHeader = first.some((v) => typeof v === "string" && v.trim() !== "");
+  const xi = hasHeader ? pickColumn(first, "x", 0) : 0;
+  const yi = hasHeader ? pickColumn(first, "y", 1) : 1;
+  const zi = hasHeader ? pickColumn(first, "z", 2) : 2;
+
+  const out = [];
+  for (let i = hasHeader ? 1 : 0; i < rows.length; i++) {
+    const r = rows[i];
+    const x = r[xi];
+    const y = r[yi];
+    const z = r[zi];
+    if (typeof x === "number" && typeof y === "number" && typeof z === "number") out.push({ x, y, z });
+  }
+  return out;
+}
+
+function toSurface(points, triangles, extra) {
+  const flat = new Float64Array(points.length * 3);
+  points.forEach((p, i) => {
+    flat[3 * i] = p.x;
+    flat[3 * i + 1] = p.y;
+    flat[3 * i + 2] = p.z;
+  });
+  return {
+    ...extra,
+    points: flat,
+    triangles,
+    pointCount: points.length,
+    triangleCount: triangles.length / 3,
+  };
+}
+
+function triangulate(points, extra) {
+  if (points.length < 3) throw new Error("The survey needs at least 3 points with X, Y and Z.");
+  const tin = buildTin(points);
+  if (!tin.triangles.length) throw new Error("Could not build a surface from the survey points.");
+  return toSurface(points, tin.triangles, extra);
+}
+
+function parseLandXml(text, fileName) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("The LandXML file could not be read.");
+
+  const surfaces = Array.from(doc.getElementsByTagNameNS("*", "Surface"));
+  const surfaceEl = surfaces.find((s) => s.getElementsByTagNameNS("*", "P").length);
+  if (!surfaceEl) throw new Error("No surface with points found in the LandXML file.");
+
+  const points = [];
+  const indexById = new Map();
+  for (const p of surfaceEl.getElementsByTagNameNS("*", "P")) {
+    const [n, e, z] = p.textContent.trim().split(/\s+/).map(Number);
+    if (![n, e, z].every(Number.isFinite)) continue;
+    indexById.set(p.getAttribute("id") || String(points.length + 1), points.length);
+    points.push({ x: e, y: n, z });
+  }
+
+  const extra = { fileName, kind: "landxml", name: surfaceEl.getAttribute("name") || "" };
+
+  const tris = [];
+  for (const f of surfaceEl.getElementsByTagNameNS("*", "F")) {
+    if (f.getAttribute("i") === "1") continue;
+    const ids = f.textContent.trim().split(/\s+/);
+    const idx = ids.map((id) => indexById.get(id));
+    if (idx.length === 3 && idx.every((v) => v !== undefined)) tris.push(...idx);
+  }
+
+  if (!tris.length) return triangulate(points, extra);
+  return toSurface(points, Uint32Array.from(tris), extra);
+}
+
+/**
+ * Reads a survey upload into a TIN surface. Throws with a readable message when nothing usable is found.
+ */
+export async function readSurfaceFile(file, options = {}) {
+  const text = await file.text();
+
+  if (isXmlName(file.name) || text.trimStart().startsWith("<")) {
+    return parseLandXml(text, file.name);
+  }
+
+  const points = pointsFromRows(parseTextRows(text, options));
+  return triangulate(points, { fileName: file.name, kind: "points", name: "" });
+}
@@ -0,0 +1,194 @@
+// textFiles.js
+// Purpose: Read delimited text uploads (CSV / TXT column files and PNEZD / PENZD survey point files) as rows.
+// Name: textFiles.js
+// Date created: 2026-10-19
+// Method: The delimiter is the candidate (comma, tab, semicolon, pipe, whitespace) that splits the first lines
+//         into the most consistent number of fields. Quoted fields follow CSV rules. Point files get a header row
+//         (Point, Northing, Easting, Elevation, Description); when most descriptions look like "Frame.Pole"
+//         (also "-", "_" or "/" separators) Frame and Pole columns are split out so Review can map them directly.
+//         Decimal commas ("10,5") are decided per column, not from the delimiter: a column reads them as decimals
+//         when one of its cells cannot be a thousands group (not 1–3 digits, a comma and exactly 3 digits, e.g.
+//         "10,5", "0,125", "1234,567"). A column where every such cell looks like "1,234" is ambiguous and keeps
+//         them as text (Review flags them); the decimal option on Uploads settles it.
+// Data dictionary:
+// - Inputs:
+//   - text: file contents
+//   - options: { delimiter ("auto" | "," | "\t" | ";" | "|" | "whitespace"), layout ("table" | "pnezd" | "penzd"),
+//                decimal ("auto" | "." | ",") }
+// - Outputs:
+//   - parseTextRows: rows as arrays (numbers converted), first row = header
+//   - TEXT_EXTENSIONS, isTextFile, DELIMITER_OPTIONS, LAYOUT_OPTIONS, DECIMAL_OPTIONS
+
+export const TEXT_EXTENSIONS = [".csv", ".txt"];
+
+export const DELIMITER_OPTIONS = [
+  { value: "auto", label: "Detect automatically" },
+  { value: ",", label: "Comma" },
+  { value: "\t", label: "Tab" },
+  { value: ";", label: "Semicolon" },
+  { value: "|", label: "Pipe" },
+  { value: "whitespace", label: "Spaces" },
+];
+
+export const LAYOUT_OPTIONS = [
+  { value: "table", label: "Columns with a header row" },
+  { value: "pnezd", label: "Point file: P, N, E, Z, D" },
+  { value: "penzd", label: "Point file: P, E, N, Z, D" },
+];
+
+export const DECIMAL_OPTIONS = [
+  { value: "auto", label: "Detect per column" },
+  { value: ".", label: "Point (10.5)" },
+  { value: ",", label: "Comma (10,5)" },
+];
+
+const CANDIDATES = [",", "\t", ";", "|", "whitespace"];
+const SAMPLE_LINES = 50;
+
+export function isTextFile(name) {
+  const lower = String(name || "").toLowerCase();
+  return TEXT_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+function splitLine(line, delimiter) {
+  if (delimiter === "whitespace") return line.trim().split(/\s+/);
+
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"' && cur.trim() === "") {
+      quoted = true;
+      cur = "";
+    } else if (ch === delimiter) {
+      out.push(cur.trim());
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+/**
+ * Picks the delimiter giving the most lines with the same (>1) field count.
+ */
+export function detectDelimiter(lines) {
+  const sample = lines.slice(0, SAMPLE_LINES);
+  let best = ",";
+  let bestScore = -1;
+
+  for (const d of CANDIDATES) {
+    const counts = new Map();
+    for (const line of sample) {
+      const n = splitLine(line, d).length;
+      if (n > 1) counts.set(n, (counts.get(n) || 0) + 1);
+    }
+    if (!counts.size) continue;
+
+    const [fields, lineCount] = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+    // whitespace also splits inside free-text descriptions, so it only wins outright
+    const score = lineCount * 100 + fields - (d === "whitespace" ? 50 : 0);
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+const COMMA_NUMBER = /^-?\d+,\d+$/;
+// What a thousands separator looks like: 1–3 digits (not a leading 0), a comma, exactly 3 digits
+const THOUSANDS_GROUP = /^-?[1-9]\d{0,2},\d{3}$/;
+
+/**
+ * Per column index, whether "10,5" cells are read as decimals (see Method).
+ */
+function decimalCommaColumns(fieldsRows, decimal) {
+  const width = Math.max(0, ...fieldsRows.map((f) => f.length));
+  if (decimal !== "auto") return new Array(width).fill(decimal === ",");
+
+  const out = new Array(width).fill(false);
+  for (const fields of fieldsRows) {
+    fields.forEach((v, i) => {
+      const s = String(v ?? "").trim();
+      if (!out[i] && COMMA_NUMBER.test(s) && !THOUSANDS_GROUP.test(s)) out[i] = true;
+    });
+  }
+  return out;
+}
+
+// Numbers like "10,5" are read as 10.5 in decimal-comma columns (European exports)
+function toCell(v, decimalComma = false) {
+  const s = String(v ?? "").trim();
+  if (s === "") return "";
+  const n = Number(decimalComma && COMMA_NUMBER.test(s) ? s.replace(",", ".") : s);
+  return Number.isFinite(n) ? n : s;
+}
+
+const LABEL_SPLIT = /^(.+?)[.\-_/](\d+)$/;
+
+// Adds Frame/Pole columns when most descriptions look like "12.3"
+function splitDescriptions(body) {
+  const labels = body.map((r) => String(r[4] ?? "").trim());
+  const matches = labels.filter((l) => LABEL_SPLIT.test(l)).length;
+  if (!labels.length || matches / labels.length < 0.8) return null;
+
+  return body.map((r) => {
+    const m = String(r[4] ?? "").trim().match(LABEL_SPLIT);
+    return m ? [...r, toCell(m[1]), toCell(m[2])] : [...r, "", ""];
+  });
+}
+
+function pointRows(fieldsRows, layout, decimalComma) {
+  // PNEZD and PENZD only differ in the order of northing and easting
+  const [ni, ei] = layout === "penzd" ? [2, 1] : [1, 2];
+  const cell = (f, i) => toCell(f[i], decimalComma[i]);
+  const body = fieldsRows
+    .filter((f) => f.length >= 4)
+    .map((f) => [cell(f, 0), cell(f, ni), cell(f, ei), cell(f, 3), f.slice(4).join(" ").trim()])
+    // drops a header line such as "P,N,E,Z,D"
+    .filter((r) => typeof r[1] === "number" && typeof r[2] === "number");
+
+  const header = ["Point", "Northing", "Easting", "Elevation", "Description"];
+  const split = splitDescriptions(body);
+  if (split) return [[...header, "Frame", "Pole"], ...split];
+  return [header, ...body];
+}
+
+/**
+ * Parses a delimited text file into sheet-like rows (first row is the header).
+ */
+export function parseTextRows(text, { delimiter = "auto", layout = "table", decimal = "auto" } = {}) {
+  const lines = String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r\n|\n|\r/)
+    .filter((l) => l.trim() !== "");
+
+  if (!lines.length) throw new Error("The file is empty.");
+
+  const d = delimiter === "auto" ? detectDelimiter(lines) : delimiter;
+  const fieldsRows = lines.map((l) => splitLine(l, d));
+  const decimalComma = decimalCommaColumns(fieldsRows, decimal);
+
+  if (layout === "pnezd" || layout === "penzd") {
+    const rows = pointRows(fieldsRows, layout, decimalComma);
+    if (rows.length < 2) {
+      throw new Error("No points found. Check the delimiter and the point order (PNEZD / PENZD).");
+    }
+    return rows;
+  }
+
+  return fieldsRows.map((f) => f.map((v, i) => toCell(v, decimalComma[i])));
+}
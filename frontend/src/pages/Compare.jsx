@@ -0,0 +1,224 @@
+// Compare.jsx
+// Purpose: Compare a block of frames (selected on the Run Analysis plot) side by side.
+// Name: Compare.jsx
+// Date created: 2026-10-19
+// Method: Frame ids come from the ?frames= query string so the view survives a refresh. Each frame uses the last
+//         batch run saved on the project when it includes the frame, otherwise only the missing frames are
+//         analysed here. A Plotly chart overlays every frame's pile reveal along the tube against the reveal
+//         window, and a table lists the per-frame summary; clicking a frame opens its FramePage.
+// Data dictionary:
+// - Inputs:
+//   - route param (optional): projectId (project-keyed URL; otherwise the current project)
+//   - query string: frames (comma-separated frame ids)
+//   - project store: columns (+ Review edits), params (+ units), results (last batch run), surface + zSource
+// - Output:
+//   - reveal chart + comparison table, navigation to the frame's FramePage
+
+import { useMemo } from "react";
+import { Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import Plot from "react-plotly.js";
+import { FRAME_STATUS_HELP, FRAME_STATUS_LABELS, toIdPiece, toNum } from "../analysis/common";
+import { analyseProject } from "../analysis/project";
+import { withSurfaceZ } from "../analysis/surface";
+import { REVEAL_UNITS, coordSuffix, fmtReveal, projectUnits, revealFromMm, volumeSuffix } from "../analysis/units";
+import { editedColumns } from "../store/columnEdits";
+import { analysisPath, framePath } from "../store/projectRoutes";
+import { useProject } from "../store/useProject";
+import "./Compare.css";
+
+const fmt = (v, digits = 3) => (Number.isFinite(v) ? v.toFixed(digits) : "—");
+
+// Results for the requested frames: saved batch run first, the rest analysed now
+function compareFrames(project, frameIds) {
+  if (!project?.columns) return { rows: [], error: "" };
+  try {
+    const params = project.params || {};
+    const trackerType = params.trackerType || project.trackerType || "flat";
+
+    const stored = new Map();
+    for (const r of project.results?.results || []) stored.set(String(r.frameId), r);
+    for (const e of project.results?.errors || []) stored.set(String(e.frameId), { error: e.message });
+
+    const missing = new Set(frameIds.filter((id) => !stored.has(id)));
+    if (missing.size) {
+      const columns = withSurfaceZ(editedColumns(project), project.surface, project.zSource);
+      const run = analyseProject(columns, { ...params, trackerType }, null, {
+        frameIds: missing,
+        overrides: project.overrides,
+      });
+      for (const r of run.results) stored.set(String(r.frameId), r);
+      for (const e of run.errors) stored.set(String(e.frameId), { error: e.message });
+    }
+
+    const rows = frameIds.map((id) => {
+      const r = stored.get(id);
+      if (!r) return { frameId: id, result: null, error: "No poles with numeric X/Y/Z." };
+      if (r.error) return { frameId: id, result: null, error: r.error };
+      return { frameId: id, result: r, error: "" };
+    });
+    return { rows, error: "" };
+  } catch (e) {
+    return { rows: [], error: e?.message || "Failed to analyse frames." };
+  }
+}
+
+export default function Compare() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { projectId } = useParams();
+  const { project, status: projectStatus, error: projectError } = useProject({ projectId });
+
+  const framesParam = searchParams.get("frames") || "";
+  const frameIds = useMemo(() => [...new Set(framesParam.split(",").map(toIdPiece).filter(Boolean))], [framesParam]);
+
+  const { rows, error } = useMemo(() => compareFrames(project, frameIds), [project, frameIds]);
+
+  const params = project?.params || null;
+  const units = useMemo(() => projectUnits(project), [project]);
+  const revealUnit = REVEAL_UNITS[units.reveal];
+  // Entered in the reveal unit, like the plotted reveals
+  const minReveal = toNum(params?.minPileReveal);
+  const maxReveal = toNum(params?.maxPileReveal);
+
+  const plotData = useMemo(() => {
+    const traces = rows
+      .filter((row) => row.result)
+      .map((row) => ({
+        type: "scatter",
+        mode: "lines+markers",
+        x: row.result.poles.map((p) => p.s),
+        y: row.result.poles.map((p) => revealFromMm(p.revealMm, units)),
+        text: row.result.poles.map((p) => p.label),
+        hovertemplate: `%{text}<br>Reveal: %{y:.${revealUnit.digits}f} ${revealUnit.short}<extra></extra>`,
+        marker: { size: 5 },
+        name: `Frame ${row.frameId}`,
+      }));
+
+    let maxS = 0;
+    for (const t of traces) maxS = Math.max(maxS, ...t.x);
+    const limitLine = (value, name) => ({
+      type: "scatter",
+      mode: "lines",
+      x: [0, maxS],
+      y: [value, value],
+      line: { dash: "dash", color: "#94a3b8", width: 1 },
+      hoverinfo: "skip",
+      name,
+    });
+    if (minReveal !== null) traces.push(limitLine(minReveal, "Min reveal"));
+    if (maxReveal !== null) traces.push(limitLine(maxReveal, "Max reveal"));
+    return traces;
+  }, [rows, minReveal, maxReveal, units, revealUnit]);
+
+  function openFrame(frameId) {
+    navigate(framePath(project?.id, frameId));
+  }
+
+  return (
+    <div className="cmp-shell">
+      <header className="cmp-topbar">
+        <div>
+          <Link to={analysisPath(project?.id)} className="cmp-link">
+            ← Back to Plot
+          </Link>
+          <h1 className="cmp-title">Compare frames</h1>
+          <div className="cmp-subtitle">
+            Pile reveal along the tube for {frameIds.length.toLocaleString()} selected frame
+            {frameIds.length === 1 ? "" : "s"}. Click a row to open the frame.
+          </div>
+        </div>
+      </header>
+
+      {projectStatus === "loading" && <div className="cmp-info">Loading project…</div>}
+      {projectStatus !== "loading" && projectStatus !== "ready" && (
+        <div className="cmp-error">{projectError || "No project found. Go back to Uploads and upload your BOM."}</div>
+      )}
+      {projectStatus === "ready" && !frameIds.length && (
+        <div className="cmp-error">No frames to compare. Select frames on the Run Analysis plot first.</div>
+      )}
+      {error && <div className="cmp-error">{error}</div>}
+
+      {rows.length > 0 && (
+        <main className="cmp-content">
+          <div className="cmp-card cmp-plot">
+            <Plot
+              data={plotData}
+              layout={{
+                autosize: true,
+                margin: { l: 60, r: 20, t: 20, b: 50 },
+                paper_bgcolor: "#ffffff",
+                plot_bgcolor: "#ffffff",
+                xaxis: { title: "Station along tube", zeroline: false, gridcolor: "#eef2f7" },
+                yaxis: { title: `Reveal (${revealUnit.short})`, zeroline: false, gridcolor: "#eef2f7" },
+                legend: { orientation: "h", x: 0, y: -0.2 },
+                hovermode: "closest",
+              }}
+              config={{ responsive: true, displaylogo: false }}
+              style={{ width: "100%", height: "100%" }}
+            />
+          </div>
+
+          <div className="cmp-card cmp-tablecard">
+            <table className="cmp-table">
+              <thead>
+                <tr>
+                  <th>Frame</th>
+                  <th>Status</th>
+                  <th>Poles</th>
+                  <th>Passing</th>
+                  <th>Slope (%)</th>
+                  <th>Reveal ({revealUnit.short})</th>
+                  <th>Graded poles</th>
+                  <th>Cut ({coordSuffix(units)})</th>
+                  <th>Fill ({coordSuffix(units)})</th>
+                  <th>Volume cut / fill ({volumeSuffix(units)})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ frameId, result: r, error: rowError }) => {
+                  if (!r) {
+                    return (
+                      <tr key={frameId} className="is-fail" onClick={() => openFrame(frameId)}>
+                        <td>{frameId}</td>
+                        <td className="cmp-status-fail" title={FRAME_STATUS_HELP.fail}>
+                          {FRAME_STATUS_LABELS.fail}
+                        </td>
+                        <td colSpan={8}>{rowError}</td>
+                      </tr>
+                    );
+                  }
+                  const reveals = r.poles.map((p) => p.revealMm);
+                  const slope = r.trackerType === "xtr" ? r.segments?.[0]?.slopePct : r.slopePct;
+                  return (
+                    <tr key={frameId} onClick={() => openFrame(frameId)}>
+                      <td>{frameId}</td>
+                      <td className={`cmp-status-${r.status}`} title={FRAME_STATUS_HELP[r.status]}>
+                        {FRAME_STATUS_LABELS[r.status]}
+                      </td>
+                      <td>{r.poles.length}</td>
+                      <td>{r.passCount}</td>
+                      <td>
+                        {fmt(slope, 2)}
+                        {r.trackerType === "xtr" && r.segments?.length > 1 && (
+                          <span className="cmp-note">+{r.segments.length - 1} segments</span>
+                        )}
+                      </td>
+                      <td>
+                        {fmtReveal(Math.min(...reveals), units, false)} –{" "}
+                        {fmtReveal(Math.max(...reveals), units, false)}
+                      </td>
+                      <td>{r.gradedCount || 0}</td>
+                      <td>{r.totalCut > 0 ? fmt(r.totalCut) : "—"}</td>
+                      <td>{r.totalFill > 0 ? fmt(r.totalFill) : "—"}</td>
+                      <td>{r.volume ? `${fmt(r.volume.cut, 1)} / ${fmt(r.volume.fill, 1)}` : "—"}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </main>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+// Earthworks.jsx
+// Purpose: Project-wide list of the minimum cut/fill per pole for every frame that needs grading,
+//          plus TIN-based cut/fill/net volumes per frame and for the whole project.
+// Name: Earthworks.jsx
+// Date created: 2026-10-19
+// Method: Uses the last batch run saved on the project, or loads Frame/Pole/X/Y/Z columns and Parameters from
+//         the project store and analyses every frame (analysis/project.js). Lists the graded poles with totals.
+//         The list can be downloaded as CSV.
+// Data dictionary:
+// - Inputs:
+//   - route param (optional): projectId (project-keyed URL; otherwise the current project)
+//   - project store: columns (+ Review edits), params (+ units), fileName, results (saved batch run), surface + zSource
+// - Output:
+//   - table of graded poles (Frame.Pole, X, Y, existing Z, design ground, cut, fill) + CSV download
+//   - table of volumes per frame (cut, fill, net) + project totals ("Volume not estimated" without a TIN)
+
+import { useMemo, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { analyseProject, gradingList } from "../analysis/project";
+import { withSurfaceZ } from "../analysis/surface";
+import { VOLUME_NOT_ESTIMATED_HELP } from "../analysis/tin";
+import { coordSuffix, projectUnits, volumeSuffix } from "../analysis/units";
+import { downloadText } from "../export/download";
+import { editedColumns } from "../store/columnEdits";
+import { analysisPath, framePath } from "../store/projectRoutes";
+import { useProject } from "../store/useProject";
+import "./Earthworks.css";
+
+// Uses the saved batch run when there is one, otherwise analyses every frame from the stored columns + parameters
+function loadEarthworks(project) {
+  const empty = { results: [], errors: [], rows: [], volumes: null };
+  if (!project) return { ...empty, error: "" };
+
+  if (project.results) {
+    return { ...project.results, rows: gradingList(project.results.results), error: "" };
+  }
+
+  const columns = editedColumns(project);
+  if (!columns?.pole?.length || !columns?.z?.length) {
+    return { ...empty, error: "Missing Frame/Pole/X/Y/Z data. Go back to Review." };
+  }
+
+  try {
+    const out = analyseProject(withSurfaceZ(columns, project.surface, project.zSource), project.params, null, {
+      overrides: project.overrides,
+    });
+    return { ...out, rows: gradingList(out.results), error: "" };
+  } catch (e) {
+    return { ...empty, error: e?.message || "Failed to analyse project." };
+  }
+}
+
+const fmt = (v, digits = 3) => (Number.isFinite(v) ? v.toFixed(digits) : "—");
+const fmtVolume = (v) => (Number.isFinite(v) ? v.toFixed(1) : "—");
+
+export default function Earthworks() {
+  const navigate = useNavigate();
+  const { projectId } = useParams();
+
+  const { project, status: projectStatus, error: projectError } = useProject({ projectId });
+
+  const loaded = useMemo(() => loadEarthworks(project), [project]);
+  const units = projectUnits(project);
+  const len = coordSuffix(units);
+  const vol = volumeSuffix(units);
+  const { results, errors, rows, volumes } = loaded;
+  const error =
+    projectStatus === "loading"
+      ? ""
+      : projectStatus !== "ready"
+        ? projectError || "No project found. Go back to Uploads and upload your BOM."
+        : loaded.error;
+  const ready = projectStatus === "ready" && !error;
+  const [view, setView] = useState("poles"); // poles | frames
+
+  // Older saved runs carry a zero total instead of null when the TIN had no triangles
+  const volumesEstimated = Boolean(volumes?.total && volumes.triangleCount);
+
+  const frameVolumes = useMemo(
+    () => results.filter((r) => r.volume && (r.volume.cut > 0 || r.volume.fill > 0)),
+    [results]
+  );
+
+  const totals = useMemo(() => {
+    let cut = 0;
+    let fill = 0;
+    for (const r of rows) {
+      cut += r.cut;
+      fill += r.fill;
+    }
+    return { cut, fill, frames: results.filter((r) => r.status === "grade").length };
+  }, [rows, results]);
+
+  function downloadCsv() {
+    // every column after the ids is a length in coordinate units
+    const lengths = ["X", "Y", "Existing Z", "Design ground", "Cut", "Fill", "Top of pile"];
+    const header = ["Frame", "Frame.Pole", ...lengths.map((h) => `${h} (${len})`)];
+    const lines = [header.join(",")];
+    for (const r of rows) {
+      lines.push(
+        [r.frameId, r.label, fmt(r.x), fmt(r.y), fmt(r.z), fmt(r.gradeZ), fmt(r.cut), fmt(r.fill), fmt(r.tubeZ)].join(",")
+      );
+    }
+
+    downloadText(lines.join("\n"), "Earthworks_CutFill.csv", "text/csv");
+  }
+
+  return (
+    <div className="ew-shell">
+      <header className="ew-topbar">
+        <div className="ew-left">
+          <Link to={analysisPath(project?.id)} className="ew-link">
+            ← Back to Plot
+          </Link>
+          <h1 className="ew-title">Earthworks List</h1>
+          <div className="ew-subtitle">
+            Minimum cut/fill at each pole that cannot meet the reveal window. Depths are in {len}, volumes in {vol} (TIN
+            of all poles).
+          </div>
+        </div>
+
+        <div className="ew-meta">
+          <div className="ew-chip">
+            <div className="ew-chip-label">File</div>
+            <div className="ew-chip-value">{project?.fileName || "—"}</div>
+          </div>
+          <div className="ew-chip">
+            <div className="ew-chip-label">Frames needing grading</div>
+            <div className="ew-chip-value">
+              {totals.frames.toLocaleString()} of {results.length.toLocaleString()}
+            </div>
+          </div>
+          <div className="ew-chip">
+            <div className="ew-chip-label">Total cut ({len})</div>
+            <div className="ew-chip-value">{fmt(totals.cut)}</div>
+          </div>
+          <div className="ew-chip">
+            <div className="ew-chip-label">Total fill ({len})</div>
+            <div className="ew-chip-value">{fmt(totals.fill)}</div>
+          </div>
+          {volumes && (
+            <div className="ew-chip" title={volumesEstimated ? undefined : VOLUME_NOT_ESTIMATED_HELP}>
+              <div className="ew-chip-label">Volume cut / fill / net ({vol})</div>
+              <div className="ew-chip-value">
+                {volumesEstimated
+                  ? `${fmtVolume(volumes.total.cut)} / ${fmtVolume(volumes.total.fill)} / ${fmtVolume(volumes.total.net)}`
+                  : "Volume not estimated"}
+              </div>
+            </div>
+          )}
+        </div>
+      </header>
+
+      {projectStatus === "loading" && <div className="ew-empty">Loading project…</div>}
+      {error && <div className="ew-error">{error}</div>}
+      {errors.length > 0 && (
+        <div className="ew-error">
+          {errors.length} frame(s) could not be analysed: {errors.map((e) => `${e.frameId} (${e.message})`).join("; ")}
+        </div>
+      )}
+
+      {ready && (
+        <div className="ew-tabs">
+          <button className={`ew-tab ${view === "poles" ? "is-active" : ""}`} onClick={() => setView("poles")}>
+            Poles ({rows.length.toLocaleString()})
+          </button>
+          <button className={`ew-tab ${view === "frames" ? "is-active" : ""}`} onClick={() => setView("frames")}>
+            Volumes by frame ({frameVolumes.length.toLocaleString()})
+          </button>
+        </div>
+      )}
+
+      {ready && view === "frames" && (
+        <div className="ew-window">
+          {!volumesEstimated ? (
+            <div className="ew-empty">Volume not estimated. {VOLUME_NOT_ESTIMATED_HELP}</div>
+          ) : !frameVolumes.length ? (
+            <div className="ew-empty">No earthworks volume. Every pole meets the reveal window.</div>
+          ) : (
+            <table className="ew-table">
+              <thead>
+                <tr>
+                  <th>Frame</th>
+                  <th>Poles graded</th>
+                  <th>Cut volume ({vol})</th>
+                  <th>Fill volume ({vol})</th>
+                  <th>Net volume ({vol})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {frameVolumes.map((r) => (
+                  <tr key={r.frameId} onClick={() => navigate(framePath(project?.id, r.frameId))}>
+                    <td>{r.frameId}</td>
+                    <td>{r.gradedCount}</td>
+                    <td className={r.volume.cut > 0 ? "ew-cut" : ""}>{fmtVolume(r.volume.cut)}</td>
+                    <td className={r.volume.fill > 0 ? "ew-fill" : ""}>{fmtVolume(r.volume.fill)}</td>
+                    <td>{fmtVolume(r.volume.net)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {ready && view === "poles" && (
+        <div className="ew-window">
+          {!rows.length ? (
+            <div className="ew-empty">No grading required. Every pole meets the reveal window.</div>
+          ) : (
+            <table className="ew-table">
+              <thead>
+                <tr>
+                  <th>Frame.Pole</th>
+                  <th>X</th>
+                  <th>Y</th>
+                  <th>Existing Z</th>
+                  <th>Design ground</th>
+                  <th>Cut ({len})</th>
+                  <th>Fill ({len})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r, i) => (
+                  <tr key={`${r.label}-${i}`} onClick={() => navigate(framePath(project?.id, r.frameId))}>
+                    <td>{r.label}</td>
+                    <td>{fmt(r.x)}</td>
+                    <td>{fmt(r.y)}</td>
+                    <td>{fmt(r.z)}</td>
+                    <td>{fmt(r.gradeZ)}</td>
+                    <td className={r.cut > 0 ? "ew-cut" : ""}>{r.cut > 0 ? fmt(r.cut) : "—"}</td>
+                    <td className={r.fill > 0 ? "ew-fill" : ""}>{r.fill > 0 ? fmt(r.fill) : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      <div className="ew-actions">
+        <button className="ew-btn" onClick={() => navigate(analysisPath(project?.id))}>
+          ← Back to Plot
+        </button>
+        <button className="ew-primary" onClick={downloadCsv} disabled={!rows.length}>
+          Download CSV
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,29 +1,570 @@
-import { useMemo } from "react";
-import { Link, useLocation, useParams } from "react-router-dom";
+// FramePage.jsx
+// Purpose: Run the pile reveal check for one frame and list per-pole results.
+// Name: FramePage.jsx
+// Date created: 2026-01-15
+// Method: Builds the frame's poles from the project store, converts the Parameters payload to limits and runs the
+//         flat tracker or XTR analysis. A Plotly side profile shows existing ground, the tube, pile tops and the
+//         reveal envelope. What-if tubes (analysis/override.js), frame walking and neighbour checks
+//         (analysis/layout.js) and the DXF export (export/dxf.js) live in their own modules. Links to
+//         /project/:projectId/frame/:frameId survive a refresh.
+// Data dictionary:
+// - Inputs:
+//   - route params: frameId, projectId (optional; otherwise the current project)
+//   - project store: columns (+ Review edits), params (+ units), fileName, sheetName, surface + zSource (survey Z when
+//                    chosen), overrides (saved what-if tubes by frame id), results (last batch run)
+// - State:
+//   - draft ({ frameId, points: [{ label, tubeZ }] }): unsaved what-if tube while editing
+//   - order ("frame" | "row"): walking order for previous / next
+//   - copiedId (string): frame whose link was just copied
+// - Output:
+//   - elevation profile chart (with the neighbouring frames' tubes)
+//   - mini-map of the surrounding frames and a neighbour tube continuity table
+//   - per-pole table: station, ground Z, top of pile, reveal (reveal unit), pass/fail, minimum cut/fill and design ground
+//   - XTR only: segment slopes, joint slope changes and the limits that force grading
+//   - Frame_<id>.dxf: the frame's polyline, pole labels and cut/fill annotations (export/dxf.js)
+
+import { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import Plot from "react-plotly.js";
+import { FRAME_STATUS_HELP, FRAME_STATUS_LABELS, buildLimits, groupFrames, toIdPiece } from "../analysis/common";
+import { analyseFrame } from "../analysis";
+import {
+  FRAME_ORDERS,
+  frameLayout,
+  frameNeighbours,
+  loadFrameOrder,
+  nearbyFrames,
+  saveFrameOrder,
+  stationsOnFrame,
+  tubeContinuity,
+} from "../analysis/layout";
+import { applyOverride, overridePoints } from "../analysis/override";
+import { frameStatusMap, mergeResults } from "../analysis/project";
+import { withSurfaceZ } from "../analysis/surface";
+import { REVEAL_UNITS, coordSuffix, fmtReveal, projectUnits } from "../analysis/units";
+import { baseName, downloadText } from "../export/download";
+import { buildDxf } from "../export/dxf";
+import { editedColumns } from "../store/columnEdits";
+import { analysisPath, framePath } from "../store/projectRoutes";
+import { useProject } from "../store/useProject";
 import "./FramePage.css";
 
+// All frames of the stored project columns (survey Z applied)
+function storedFrames(project) {
+  if (!project?.columns) return new Map();
+  return groupFrames(withSurfaceZ(editedColumns(project), project.surface, project.zSource));
+}
+
+// Analyses one frame from the stored project columns (optimiser result, before any what-if override)
+function analyseStoredFrame(project, frames, params, trackerType, frameId) {
+  const none = { optimised: null, poles: null, limits: null };
+  if (!project?.columns) return { ...none, error: "" };
+  try {
+    const limits = buildLimits({ ...params, trackerType });
+    const poles = frames.get(toIdPiece(frameId)) || [];
+    if (!poles.length) {
+      return { ...none, limits, error: `No poles with numeric X/Y/Z found for frame "${frameId}".` };
+    }
+    return { optimised: analyseFrame(toIdPiece(frameId), poles, limits), poles, limits, error: "" };
+  } catch (e) {
+    return { ...none, error: e?.message || "Failed to analyse frame." };
+  }
+}
+
+// Draggable circles on the profile chart at the editable tube points (fixed pixel size, anchored in data units)
+function handleShapes(result, points) {
+  const stationOf = new Map(result.poles.map((p) => [p.label, p.s]));
+  return points.map((pt) => ({
+    type: "circle",
+    xref: "x",
+    yref: "y",
+    xsizemode: "pixel",
+    ysizemode: "pixel",
+    xanchor: stationOf.get(pt.label),
+    yanchor: pt.tubeZ,
+    x0: -7,
+    x1: 7,
+    y0: -7,
+    y1: 7,
+    line: { color: "#7c3aed", width: 2 },
+    fillcolor: "rgba(124, 58, 237, 0.35)",
+  }));
+}
+
+const PROFILE_COLORS = {
+  ground: "#8b5e34",
+  design: "#475569",
+  tube: "#0f172a",
+  pile: "#94a3b8",
+  envelope: "#16a34a",
+  tolerance: "rgba(245, 158, 11, 0.25)",
+  cut: "rgba(220, 38, 38, 0.3)",
+  fill: "rgba(37, 99, 235, 0.3)",
+  fail: "#dc2626",
+};
+
+// Side-profile traces: ground, cut/fill areas, reveal envelope (+ tolerance bands), tube line and piles
+function profileTraces(result, limits) {
+  const poles = result.poles;
+  const s = poles.map((p) => p.s);
+  const z = poles.map((p) => p.z);
+  const design = poles.map((p) => (Number.isFinite(p.gradeZ) ? p.gradeZ : p.z));
+  const tube = poles.map((p) => p.tubeZ);
+  const graded = result.gradedCount > 0;
+  const mm = limits.mmPerUnit;
+
+  const line = (y, name, style, extra = {}) => ({
+    type: "scatter",
+    mode: "lines",
+    x: s,
+    y,
+    name,
+    line: style,
+    hoverinfo: "skip",
+    ...extra,
+  });
+  // Invisible copy of a line that the next trace fills against
+  const base = (y) => line(y, "", { width: 0 }, { showlegend: false });
+
+  const traces = [];
+
+  // Reveal envelope: allowed ground between tube − max reveal and tube − min reveal; the tolerance bands are
+  // the strips between the nominal limits and the limits tightened by half the installation tolerance
+  const nominalMin = tube.map((t) => t - limits.minRevealMm / mm);
+  const nominalMax = tube.map((t) => t - limits.maxRevealMm / mm);
+  const tightMin = tube.map((t) => t - limits.lo);
+  const tightMax = tube.map((t) => t - limits.hi);
+  if (limits.halfToleranceMm > 0) {
+    traces.push(base(nominalMin));
+    traces.push(
+      line(tightMin, "Tolerance band", { width: 0 }, { fill: "tonexty", fillcolor: PROFILE_COLORS.tolerance })
+    );
+    traces.push(base(nominalMax));
+    traces.push(
+      line(tightMax, "", { width: 0 }, { fill: "tonexty", fillcolor: PROFILE_COLORS.tolerance, showlegend: false })
+    );
+  }
+  traces.push(line(nominalMin, "Min reveal", { color: PROFILE_COLORS.envelope, width: 1, dash: "dash" }));
+  traces.push(line(nominalMax, "Max reveal", { color: PROFILE_COLORS.envelope, width: 1, dash: "dot" }));
+
+  // Cut (design below existing) and fill (design above existing) areas
+  if (graded) {
+    traces.push(base(z));
+    traces.push(
+      line(
+        design.map((d, i) => Math.min(d, z[i])),
+        "Cut",
+        { width: 0 },
+        { fill: "tonexty", fillcolor: PROFILE_COLORS.cut }
+      )
+    );
+    traces.push(base(z));
+    traces.push(
+      line(
+        design.map((d, i) => Math.max(d, z[i])),
+        "Fill",
+        { width: 0 },
+        { fill: "tonexty", fillcolor: PROFILE_COLORS.fill }
+      )
+    );
+  }
+
+  traces.push({
+    type: "scatter",
+    mode: "lines+markers",
+    x: s,
+    y: z,
+    text: poles.map((p) => p.label),
+    name: "Existing ground",
+    line: { color: PROFILE_COLORS.ground, width: 2 },
+    marker: { size: 5 },
+    hovertemplate: "%{text}<br>Ground Z: %{y:.3f}<extra></extra>",
+  });
+
+  if (graded) {
+    traces.push({
+      type: "scatter",
+      mode: "lines",
+      x: s,
+      y: design,
+      text: poles.map((p) => p.label),
+      name: "Design ground",
+      line: { color: PROFILE_COLORS.design, width: 1.5, dash: "dash" },
+      hovertemplate: "%{text}<br>Design ground: %{y:.3f}<extra></extra>",
+    });
+  }
+
+  // Piles as vertical segments from (design) ground to the pile top
+  const pileX = [];
+  const pileY = [];
+  poles.forEach((p, i) => {
+    pileX.push(p.s, p.s, null);
+    pileY.push(design[i], p.tubeZ, null);
+  });
+  traces.push({
+    type: "scatter",
+    mode: "lines",
+    x: pileX,
+    y: pileY,
+    name: "Piles",
+    line: { color: PROFILE_COLORS.pile, width: 3 },
+    hoverinfo: "skip",
+  });
+
+  traces.push({
+    type: "scatter",
+    mode: "lines+markers",
+    x: s,
+    y: tube,
+    text: poles.map((p) => `${p.label} · reveal ${fmtReveal(p.revealMm, limits.units)}`),
+    name: result.trackerType === "xtr" ? "Tube segments / pile top" : "Torque tube / pile top",
+    line: { color: PROFILE_COLORS.tube, width: 2 },
+    marker: { size: 6, symbol: "line-ew-open" },
+    hovertemplate: "%{text}<br>Top of pile: %{y:.3f}<extra></extra>",
+  });
+
+  const failing = poles.filter((p) => p.status === "fail");
+  if (failing.length) {
+    traces.push({
+      type: "scatter",
+      mode: "markers",
+      x: failing.map((p) => p.s),
+      y: failing.map((p) => p.z),
+      text: failing.map((p) => `${p.label} · ${p.note}`),
+      name: `Failing poles (${failing.length})`,
+      marker: { size: 11, color: PROFILE_COLORS.fail, symbol: "x" },
+      hovertemplate: "%{text}<extra></extra>",
+    });
+  }
+
+  return traces;
+}
+
+// Neighbouring frames' results: last batch run when it has the frame, otherwise analysed here (with any override)
+function neighbourResults(project, frames, limits, frameIds) {
+  const stored = new Map((project?.results?.results || []).map((r) => [String(r.frameId), r]));
+  const out = new Map();
+  for (const frameId of frameIds) {
+    if (out.has(frameId)) continue;
+    let r = stored.get(frameId);
+    const poles = frames.get(frameId);
+    if (!r && limits && poles?.length) {
+      try {
+        r = applyOverride(frameId, poles, limits, project.overrides?.[frameId]) || analyseFrame(frameId, poles, limits);
+      } catch {
+        r = null;
+      }
+    }
+    if (r) out.set(frameId, r);
+  }
+  return out;
+}
+
+const NEIGHBOURS = [
+  { key: "prevInRow", label: "Previous in row", color: "#0ea5e9", visible: true },
+  { key: "nextInRow", label: "Next in row", color: "#0d9488", visible: true },
+  { key: "prevRow", label: "Row before", color: "#64748b", visible: "legendonly" },
+  { key: "nextRow", label: "Row after", color: "#a16207", visible: "legendonly" },
+];
+
+const MAP_COLORS = {
+  pass: "#16a34a",
+  grade: "#f59e0b",
+  fail: "#dc2626",
+  none: "#cbd5e1",
+};
+
+// Frames shown on the mini-map around the current one
+const MINIMAP_FRAMES = 40;
+
+// Mini-map traces: frame polylines by status, plus clickable centroid markers (current frame highlighted)
+function minimapTraces(frames, layout, frameIds, currentId, statusOf) {
+  const lines = {};
+  for (const fid of frameIds) {
+    const status = statusOf(fid);
+    if (!lines[status]) lines[status] = { x: [], y: [] };
+    for (const p of frames.get(fid) || []) {
+      lines[status].x.push(p.x);
+      lines[status].y.push(p.y);
+    }
+    lines[status].x.push(null);
+    lines[status].y.push(null);
+  }
+
+  const traces = Object.entries(lines).map(([status, xy]) => ({
+    type: "scatter",
+    mode: "lines",
+    x: xy.x,
+    y: xy.y,
+    line: { color: MAP_COLORS[status], width: 3 },
+    hoverinfo: "skip",
+    showlegend: false,
+  }));
+
+  traces.push({
+    type: "scatter",
+    mode: "markers",
+    x: frameIds.map((fid) => layout.info.get(fid).cx),
+    y: frameIds.map((fid) => layout.info.get(fid).cy),
+    customdata: frameIds,
+    text: frameIds.map((fid) => `Frame ${fid}`),
+    hovertemplate: "%{text}<extra></extra>",
+    marker: {
+      size: frameIds.map((fid) => (fid === currentId ? 14 : 8)),
+      color: frameIds.map((fid) => MAP_COLORS[statusOf(fid)]),
+      line: { color: frameIds.map((fid) => (fid === currentId ? "#0f172a" : "#ffffff")), width: 2 },
+    },
+    showlegend: false,
+  });
+  return traces;
+}
+
+const fmt = (v, digits = 3) => (Number.isFinite(v) ? v.toFixed(digits) : "—");
+
 export default function FramePage() {
-  const { frameId } = useParams();
-  const { state } = useLocation();
-
-  const meta = useMemo(() => {
-    return {
-      fileName: state?.fileName || "",
-      sheetName: state?.sheetName || "",
-      trackerType: state?.trackerType || "flat",
+  const { frameId, projectId } = useParams();
+  const navigate = useNavigate();
+
+  const { project, status: projectStatus, error: projectError, update } = useProject({ projectId });
+
+  const params = project?.params || null;
+
+  const meta = {
+    fileName: project?.fileName || "",
+    sheetName: project?.sheetName || "",
+    trackerType: params?.trackerType || project?.trackerType || "flat",
+  };
+  const units = projectUnits(project);
+  const lengthUnit = coordSuffix(units);
+
+  const frames = useMemo(() => storedFrames(project), [project]);
+  const layout = useMemo(() => frameLayout(frames), [frames]);
+
+  const { optimised, poles, limits, error } = useMemo(
+    () => analyseStoredFrame(project, frames, params, meta.trackerType, frameId),
+    [project, frames, params, meta.trackerType, frameId]
+  );
+
+  // What-if tube: unsaved draft while editing, otherwise the override saved on the project
+  const id = toIdPiece(frameId);
+  const saved = project?.overrides?.[id] || null;
+  const [draft, setDraft] = useState(null);
+  const [saveError, setSaveError] = useState("");
+  const [copiedId, setCopiedId] = useState(null);
+  const draftPoints = draft?.frameId === id ? draft.points : null;
+  const editing = !!draftPoints;
+
+  const overridden = useMemo(() => {
+    if (!poles || !limits) return null;
+    const override = draftPoints ? { trackerType: limits.trackerType, points: draftPoints } : saved;
+    return override ? applyOverride(id, poles, limits, override) : null;
+  }, [poles, limits, draftPoints, saved, id]);
+
+  const result = overridden || optimised;
+  const staleOverride = !!saved && !editing && !overridden && !!optimised;
+
+  const isXtr = result?.trackerType === "xtr";
+
+  // Walking order and the frames around this one
+  const [order, setOrder] = useState(loadFrameOrder);
+  const sequence = layout.order[order];
+  const position = sequence.indexOf(id);
+  const prevId = position > 0 ? sequence[position - 1] : null;
+  const nextId = position >= 0 && position < sequence.length - 1 ? sequence[position + 1] : null;
+  const neighbours = useMemo(() => frameNeighbours(layout, id), [layout, id]);
+
+  const nearby = useMemo(
+    () => neighbourResults(project, frames, limits, NEIGHBOURS.map((n) => neighbours[n.key]).filter(Boolean)),
+    [project, frames, limits, neighbours]
+  );
+
+  const continuity = useMemo(() => {
+    if (!result) return [];
+    return NEIGHBOURS.map((n) => {
+      const other = neighbours[n.key] ? nearby.get(neighbours[n.key]) : null;
+      return { ...n, frameId: neighbours[n.key], result: other, ...(other ? tubeContinuity(result, other) : {}) };
+    });
+  }, [result, neighbours, nearby]);
+
+  const minimap = useMemo(() => {
+    const statuses = frameStatusMap(project?.results?.results || [], project?.results?.errors || []);
+    const statusOf = (fid) => {
+      const r = fid === id && result ? result : nearby.get(fid) || statuses.get(fid);
+      return r?.status || "none";
     };
-  }, [state]);
+    return minimapTraces(frames, layout, nearbyFrames(layout, id, MINIMAP_FRAMES), id, statusOf);
+  }, [project, frames, layout, id, result, nearby]);
+
+  const profile = useMemo(() => {
+    if (!result || !limits) return [];
+    const traces = profileTraces(result, limits);
+    for (const n of continuity) {
+      if (!n.result) continue;
+      traces.push({
+        type: "scatter",
+        mode: "lines+markers",
+        x: stationsOnFrame(result, n.result.poles),
+        y: n.result.poles.map((p) => p.tubeZ),
+        text: n.result.poles.map((p) => p.label),
+        name: `${n.label}: frame ${n.frameId}`,
+        line: { color: n.color, width: 1.5, dash: "dashdot" },
+        marker: { size: 4 },
+        visible: n.visible,
+        hovertemplate: "%{text}<br>Tube: %{y:.3f}<extra></extra>",
+      });
+    }
+    if (overridden && optimised) {
+      traces.push({
+        type: "scatter",
+        mode: "lines",
+        x: optimised.poles.map((p) => p.s),
+        y: optimised.poles.map((p) => p.tubeZ),
+        name: "Optimised tube",
+        line: { color: "#7c3aed", width: 1, dash: "dot" },
+        hoverinfo: "skip",
+      });
+    }
+    return traces;
+  }, [result, limits, overridden, optimised, continuity]);
+
+  const optimisedTube = useMemo(() => new Map((optimised?.poles || []).map((p) => [p.label, p.tubeZ])), [optimised]);
+
+  function startEdit() {
+    setSaveError("");
+    setDraft({ frameId: id, points: overridePoints(result) });
+  }
+
+  function setPointZ(label, tubeZ) {
+    if (!Number.isFinite(tubeZ)) return;
+    setDraft({ frameId: id, points: draftPoints.map((p) => (p.label === label ? { ...p, tubeZ } : p)) });
+  }
+
+  // Dragged handle -> new tube elevation (horizontal movement is ignored)
+  function onProfileRelayout(e) {
+    if (!editing || !e) return;
+    let next = draftPoints;
+    for (const [key, value] of Object.entries(e)) {
+      const m = /^shapes\[(\d+)\]\.yanchor$/.exec(key);
+      if (!m || !Number.isFinite(value)) continue;
+      const i = Number(m[1]);
+      next = next.map((p, j) => (j === i ? { ...p, tubeZ: value } : p));
+    }
+    if (next !== draftPoints) setDraft({ frameId: id, points: next });
+  }
+
+  // Saves (or with null removes) the override and swaps this frame's result in the stored batch run
+  async function storeOverride(override, frameResult) {
+    setSaveError("");
+    const overrides = { ...(project.overrides || {}) };
+    if (override) overrides[id] = override;
+    else delete overrides[id];
+
+    const patch = { overrides };
+    if (project.results) {
+      const merged = mergeResults(project.results, { results: [frameResult], errors: [] }, new Set([id]));
+      patch.results = { ...project.results, ...merged };
+    }
+    try {
+      await update(patch);
+      setDraft(null);
+    } catch (e) {
+      setSaveError(e?.message || "Could not save to project storage.");
+    }
+  }
+
+  function saveOverride() {
+    if (!overridden) return;
+    storeOverride(
+      { trackerType: limits.trackerType, points: draftPoints, updatedAt: new Date().toISOString() },
+      overridden
+    );
+  }
+
+  function resetOverride() {
+    if (!optimised) return;
+    storeOverride(null, optimised);
+  }
+
+  function openFrame(target) {
+    if (!target || target === id) return;
+    if (editing && !window.confirm("Discard the unsaved what-if tube?")) return;
+    navigate(framePath(project?.id, target));
+  }
+
+  // Link to this frame of this project (the project-keyed URL, whichever route opened the page)
+  function copyLink() {
+    const href = new URL(framePath(project?.id, id), window.location.origin).href;
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(href) : Promise.reject();
+    copied.then(
+      () => setCopiedId(id),
+      () => window.prompt("Copy the link to this frame:", href)
+    );
+  }
+
+  function changeOrder(next) {
+    setOrder(next);
+    saveFrameOrder(next);
+  }
+
+  // ← / → previous / next frame in the chosen order, [ / ] nearest frame in the row before / after
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.altKey || e.ctrlKey || e.metaKey || e.target.closest?.("input, select, textarea")) return;
+      const target = { ArrowLeft: prevId, ArrowRight: nextId, "[": neighbours.prevRow, "]": neighbours.nextRow }[e.key];
+      if (!target) return;
+      e.preventDefault();
+      openFrame(target);
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  function exportDxf() {
+    const id = String(result.frameId);
+    const dxf = buildDxf(new Map([[id, result.poles]]), { statuses: new Map([[id, result]]) });
+    downloadText(dxf, `${baseName(meta.fileName)}_Frame_${baseName(id, "frame")}.dxf`, "application/dxf");
+  }
 
   return (
     <div className="fp-shell">
       <header className="fp-topbar">
         <div className="fp-left">
-          <Link to="/run-analysis" className="fp-link">
-            ← Back to Plot
-          </Link>
+          <div className="fp-nav">
+            <Link to={analysisPath(project?.id)} className="fp-link">
+              ← Back to Plot
+            </Link>
+            <button className="fp-btn" onClick={() => openFrame(prevId)} disabled={!prevId} title="Previous frame (←)">
+              ← Prev
+            </button>
+            <span className="fp-walk-pos">
+              {position >= 0 ? `${position + 1} / ${sequence.length.toLocaleString()}` : "—"}
+            </span>
+            <button className="fp-btn" onClick={() => openFrame(nextId)} disabled={!nextId} title="Next frame (→)">
+              Next →
+            </button>
+            <select className="fp-select" value={order} onChange={(e) => changeOrder(e.target.value)}>
+              {Object.entries(FRAME_ORDERS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {project && (
+              <button className="fp-btn" onClick={copyLink}>
+                {copiedId === id ? "Link copied" : "Copy link"}
+              </button>
+            )}
+            {result && (
+              <button className="fp-btn" onClick={exportDxf}>
+                Export DXF
+              </button>
+            )}
+          </div>
           <h1 className="fp-title">Frame {frameId}</h1>
           <div className="fp-subtitle">
-            Placeholder page — we’ll add frame calculations + outputs here next.
+            {meta.trackerType === "xtr"
+              ? "Terrain-following tube segments and pile reveal check against the project parameters."
+              : "Best-fit torque tube line and pile reveal check against the project parameters."}
           </div>
         </div>
 
@@ -40,15 +581,355 @@ export default function FramePage() {
             <div className="fp-chip-label">Tracker</div>
             <div className="fp-chip-value">{meta.trackerType.toUpperCase()}</div>
           </div>
+          {result && (
+            <div className="fp-chip">
+              <div className="fp-chip-label">Status</div>
+              <div className={`fp-chip-value fp-status-${result.status}`} title={FRAME_STATUS_HELP[result.status]}>
+                {FRAME_STATUS_LABELS[result.status].toUpperCase()}
+              </div>
+            </div>
+          )}
+          {overridden && (
+            <div className="fp-chip fp-chip-override">
+              <div className="fp-chip-label">Tube</div>
+              <div className="fp-chip-value">{editing ? "WHAT-IF (UNSAVED)" : "WHAT-IF OVERRIDE"}</div>
+            </div>
+          )}
         </div>
       </header>
 
-      <main className="fp-content">
-        <div className="fp-card">
-          <h2 className="fp-card-title">BACKENDDDDDD</h2>
-          
+      {projectStatus === "loading" && <div className="fp-info">Loading project…</div>}
+      {projectStatus !== "loading" && projectStatus !== "ready" && (
+        <div className="fp-error">{projectError || "No project found. Go back to Uploads and upload your BOM."}</div>
+      )}
+      {error && <div className="fp-error">{error}</div>}
+      {saveError && <div className="fp-error">{saveError}</div>}
+      {staleOverride && (
+        <div className="fp-info">
+          The saved what-if tube no longer matches this frame&apos;s poles or tracker type, so the optimised tube is
+          shown.{" "}
+          <button className="fp-btn" onClick={resetOverride}>
+            Remove override
+          </button>
         </div>
-      </main>
+      )}
+
+      {result && (
+        <main className="fp-content">
+          <div className="fp-card">
+            <h2 className="fp-card-title">Torque tube</h2>
+            <ul className="fp-list">
+              {isXtr ? (
+                <li>
+                  Segments: <strong>{result.segments.length}</strong> · Cumulative slope change:{" "}
+                  <strong>{fmt(result.cumulativeChangePct, 2)}%</strong>
+                </li>
+              ) : (
+                <li>
+                  Slope: <strong>{fmt(result.slopePct, 2)}%</strong>
+                </li>
+              )}
+              <li>
+                Poles passing: <strong>{result.passCount}</strong> of {result.poles.length}
+              </li>
+              <li>
+                Reveal range:{" "}
+                <strong>
+                  {fmtReveal(Math.min(...result.poles.map((p) => p.revealMm)), units, false)} –{" "}
+                  {fmtReveal(Math.max(...result.poles.map((p) => p.revealMm)), units)}
+                </strong>
+              </li>
+              {result.gradedCount > 0 && (
+                <li>
+                  Minimum earthworks: <strong>{result.gradedCount}</strong> poles graded · cut{" "}
+                  <strong>{fmt(result.totalCut)}</strong> · fill <strong>{fmt(result.totalFill)}</strong> (sum of
+                  depths, {lengthUnit})
+                </li>
+              )}
+            </ul>
+          </div>
+
+          <div className="fp-card fp-profile">
+            <div className="fp-card-head">
+              <h2 className="fp-card-title">Elevation profile</h2>
+              <div className="fp-nav">
+                {editing ? (
+                  <>
+                    <button className="fp-btn fp-btn-primary" onClick={saveOverride} disabled={!overridden}>
+                      Save what-if
+                    </button>
+                    <button className="fp-btn" onClick={() => setDraft(null)}>
+                      Discard
+                    </button>
+                  </>
+                ) : (
+                  <button className="fp-btn" onClick={startEdit}>
+                    {saved && overridden ? "Edit what-if tube" : "What-if: edit tube"}
+                  </button>
+                )}
+                {saved && !editing && overridden && (
+                  <button className="fp-btn" onClick={resetOverride}>
+                    Reset to optimised
+                  </button>
+                )}
+              </div>
+            </div>
+            {overridden?.overrideWarnings.length > 0 && (
+              <ul className="fp-list fp-forced">
+                {overridden.overrideWarnings.map((w) => (
+                  <li key={w}>{w}</li>
+                ))}
+              </ul>
+            )}
+            {editing && (
+              <div className="fp-hint">
+                Drag the purple handles up or down, or type elevations below. Reveals and cut/fill update as you go.
+              </div>
+            )}
+            <div className="fp-profile-plot">
+              <Plot
+                data={profile}
+                onRelayout={onProfileRelayout}
+                layout={{
+                  uirevision: id,
+                  shapes: editing ? handleShapes(result, draftPoints) : [],
+                  autosize: true,
+                  margin: { l: 70, r: 20, t: 10, b: 50 },
+                  paper_bgcolor: "#ffffff",
+                  plot_bgcolor: "#ffffff",
+                  xaxis: { title: `Distance along tube (${lengthUnit})`, zeroline: false, gridcolor: "#eef2f7" },
+                  yaxis: { title: `Elevation (${lengthUnit})`, zeroline: false, gridcolor: "#eef2f7" },
+                  legend: { orientation: "h", x: 0, y: -0.18 },
+                  hovermode: "closest",
+                }}
+                config={{ responsive: true, displaylogo: false, edits: { shapePosition: editing } }}
+                style={{ width: "100%", height: "100%" }}
+              />
+            </div>
+          </div>
+
+          <div className="fp-walk">
+            <div className="fp-card fp-minimap">
+              <h2 className="fp-card-title">Surrounding frames</h2>
+              <div className="fp-hint">
+                Click a frame to open it. ← / → previous / next ({FRAME_ORDERS[order].toLowerCase()}), [ / ] row
+                before / after.
+              </div>
+              <div className="fp-minimap-plot">
+                <Plot
+                  data={minimap}
+                  onClick={(e) => openFrame(e?.points?.[0]?.customdata)}
+                  layout={{
+                    uirevision: id,
+                    autosize: true,
+                    margin: { l: 10, r: 10, t: 10, b: 10 },
+                    paper_bgcolor: "#ffffff",
+                    plot_bgcolor: "#ffffff",
+                    xaxis: { visible: false },
+                    yaxis: { visible: false, scaleanchor: "x" },
+                    hovermode: "closest",
+                  }}
+                  config={{ responsive: true, displaylogo: false, displayModeBar: false }}
+                  style={{ width: "100%", height: "100%" }}
+                />
+              </div>
+            </div>
+
+            <div className="fp-card fp-tablecard fp-neighbours">
+              <h2 className="fp-card-title">Neighbouring tubes</h2>
+              <table className="fp-table">
+                <thead>
+                  <tr>
+                    <th>Neighbour</th>
+                    <th>Frame</th>
+                    <th>Status</th>
+                    <th>Closest poles</th>
+                    <th>Gap</th>
+                    <th>Tube step</th>
+                    <th>Max step alongside</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {continuity.map((n) => (
+                    <tr key={n.key}>
+                      <td>
+                        <span className="fp-swatch" style={{ background: n.color }} />
+                        {n.label}
+                      </td>
+                      {n.frameId ? (
+                        <>
+                          <td>
+                            <button className="fp-btn" onClick={() => openFrame(n.frameId)}>
+                              {n.frameId}
+                            </button>
+                          </td>
+                          <td className={n.result ? `fp-status-${n.result.status}` : ""}>
+                            {n.result ? FRAME_STATUS_LABELS[n.result.status] : "Not analysed"}
+                          </td>
+                          <td>{n.result ? `${n.from} ↔ ${n.to}` : "—"}</td>
+                          <td>{fmt(n.gap, 2)}</td>
+                          <td>{fmt(n.step)}</td>
+                          <td>{fmt(n.maxStep)}</td>
+                        </>
+                      ) : (
+                        <td colSpan={6}>No frame</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="fp-hint">
+                Tube step = neighbour top of pile − this frame&apos;s, between the closest poles and (for frames
+                alongside) the largest difference at the same distance along the tube.
+              </div>
+            </div>
+          </div>
+
+          {editing && (
+            <div className="fp-card fp-tablecard">
+              <h2 className="fp-card-title">What-if tube elevations</h2>
+              <table className="fp-table">
+                <thead>
+                  <tr>
+                    <th>Pole</th>
+                    <th>Optimised top of pile</th>
+                    <th>What-if top of pile</th>
+                    <th>Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {draftPoints.map((pt) => {
+                    const base = optimisedTube.get(pt.label);
+                    return (
+                      <tr key={pt.label}>
+                        <td>{pt.label}</td>
+                        <td>{fmt(base)}</td>
+                        <td>
+                          <input
+                            className="fp-input"
+                            type="number"
+                            step="0.001"
+                            value={Number(pt.tubeZ.toFixed(4))}
+                            onChange={(e) => setPointZ(pt.label, e.target.valueAsNumber)}
+                          />
+                        </td>
+                        <td>{fmt(pt.tubeZ - base)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {isXtr && (
+            <div className="fp-card fp-tablecard">
+              <h2 className="fp-card-title">Segments</h2>
+              <table className="fp-table">
+                <thead>
+                  <tr>
+                    <th>Segment</th>
+                    <th>Slope (%)</th>
+                    <th>Joint change at end (%)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.segments.map((seg, i) => {
+                    const joint = result.joints[i];
+                    return (
+                      <tr key={`${seg.from}-${seg.to}`}>
+                        <td>
+                          {seg.from} → {seg.to}
+                        </td>
+                        <td>{fmt(seg.slopePct, 2)}</td>
+                        <td>
+                          {joint ? fmt(joint.changePct, 2) : "—"}
+                          {joint?.atLimit && <span className="fp-note">At joint limit</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {result.straightFallback && (
+                <ul className="fp-list fp-forced">
+                  <li>
+                    The segment optimiser did not solve this frame, so it uses a straight tube (flat tracker fit). It
+                    meets every XTR limit but may need more grading than an optimised tube.
+                  </li>
+                </ul>
+              )}
+
+              {Object.values(result.forcedBy).some((labels) => labels.length > 0) && (
+                <ul className="fp-list fp-forced">
+                  {result.forcedBy.incline.length > 0 && (
+                    <li>
+                      Max incline forces grading at <strong>{result.forcedBy.incline.join(", ")}</strong>
+                    </li>
+                  )}
+                  {result.forcedBy.joint.length > 0 && (
+                    <li>
+                      Joint slope change limit forces grading at <strong>{result.forcedBy.joint.join(", ")}</strong>
+                    </li>
+                  )}
+                  {result.forcedBy.cumulative.length > 0 && (
+                    <li>
+                      Cumulative slope change limit forces grading at{" "}
+                      <strong>{result.forcedBy.cumulative.join(", ")}</strong>
+                    </li>
+                  )}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <div className="fp-card fp-tablecard">
+            <h2 className="fp-card-title">Poles</h2>
+            <table className="fp-table">
+              <thead>
+                <tr>
+                  <th>Pole</th>
+                  <th>X</th>
+                  <th>Y</th>
+                  <th>Station</th>
+                  <th>Ground Z</th>
+                  <th>Top of pile</th>
+                  <th>Reveal ({REVEAL_UNITS[units.reveal].short})</th>
+                  <th>Status</th>
+                  <th>Cut</th>
+                  <th>Fill</th>
+                  <th>Design ground</th>
+                  <th>Graded reveal ({REVEAL_UNITS[units.reveal].short})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.poles.map((p) => (
+                  <tr key={p.label} className={p.status === "fail" ? "is-fail" : ""}>
+                    <td>{p.label}</td>
+                    <td>{fmt(p.x)}</td>
+                    <td>{fmt(p.y)}</td>
+                    <td>{fmt(p.s)}</td>
+                    <td>{fmt(p.z)}</td>
+                    <td>{fmt(p.tubeZ)}</td>
+                    <td>{fmtReveal(p.revealMm, units, false)}</td>
+                    <td>
+                      <span className={`fp-badge fp-badge-${p.status}`}>
+                        {p.status === "pass" ? "Pass" : "Fail"}
+                      </span>
+                      {p.note && <span className="fp-note">{p.note}</span>}
+                    </td>
+                    <td className={p.cut > 0 ? "fp-cut" : ""}>{p.cut > 0 ? fmt(p.cut) : "—"}</td>
+                    <td className={p.fill > 0 ? "fp-fill" : ""}>{p.fill > 0 ? fmt(p.fill) : "—"}</td>
+                    <td>{fmt(p.gradeZ)}</td>
+                    <td>{fmtReveal(p.gradedRevealMm, units, false)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </main>
+      )}
     </div>
   );
 }
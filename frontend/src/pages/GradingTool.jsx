@@ -1,7 +1,25 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { Link } from "react-router-dom";
+import { withSurfaceZ } from "../analysis/surface";
+import { editedColumns } from "../store/columnEdits";
+import { useProject } from "../store/useProject";
 import "./GradingTool.css";
 
+// Stored numeric columns use NaN for blank cells; the backend expects "" there
+const toCells = (values) => Array.from(values || [], (v) => (typeof v === "number" && Number.isNaN(v) ? "" : v));
+
+function buildPayload(project) {
+  if (!project?.columns) return null;
+  const { pole, x, y, z } = withSurfaceZ(editedColumns(project), project.surface, project.zSource);
+  return {
+    tracker_type: (project.params?.trackerType || project.trackerType || "flat").toLowerCase(), // MUST be "flat" or "xtr"
+    pole: toCells(pole),
+    x: toCells(x),
+    y: toCells(y),
+    z: toCells(z),
+  };
+}
+
 export default function GradingTool() {
   const [status, setStatus] = useState("idle"); // idle | generating | ready | error
   const [error, setError] = useState("");
@@ -11,25 +29,8 @@ export default function GradingTool() {
   // Avoid state update after unmount + allow cancel
   const abortRef = useRef(null);
 
-  const payload = useMemo(() => {
-    try {
-      const cfg = JSON.parse(localStorage.getItem("pcl_config") || "{}");
-      const pole = JSON.parse(localStorage.getItem("pcl_columns_pole") || "[]");
-      const x = JSON.parse(localStorage.getItem("pcl_columns_x") || "[]");
-      const y = JSON.parse(localStorage.getItem("pcl_columns_y") || "[]");
-      const z = JSON.parse(localStorage.getItem("pcl_columns_z") || "[]");
-
-      return {
-        tracker_type: (cfg.trackerType || "flat").toLowerCase(), // MUST be "flat" or "xtr"
-        pole,
-        x,
-        y,
-        z,
-      };
-    } catch {
-      return null;
-    }
-  }, []);
+  const { project } = useProject();
+  const payload = useMemo(() => buildPayload(project), [project]);
 
   async function generate() {
     setError("");
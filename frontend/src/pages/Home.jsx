@@ -0,0 +1,220 @@
+// Home.jsx
+// Purpose: Home dashboard listing saved projects so several sites can be worked on side by side.
+// Name: Home.jsx
+// Date created: 2026-10-19
+// Method: Lists projects from the IndexedDB project store (newest first). Opening a project makes it the current
+//         project and resumes at the last workflow step it was on. Projects can be duplicated, archived
+//         (hidden unless "Show archived" is ticked) or deleted.
+// Data dictionary:
+// - Inputs:
+//   - project store: project summaries (name, fileName, trackerType, rowCount, analysis, lastStep, archived)
+// - State:
+//   - projects (array): project summaries from listProjects
+//   - showArchived (boolean): include archived projects in the list
+//   - busyId (string): project with an action in progress
+// - Output:
+//   - navigation to /uploads (new project) or the project's last step
+
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { FRAME_STATUS_HELP } from "../analysis/common";
+import pclLogo from "../assets/logos/pcllogo.png";
+import {
+  deleteProject,
+  duplicateProject,
+  listProjects,
+  setCurrentProjectId,
+  updateProject,
+} from "../store/projectStore";
+import { analysisPath, parametersPath } from "../store/projectRoutes";
+import "./Home.css";
+
+const STEP_ROUTES = {
+  review: () => "/review",
+  parameters: parametersPath,
+  "run-analysis": analysisPath,
+};
+
+const STEP_LABELS = {
+  review: "Review",
+  parameters: "Parameters",
+  "run-analysis": "Run Analysis",
+};
+
+const fmtDate = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+
+export default function Home() {
+  const navigate = useNavigate();
+
+  const [projects, setProjects] = useState([]);
+  const [status, setStatus] = useState("loading"); // loading | ready | error
+  const [error, setError] = useState("");
+  const [showArchived, setShowArchived] = useState(false);
+  const [busyId, setBusyId] = useState("");
+
+  function refresh() {
+    return listProjects()
+      .then((list) => {
+        setProjects(list);
+        setStatus("ready");
+      })
+      .catch((e) => {
+        setError(e?.message || "Failed to open project storage.");
+        setStatus("error");
+      });
+  }
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // Runs a project action, then reloads the list
+  async function runAction(id, action) {
+    setError("");
+    setBusyId(id);
+    try {
+      await action();
+      await refresh();
+    } catch (e) {
+      setError(e?.message || "Project action failed.");
+    } finally {
+      setBusyId("");
+    }
+  }
+
+  async function openProject(p) {
+    setError("");
+    try {
+      await setCurrentProjectId(p.id);
+      navigate((STEP_ROUTES[p.lastStep] || STEP_ROUTES.review)(p.id));
+    } catch (e) {
+      setError(e?.message || "Failed to open project.");
+    }
+  }
+
+  function removeProject(p) {
+    const name = p.name || p.fileName || "this project";
+    if (!window.confirm(`Delete "${name}"? This cannot be undone.`)) return;
+    runAction(p.id, () => deleteProject(p.id));
+  }
+
+  const visible = projects.filter((p) => showArchived || !p.archived);
+  const archivedCount = projects.filter((p) => p.archived).length;
+
+  return (
+    <div className="home-shell">
+      <header className="home-topbar">
+        <div className="home-brand">
+          <img src={pclLogo} alt="PCL Logo" className="home-logo" />
+          <div>
+            <h1 className="home-title">PCL Earthworks Tool</h1>
+            <div className="home-subtitle">Open a saved project or upload a new BOM.</div>
+          </div>
+        </div>
+
+        <Link to="/uploads" className="home-primary">
+          + New project
+        </Link>
+      </header>
+
+      {error && <div className="home-error">{error}</div>}
+
+      <div className="home-toolbar">
+        <div className="home-count">
+          {visible.length.toLocaleString()} project{visible.length === 1 ? "" : "s"}
+        </div>
+        <label className="home-check">
+          <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+          Show archived ({archivedCount})
+        </label>
+      </div>
+
+      <div className="home-window">
+        {status === "loading" ? (
+          <div className="home-empty">Loading projects…</div>
+        ) : !visible.length ? (
+          <div className="home-empty">
+            No projects yet. Click <strong>New project</strong> to upload a BOM.
+          </div>
+        ) : (
+          <table className="home-table">
+            <thead>
+              <tr>
+                <th>Project</th>
+                <th>Tracker</th>
+                <th>Rows</th>
+                <th>Last analysis</th>
+                <th>Updated</th>
+                <th>Step</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((p) => {
+                const busy = busyId === p.id;
+                return (
+                  <tr key={p.id} className={p.archived ? "is-archived" : ""}>
+                    <td>
+                      <div className="home-name">{p.name || p.fileName || "Untitled"}</div>
+                      <div className="home-file">
+                        {p.fileName || "—"}
+                        {p.surfaceName && ` + survey ${p.surfaceName}`}
+                        {p.archived && <span className="home-tag">Archived</span>}
+                      </div>
+                    </td>
+                    <td>{p.trackerType.toUpperCase()}</td>
+                    <td>{p.rowCount ? p.rowCount.toLocaleString() : "—"}</td>
+                    <td>
+                      {p.analysis ? (
+                        <>
+                          <div className="home-status">
+                            <span className="home-pass">{p.analysis.pass} pass</span>
+                            <span className="home-grade">{p.analysis.grade} grading</span>
+                            {p.analysis.fail > 0 && (
+                              <span className="home-fail" title={FRAME_STATUS_HELP.fail}>
+                                {p.analysis.fail} analysis errors
+                              </span>
+                            )}
+                          </div>
+                          <div className="home-file">{fmtDate(p.analysis.ranAt)}</div>
+                        </>
+                      ) : (
+                        <span className="home-file">Not run</span>
+                      )}
+                    </td>
+                    <td>{fmtDate(p.updatedAt)}</td>
+                    <td>{STEP_LABELS[p.lastStep] || "Review"}</td>
+                    <td>
+                      <div className="home-actions">
+                        <button className="home-open" onClick={() => openProject(p)} disabled={busy}>
+                          Open
+                        </button>
+                        <button
+                          className="home-btn"
+                          onClick={() => runAction(p.id, () => duplicateProject(p.id))}
+                          disabled={busy}
+                        >
+                          Duplicate
+                        </button>
+                        <button
+                          className="home-btn"
+                          onClick={() => runAction(p.id, () => updateProject(p.id, { archived: !p.archived }))}
+                          disabled={busy}
+                        >
+                          {p.archived ? "Restore" : "Archive"}
+                        </button>
+                        <button className="home-btn home-danger" onClick={() => removeProject(p)} disabled={busy}>
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
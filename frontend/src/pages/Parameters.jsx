@@ -1,10 +1,44 @@
-import { useEffect, useMemo, useState } from "react";
-import { useLocation, useNavigate } from "react-router-dom";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import { CRS_GROUPS, CRS_LIST, checkCrs, findCrs, fmtLatLon, fromWgs84, paramsCrs, toWgs84 } from "../analysis/crs";
+import { COORD_UNITS, DEFAULT_UNITS, REVEAL_UNITS, convertRevealText, paramsUnits } from "../analysis/units";
+import { downloadText } from "../export/download";
+import {
+  BUILT_IN_PRESETS,
+  MANUFACTURERS,
+  PRESET_FIELDS,
+  findPreset,
+  findPresetByName,
+  loadCustomPresets,
+  makeCustomPreset,
+  mergePresets,
+  parsePresetFile,
+  presetHasValues,
+  presetsToJSON,
+  saveCustomPresets,
+} from "../presets/trackerPresets";
+import { editedColumns } from "../store/columnEdits";
+import { columnRowCount } from "../store/projectStore";
+import { analysisPath } from "../store/projectRoutes";
+import { useProject } from "../store/useProject";
 import "./Parameters.css";
 
+// Fields entered in the reveal unit (presets store them in mm)
+const REVEAL_FIELDS = ["minPileReveal", "maxPileReveal", "installationTolerance"];
+
+// Manufacturers with no terrain-following (XTR) product in the built-in list, e.g. "PVH, GameChange and ATI"
+const NO_XTR_MANUFACTURERS = MANUFACTURERS.filter(
+  (m) => !BUILT_IN_PRESETS.some((p) => p.manufacturer === m.value && p.trackerType === "xtr")
+)
+  .map((m) => m.label)
+  .join(", ")
+  .replace(/, ([^,]*)$/, " and $1");
+
 export default function Parameters() {
   const { state } = useLocation();
   const navigate = useNavigate();
+  const { projectId } = useParams();
+  const { project, status: projectStatus, error: projectError, update } = useProject({ step: "parameters", projectId });
 
   const fileNameFromState = state?.fileName || "";
   const sheetNameFromState = state?.sheetName || "";
@@ -18,14 +52,26 @@ export default function Parameters() {
   // Tracker type selection
   const [trackerType, setTrackerType] = useState(trackerTypeFromState); // "flat" | "xtr"
 
-  // Manufacturer selection (future auto-fill)
+  // Project units (analysis/units.js): BOM coordinates and the reveal / tolerance fields below
+  const [coordUnit, setCoordUnit] = useState(DEFAULT_UNITS.coord);
+  const [revealUnit, setRevealUnit] = useState(DEFAULT_UNITS.reveal);
+  const [crsCode, setCrsCode] = useState(""); // "" = no CRS (plain grid coordinates)
+  const [convert, setConvert] = useState({ x: "", y: "", lat: "", lon: "" });
+
+  // Manufacturer + preset selection (custom presets auto-fill the fields below)
   const [manufacturer, setManufacturer] = useState("");
+  const [presetId, setPresetId] = useState("");
+  const [customPresets, setCustomPresets] = useState(loadCustomPresets);
+  const [presetName, setPresetName] = useState("");
+  const [presetSource, setPresetSource] = useState("");
+  const [presetMsg, setPresetMsg] = useState("");
+  const importRef = useRef(null);
 
   // Shared fields (Flat + XTR)
   const [maxIncline, setMaxIncline] = useState(""); // %
-  const [minPileReveal, setMinPileReveal] = useState(""); // mm
-  const [maxPileReveal, setMaxPileReveal] = useState(""); // mm
-  const [installationTolerance, setInstallationTolerance] = useState(""); // mm
+  const [minPileReveal, setMinPileReveal] = useState(""); // revealUnit
+  const [maxPileReveal, setMaxPileReveal] = useState(""); // revealUnit
+  const [installationTolerance, setInstallationTolerance] = useState(""); // revealUnit
 
   // XTR-only fields (slope change in %)
   const [maxSegmentSlopeChange, setMaxSegmentSlopeChange] = useState(""); // %
@@ -33,43 +79,42 @@ export default function Parameters() {
 
   const [error, setError] = useState("");
 
-  // Refresh-safe load
+  // Load saved parameters + file info from the project store
   useEffect(() => {
-    // Restore saved parameters
-    try {
-      const saved = JSON.parse(localStorage.getItem("pcl_parameters") || "null");
-      if (saved) {
-        setManufacturer(saved.manufacturer ?? "");
-        setTrackerType(saved.trackerType ?? trackerTypeFromState);
-
-        setMaxIncline(saved.maxIncline ?? "");
-        setMinPileReveal(saved.minPileReveal ?? "");
-        setMaxPileReveal(saved.maxPileReveal ?? "");
-        setInstallationTolerance(saved.installationTolerance ?? "");
-
-        setMaxSegmentSlopeChange(saved.maxSegmentSlopeChange ?? "");
-        setMaxCumulativeSlopeChange(saved.maxCumulativeSlopeChange ?? "");
-      }
-    } catch {
-      // ignore
+    if (projectStatus === "loading") return;
+    if (projectStatus !== "ready") {
+      setError(projectError || "No project found. Go back to Uploads and upload your BOM.");
+      return;
     }
 
-    // If state missing after refresh, recover from pcl_config & columns
-    try {
-      if (!fileNameFromState || !sheetNameFromState) {
-        const cfg = JSON.parse(localStorage.getItem("pcl_config") || "{}");
-        if (cfg?.fileName) setFileName(cfg.fileName);
-        if (cfg?.sheetName) setSheetName(cfg.sheetName);
-      }
-      if (!rowCountFromState) {
-        const poleLS = JSON.parse(localStorage.getItem("pcl_columns_pole") || "[]");
-        if (Array.isArray(poleLS) && poleLS.length) setRowCount(poleLS.length);
-      }
-    } catch {
-      // ignore
+    const saved = project.params;
+    if (saved) {
+      setManufacturer(saved.manufacturer ?? "");
+      setPresetId(saved.presetId ?? "");
+      setTrackerType(saved.trackerType ?? trackerTypeFromState);
+
+      const units = paramsUnits(saved);
+      setCoordUnit(units.coord);
+      setRevealUnit(units.reveal);
+      setCrsCode(paramsCrs(saved)?.code || "");
+
+      setMaxIncline(saved.maxIncline ?? "");
+      setMinPileReveal(saved.minPileReveal ?? "");
+      setMaxPileReveal(saved.maxPileReveal ?? "");
+      setInstallationTolerance(saved.installationTolerance ?? "");
+
+      setMaxSegmentSlopeChange(saved.maxSegmentSlopeChange ?? "");
+      setMaxCumulativeSlopeChange(saved.maxCumulativeSlopeChange ?? "");
+    } else if (!state?.trackerType && project.trackerType) {
+      setTrackerType(project.trackerType);
     }
+
+    // If state missing after refresh, recover from the project
+    if (!fileNameFromState && project.fileName) setFileName(project.fileName);
+    if (!sheetNameFromState && project.sheetName) setSheetName(project.sheetName);
+    if (!rowCountFromState) setRowCount(columnRowCount(editedColumns(project)));
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [projectStatus]);
 
   // Helpful display (not enforced)
   const halfTolerance = useMemo(() => {
@@ -87,6 +132,175 @@ export default function Parameters() {
     }
   }, [trackerType]);
 
+  const fieldValues = {
+    maxIncline,
+    minPileReveal,
+    maxPileReveal,
+    installationTolerance,
+    maxSegmentSlopeChange,
+    maxCumulativeSlopeChange,
+  };
+
+  const fieldSetters = {
+    maxIncline: setMaxIncline,
+    minPileReveal: setMinPileReveal,
+    maxPileReveal: setMaxPileReveal,
+    installationTolerance: setInstallationTolerance,
+    maxSegmentSlopeChange: setMaxSegmentSlopeChange,
+    maxCumulativeSlopeChange: setMaxCumulativeSlopeChange,
+  };
+
+  const activePreset = findPreset(presetId, customPresets);
+  const activeHasValues = presetHasValues(activePreset);
+
+  const crs = findCrs(crsCode);
+
+  // Datum / zone check of the (corrected) BOM against the chosen CRS
+  const crsCheck = useMemo(() => {
+    const columns = projectStatus === "ready" ? editedColumns(project) : null;
+    return crs && columns ? checkCrs(crs, columns) : null;
+  }, [crs, project, projectStatus]);
+
+  function changeCrs(code) {
+    setCrsCode(code);
+    const next = findCrs(code);
+    if (next) setCoordUnit(next.unit);
+  }
+
+  // Point converter: fills the other pair from the one just converted
+  function convertPoint(toGrid) {
+    if (!crs) return;
+    const v = Object.fromEntries(Object.entries(convert).map(([k, text]) => [k, Number(String(text).trim())]));
+    if (toGrid) {
+      if (!Number.isFinite(v.lat) || !Number.isFinite(v.lon)) return;
+      const p = fromWgs84(crs, v.lon, v.lat);
+      setConvert((c) => ({ ...c, x: p.x.toFixed(3), y: p.y.toFixed(3) }));
+    } else {
+      if (!Number.isFinite(v.x) || !Number.isFinite(v.y)) return;
+      const p = toWgs84(crs, v.x, v.y);
+      setConvert((c) => ({ ...c, lat: p.lat.toFixed(8), lon: p.lon.toFixed(8) }));
+    }
+  }
+
+  const revealShort = REVEAL_UNITS[revealUnit].short;
+  const revealExample = (mm) => convertRevealText(String(mm), "mm", revealUnit);
+
+  // Preset value of a field in the units shown on this page
+  const presetValue = (preset, field) => {
+    const value = preset.values[field] ?? "";
+    return REVEAL_FIELDS.includes(field) ? convertRevealText(value, "mm", revealUnit) : value;
+  };
+
+  // Fields whose value differs from the selected preset (changed by hand); built-in products have no values
+  const editedFields = activeHasValues
+    ? PRESET_FIELDS.filter((f) => String(presetValue(activePreset, f)) !== String(fieldValues[f] ?? ""))
+    : [];
+
+  const manufacturerPresets = BUILT_IN_PRESETS.filter((p) => p.manufacturer === manufacturer);
+
+  function applyPreset(id) {
+    setPresetMsg("");
+    setPresetId(id);
+    const preset = findPreset(id, customPresets);
+    if (!preset) return;
+
+    if (!preset.custom) setManufacturer(preset.manufacturer);
+    setTrackerType(preset.trackerType);
+    if (!presetHasValues(preset)) {
+      setPresetMsg(
+        `No values are bundled for ${preset.product}. Enter them from the manufacturer's design guide, then save a ` +
+          "custom preset that names the guide and revision."
+      );
+      return;
+    }
+    for (const f of PRESET_FIELDS) fieldSetters[f](presetValue(preset, f));
+  }
+
+  // Typed reveals follow the unit so the limits stay the same
+  function changeRevealUnit(next) {
+    for (const f of REVEAL_FIELDS) fieldSetters[f](convertRevealText(fieldValues[f], revealUnit, next));
+    setRevealUnit(next);
+  }
+
+  function onManufacturerChange(value) {
+    setManufacturer(value);
+    if (activePreset && !activePreset.custom && activePreset.manufacturer !== value) setPresetId("");
+  }
+
+  function resetField(field) {
+    if (activeHasValues) fieldSetters[field](presetValue(activePreset, field));
+  }
+
+  function presetHint(field) {
+    if (!editedFields.includes(field)) return null;
+    const original = presetValue(activePreset, field);
+    return (
+      <div className="field-hint field-edited">
+        Changed by hand (preset: {original === "" ? "blank" : original}) ·{" "}
+        <button type="button" className="link-btn" onClick={() => resetField(field)}>
+          Reset
+        </button>
+      </div>
+    );
+  }
+
+  function saveCustomPreset() {
+    const name = presetName.trim();
+    if (!name) {
+      setPresetMsg("Enter a name for the custom preset.");
+      return;
+    }
+
+    const existing = findPresetByName(customPresets, name);
+    if (existing && !window.confirm(`A custom preset named "${existing.product}" already exists. Replace it?`)) return;
+
+    const values = { ...fieldValues };
+    for (const f of REVEAL_FIELDS) values[f] = convertRevealText(values[f], revealUnit, "mm");
+    const preset = makeCustomPreset(name, manufacturer, trackerType, values, presetSource);
+    const { presets: next } = mergePresets(customPresets, [preset]);
+    setCustomPresets(next);
+    setPresetId(existing ? existing.id : preset.id);
+    setPresetName("");
+    setPresetSource("");
+    setPresetMsg(saveCustomPresets(next) ? `Saved preset "${name}".` : "Browser storage is full; preset not saved.");
+  }
+
+  function deleteCustomPreset() {
+    if (!activePreset?.custom) return;
+    const next = customPresets.filter((p) => p.id !== activePreset.id);
+    setCustomPresets(next);
+    saveCustomPresets(next);
+    setPresetId("");
+    setPresetMsg(`Deleted preset "${activePreset.product}".`);
+  }
+
+  function exportPresets() {
+    const list = customPresets.length ? customPresets : activePreset ? [activePreset] : [];
+    if (!list.length) {
+      setPresetMsg("No custom presets to export. Save one first.");
+      return;
+    }
+
+    downloadText(presetsToJSON(list), "PCL_Tracker_Presets.json", "application/json");
+  }
+
+  async function importPresets(file) {
+    if (!file) return;
+    try {
+      const { presets: imported, skipped } = parsePresetFile(await file.text());
+      const { presets: next, replaced } = mergePresets(customPresets, imported);
+      setCustomPresets(next);
+      saveCustomPresets(next);
+      const replacedMsg = replaced.length ? ` Replaced (same name): ${replaced.join(", ")}.` : "";
+      const skippedMsg = skipped.length ? ` Skipped ${skipped.length}: ${skipped.join("; ")}.` : "";
+      setPresetMsg(`Imported ${imported.length} preset(s).${replacedMsg}${skippedMsg}`);
+    } catch (e) {
+      setPresetMsg(e?.message || "Failed to import presets.");
+    } finally {
+      if (importRef.current) importRef.current.value = "";
+    }
+  }
+
   function goBack() {
     navigate("/review");
   }
@@ -114,7 +328,7 @@ export default function Parameters() {
     return "";
   }
 
-  function proceed() {
+  async function proceed() {
     const msg = validateRequired();
     if (msg) {
       setError(msg);
@@ -128,6 +342,11 @@ export default function Parameters() {
       rowCount,
       trackerType,
       manufacturer,
+      presetId,
+      editedFields,
+      coordUnit,
+      revealUnit,
+      crs: crsCode,
 
       // Shared
       maxIncline,
@@ -141,12 +360,14 @@ export default function Parameters() {
     };
 
     try {
-      localStorage.setItem("pcl_parameters", JSON.stringify(payload));
-    } catch {
-      // ignore
+      // new parameters invalidate any saved analysis run
+      await update({ params: payload, trackerType, results: null });
+    } catch (e) {
+      setError(e?.message || "Failed to save parameters.");
+      return;
     }
 
-    navigate("/run-analysis", { state: payload });
+    navigate(analysisPath(project.id));
   }
 
   return (
@@ -221,24 +442,213 @@ export default function Parameters() {
           </div>
         </section>
 
-        {/* Manufacturer (future auto-fill) */}
+        {/* Units */}
+        <section className="params-card">
+          <h2 className="card-title">Units</h2>
+          <p className="card-desc">
+            What the BOM X / Y / Z are measured in, and the unit for pile reveals and tolerances. The analysis, plots,
+            tables and exports all use these.
+          </p>
+
+          <div className="form-grid">
+            <div className="form-field">
+              <label>Coordinate units (X / Y / Z)</label>
+              <select className="params-select" value={coordUnit} onChange={(e) => setCoordUnit(e.target.value)}>
+                {Object.entries(COORD_UNITS).map(([key, unit]) => (
+                  <option key={key} value={key}>
+                    {unit.label} ({unit.short})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-field">
+              <label>Reveal / tolerance units</label>
+              <select className="params-select" value={revealUnit} onChange={(e) => changeRevealUnit(e.target.value)}>
+                {Object.entries(REVEAL_UNITS).map(([key, unit]) => (
+                  <option key={key} value={key}>
+                    {unit.label} ({unit.short})
+                  </option>
+                ))}
+              </select>
+              <div className="field-hint">Values already typed below are converted when this changes.</div>
+            </div>
+          </div>
+        </section>
+
+        {/* Coordinate reference system */}
+        <section className="params-card">
+          <h2 className="card-title">Coordinate reference system</h2>
+          <p className="card-desc">
+            The projected CRS the BOM X / Y are in, from the EPSG codes bundled with the tool (no internet needed). It
+            adds latitude / longitude to the analysis hover and the GeoJSON export, and checks the BOM landed where the
+            CRS is used. NAD83, ETRS89 and GDA datums are treated as WGS 84 (within about 2 m).
+          </p>
+
+          <div className="form-grid">
+            <div className="form-field">
+              <label>CRS (EPSG)</label>
+              <select className="params-select" value={crsCode} onChange={(e) => changeCrs(e.target.value)}>
+                <option value="">None (local grid)</option>
+                {CRS_GROUPS.map((group) => (
+                  <optgroup key={group} label={group}>
+                    {CRS_LIST.filter((c) => c.group === group).map((c) => (
+                      <option key={c.code} value={c.code}>
+                        {c.code} · {c.name}
+                      </option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+              {crs && crs.unit !== coordUnit && (
+                <div className="field-hint field-edited">
+                  {crs.code} is in {COORD_UNITS[crs.unit].label.toLowerCase()} but the coordinate units are{" "}
+                  {COORD_UNITS[coordUnit].label.toLowerCase()}.
+                </div>
+              )}
+            </div>
+          </div>
+
+          {crsCheck && (
+            <div className="field-hint crs-check">
+              {crsCheck.checked === 0
+                ? "No BOM rows with numeric X / Y to check."
+                : crsCheck.outside > 0
+                  ? `${crsCheck.outside} of ${crsCheck.checked} sampled points fall outside the area of use of ${crs.code}. The BOM may be in another zone, unit or datum.`
+                  : `All ${crsCheck.checked} sampled points fall inside the area of use of ${crs.code}.`}
+              {crsCheck.centre && <> BOM centre: {fmtLatLon(crsCheck.centre)}.</>}
+            </div>
+          )}
+
+          {crs && (
+            <div className="crs-convert">
+              {[
+                ["x", `Grid X (${COORD_UNITS[crs.unit].short})`],
+                ["y", `Grid Y (${COORD_UNITS[crs.unit].short})`],
+                ["lat", "Latitude (°)"],
+                ["lon", "Longitude (°)"],
+              ].map(([key, label]) => (
+                <div className="form-field" key={key}>
+                  <label>{label}</label>
+                  <input
+                    value={convert[key]}
+                    onChange={(e) => setConvert((c) => ({ ...c, [key]: e.target.value }))}
+                    inputMode="decimal"
+                  />
+                </div>
+              ))}
+              <button type="button" className="btn-secondary" onClick={() => convertPoint(false)}>
+                Grid → lat / long
+              </button>
+              <button type="button" className="btn-secondary" onClick={() => convertPoint(true)}>
+                Lat / long → grid
+              </button>
+            </div>
+          )}
+        </section>
+
+        {/* Manufacturer presets */}
         <section className="params-card">
           <h2 className="card-title">Manufacturer</h2>
           <p className="card-desc">
-            Selecting a manufacturer will auto-fill parameters in a future update.
+            Choose a manufacturer and tracker product to set the tracker type. No manufacturer values are bundled: enter
+            the limits from the design guide for this project and save them as a custom preset with the guide and
+            revision as its source, so the team can auto-fill them next time.
           </p>
 
-          <select
-            className="params-select"
-            value={manufacturer}
-            onChange={(e) => setManufacturer(e.target.value)}
-          >
-            <option value="">— Select manufacturer —</option>
-            <option value="nextracker">Nextracker</option>
-            <option value="pvh">PVH</option>
-            <option value="gamechange">GameChange</option>
-            <option value="ati">ATI</option>
-          </select>
+          <div className="preset-row">
+            <select
+              className="params-select"
+              value={manufacturer}
+              onChange={(e) => onManufacturerChange(e.target.value)}
+            >
+              <option value="">— Select manufacturer —</option>
+              {MANUFACTURERS.map((m) => (
+                <option key={m.value} value={m.value}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+
+            <select className="params-select" value={presetId} onChange={(e) => applyPreset(e.target.value)}>
+              <option value="">— Select preset —</option>
+              {manufacturerPresets.length > 0 && (
+                <optgroup label="Manufacturer presets">
+                  {manufacturerPresets.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.product} ({p.trackerType === "xtr" ? "XTR" : "Flat"})
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+              {customPresets.length > 0 && (
+                <optgroup label="Custom presets">
+                  {customPresets.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.product} ({p.trackerType === "xtr" ? "XTR" : "Flat"})
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+          </div>
+
+          {trackerType === "xtr" && NO_XTR_MANUFACTURERS && (
+            <div className="field-hint">
+              No XTR product is listed for {NO_XTR_MANUFACTURERS}. For their terrain-following trackers, enter the
+              slope-change limits from the design guide and save a custom XTR preset.
+            </div>
+          )}
+
+          {activePreset && (
+            <div className="small-note">
+              Preset: <strong>{activePreset.product}</strong>
+              {!activeHasValues
+                ? " · no bundled values"
+                : editedFields.length > 0
+                  ? ` · ${editedFields.length} value(s) changed by hand`
+                  : " · all values from preset"}
+              {activePreset.source && ` · source: ${activePreset.source}`}
+            </div>
+          )}
+
+          <div className="preset-row">
+            <input
+              className="params-input preset-name"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder="Custom preset name"
+            />
+            <input
+              className="params-input preset-name"
+              value={presetSource}
+              onChange={(e) => setPresetSource(e.target.value)}
+              placeholder="Source (design guide, revision)"
+            />
+            <button type="button" className="btn-secondary" onClick={saveCustomPreset}>
+              Save as preset
+            </button>
+            {activePreset?.custom && (
+              <button type="button" className="btn-secondary" onClick={deleteCustomPreset}>
+                Delete preset
+              </button>
+            )}
+            <button type="button" className="btn-secondary" onClick={exportPresets}>
+              Export JSON
+            </button>
+            <button type="button" className="btn-secondary" onClick={() => importRef.current?.click()}>
+              Import JSON
+            </button>
+            <input
+              ref={importRef}
+              type="file"
+              accept=".json,application/json"
+              className="hidden-input"
+              onChange={(e) => importPresets(e.target.files?.[0])}
+            />
+          </div>
+
+          {presetMsg && <div className="field-hint">{presetMsg}</div>}
         </section>
 
         {/* Required inputs */}
@@ -257,28 +667,31 @@ export default function Parameters() {
                 onChange={(e) => setMaxIncline(e.target.value)}
                 placeholder="e.g., 15"
               />
+              {presetHint("maxIncline")}
             </div>
 
             <div className="form-field">
-              <label>Minimum pile reveal height (mm)</label>
+              <label>Minimum pile reveal height ({revealShort})</label>
               <input
                 className="params-input"
                 type="number"
                 value={minPileReveal}
                 onChange={(e) => setMinPileReveal(e.target.value)}
-                placeholder="e.g., 1200"
+                placeholder={`e.g., ${revealExample(1200)}`}
               />
+              {presetHint("minPileReveal")}
             </div>
 
             <div className="form-field">
-              <label>Maximum pile reveal height (mm)</label>
+              <label>Maximum pile reveal height ({revealShort})</label>
               <input
                 className="params-input"
                 type="number"
                 value={maxPileReveal}
                 onChange={(e) => setMaxPileReveal(e.target.value)}
-                placeholder="e.g., 3200"
+                placeholder={`e.g., ${revealExample(3200)}`}
               />
+              {presetHint("maxPileReveal")}
             </div>
 
             {/* XTR-only */}
@@ -293,6 +706,7 @@ export default function Parameters() {
                     onChange={(e) => setMaxSegmentSlopeChange(e.target.value)}
                     placeholder="e.g., 1.0"
                   />
+                  {presetHint("maxSegmentSlopeChange")}
                   <div className="field-hint">
                     Maximum change in slope between adjacent segments.
                   </div>
@@ -307,6 +721,7 @@ export default function Parameters() {
                     onChange={(e) => setMaxCumulativeSlopeChange(e.target.value)}
                     placeholder="e.g., 3.0"
                   />
+                  {presetHint("maxCumulativeSlopeChange")}
                   <div className="field-hint">
                     Maximum cumulative slope change along the torque tube.
                   </div>
@@ -320,23 +735,24 @@ export default function Parameters() {
         <section className="params-card">
           <h2 className="card-title">Installation Tolerances</h2>
           <p className="card-desc">
-            Allows for construction deviations. Often a single value (e.g., 200 mm) split
+            Allows for construction deviations. Often a single value (e.g., {revealExample(200)} {revealShort}) split
             between the min and max reveal allowances. Do not hardcode; varies by project.
           </p>
 
           <div className="form-field single-field">
-            <label>Total installation tolerance (mm)</label>
+            <label>Total installation tolerance ({revealShort})</label>
             <input
               className="params-input"
               type="number"
               value={installationTolerance}
               onChange={(e) => setInstallationTolerance(e.target.value)}
-              placeholder="e.g., 200"
+              placeholder={`e.g., ${revealExample(200)}`}
             />
+            {presetHint("installationTolerance")}
             {halfTolerance !== null && (
               <div className="field-hint">
-                Split suggestion: <strong>{halfTolerance}</strong> mm to min +{" "}
-                <strong>{halfTolerance}</strong> mm to max.
+                Split suggestion: <strong>{halfTolerance}</strong> {revealShort} to min +{" "}
+                <strong>{halfTolerance}</strong> {revealShort} to max.
               </div>
             )}
           </div>
@@ -1,12 +1,43 @@
 // Review.jsx
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { Link, useLocation, useNavigate } from "react-router-dom";
-import * as XLSX from "xlsx";
+import { toNum } from "../analysis/common";
+import { sampleColumns, surfaceComparison } from "../analysis/surface";
+import { ISSUE_TYPES, validateColumns } from "../analysis/validate";
+import { baseName, downloadText } from "../export/download";
+import { MAPPING_FIELDS, columnIndex, columnLetter, detectMapping } from "../import/headerDetect";
+import {
+  chooseDefaultSheet,
+  listSheets,
+  readWorkbook,
+  rememberSheet,
+  sheetPreview,
+  sheetRows,
+} from "../import/sheets";
+import { SURFACE_EXTENSIONS, readSurfaceFile } from "../import/surface";
+import { FIELD_NAMES, applyEdits, cellEdit, changeLogCsv, columnsCsv, deleteEdit } from "../store/columnEdits";
+import { parametersPath } from "../store/projectRoutes";
+import { cellText, packColumns } from "../store/projectStore";
+import { useProject } from "../store/useProject";
+import ReviewGrid from "./ReviewGrid";
 import "./Review.css";
 
+const FIELD_LABELS = { frame: "Frame", pole: "Pole", x: "X", y: "Y", z: "Z" };
+
+const fmtZ = (v) => (Number.isFinite(v) ? v.toFixed(3) : "—");
+const fmtDiff = (v) => (Number.isFinite(v) ? `${v >= 0 ? "+" : ""}${v.toFixed(3)}` : "—");
+
+const confidenceClass = (c) => (c >= 0.8 ? "is-high" : c >= 0.5 ? "is-medium" : "is-low");
+
+// Data check issues listed at once (the type chips filter the rest)
+const MAX_ISSUES_SHOWN = 300;
+// Change log entries listed at once (the CSV download has them all)
+const MAX_CHANGES_SHOWN = 200;
+
 export default function Review() {
   const { state } = useLocation();
   const navigate = useNavigate();
+  const { project, status: projectStatus, error: projectError, update } = useProject({ step: "review" });
 
   const [fileName, setFileName] = useState("");
   const [sheetName, setSheetName] = useState("");
@@ -18,6 +49,8 @@ export default function Review() {
   const [x, setX] = useState([]);
   const [y, setY] = useState([]);
   const [z, setZ] = useState([]);
+  const [sourceRows, setSourceRows] = useState(null); // 1-based sheet row of each copied row (null = unknown)
+  const [invalidText, setInvalidText] = useState(null); // text of stored non-numeric X/Y/Z cells (packColumns)
 
   const [error, setError] = useState("");
   const [status, setStatus] = useState("");
@@ -32,31 +65,38 @@ export default function Review() {
 
   const [isApplying, setIsApplying] = useState(false);
 
-  // ---------- helpers ----------
-  const norm = (v) =>
-    String(v ?? "")
-      .trim()
-      .toLowerCase()
-      .replace(/\s+/g, " ");
+  // Data range (1-based sheet rows; end is optional)
+  const [startRow, setStartRow] = useState("");
+  const [endRow, setEndRow] = useState("");
+
+  // Sheet picker
+  const workbookRef = useRef(null); // { file, wb } so the workbook is parsed once per file
+  const [sheets, setSheets] = useState([]);
+  const [showSheets, setShowSheets] = useState(false);
+  const [preview, setPreview] = useState(null); // { name, rows }
+
+  // Existing-ground survey: which Z the analysis uses
+  const [zSource, setZSource] = useState("bom"); // bom | survey
+  const surveyInputRef = useRef(null);
+
+  // Auto-detected mapping waiting for the user to confirm (null once confirmed or replaced by Apply)
+  const [suggestion, setSuggestion] = useState(null);
 
+  // Data checks: issue type filter and the copied row(s) opened from an issue
+  const [issueFilter, setIssueFilter] = useState("all");
+  const [focus, setFocus] = useState(null); // { row, rows: Set<number> }
+
+  // Corrections made in the grid (saved as project.edits) and the undone ones (this visit only)
+  const [edits, setEdits] = useState([]);
+  const [redo, setRedo] = useState([]);
+
+  // ---------- helpers ----------
   const sanitizeLetters = (s) =>
     String(s || "")
       .toUpperCase()
       .replace(/[^A-Z]/g, "")
       .slice(0, 3); // allows A..ZZZ (more than enough)
 
-  const letterToColIndex = (letters) => {
-    const s = String(letters || "").toUpperCase().trim();
-    if (!s) return null;
-    let n = 0;
-    for (let i = 0; i < s.length; i++) {
-      const code = s.charCodeAt(i);
-      if (code < 65 || code > 90) return null; // not A-Z
-      n = n * 26 + (code - 64);
-    }
-    return n - 1; // A->0
-  };
-
   const toNumberIfPossible = (v) => {
     if (typeof v === "number") return v;
     const s = String(v ?? "").trim();
@@ -65,113 +105,80 @@ export default function Review() {
     return Number.isFinite(n) ? n : s;
   };
 
-  const persistSafely = (key, value) => {
-    try {
-      localStorage.setItem(key, value);
-      return true;
-    } catch {
-      return false;
+  async function getWorkbook(bomFile) {
+    if (workbookRef.current?.file !== bomFile) {
+      const wb = await readWorkbook(bomFile, project?.importOptions || state?.importOptions);
+      workbookRef.current = { file: bomFile, wb };
+      setSheets(listSheets(wb));
     }
-  };
-
-  // Read rows for Piling Information sheet
-  async function readPilingRows(bomFile) {
-    const buffer = await bomFile.arrayBuffer();
-    const wb = XLSX.read(buffer, { type: "array" });
+    return workbookRef.current.wb;
+  }
 
-    const targetNameNorm = "piling information";
+  // Read rows for the chosen sheet (or the default sheet when none is chosen yet)
+  async function readSheetRows(bomFile, name) {
+    const wb = await getWorkbook(bomFile);
     const matchedSheetName =
-      wb.SheetNames.find((name) => norm(name) === targetNameNorm) ||
-      wb.SheetNames.find((name) => norm(name).includes(targetNameNorm));
+      name && wb.SheetNames.includes(name) ? name : chooseDefaultSheet(wb, fileName || bomFile.name);
 
     if (!matchedSheetName) {
-      throw new Error('Could not find a sheet named "Piling Information".');
+      throw new Error("Could not find a sheet with Frame/Pole/X/Y/Z columns. Pick the sheet from the list.");
     }
 
-    const ws = wb.Sheets[matchedSheetName];
-    const rows = XLSX.utils.sheet_to_json(ws, {
-      header: 1,
-      raw: true,
-      defval: "",
-    });
-
-    if (!rows || rows.length === 0) {
-      throw new Error('"Piling Information" sheet is empty.');
+    const rows = sheetRows(wb, matchedSheetName);
+    if (!rows.length) {
+      throw new Error(`"${matchedSheetName}" sheet is empty.`);
     }
 
     return { matchedSheetName, rows };
   }
 
   /**
-   * DEFAULT extractor (fast + reliable):
-   * Uses header-name validation to find the start row.
-   * Now checks: Table, Pole, X, Y, Z terrain enter (loosely).
+   * DEFAULT extractor:
+   * Scans the sheet for the header row and suggests Frame/Pole/X/Y/Z columns
+   * (import/headerDetect.js), then copies the suggested columns for preview.
    */
-  async function extractColumnsDefault(bomFile, idx) {
-    const { matchedSheetName, rows } = await readPilingRows(bomFile);
-
-    let headerRowIndex = -1;
-
-    for (let i = 0; i < rows.length; i++) {
-      const r = rows[i] || [];
-
-      const tableH = norm(r[idx.frame]);
-      const poleH = norm(r[idx.pole]);
-      const xH = norm(r[idx.x]);
-      const yH = norm(r[idx.y]);
-      const zH = norm(r[idx.z]);
-
-      const tableOk = tableH === "table";
-      const poleOk = poleH === "pole";
-      const xOk = xH === "x";
-      const yOk = yH === "y";
-      const zOk =
-        zH === "z terrain enter" ||
-        zH === "z" ||
-        zH.includes("terrain") ||
-        (zH.includes("z") && zH.includes("enter"));
-
-      if (tableOk && poleOk && xOk && yOk && zOk) {
-        headerRowIndex = i;
-        break;
-      }
-    }
+  async function detectAndExtract(bomFile, name) {
+    const { matchedSheetName, rows } = await readSheetRows(bomFile, name);
+    setSheetName(matchedSheetName);
 
-    if (headerRowIndex === -1) {
+    const detected = detectMapping(rows);
+    if (!detected || MAPPING_FIELDS.some((f) => detected.columns[f] === null)) {
       throw new Error(
-        `Could not find header row using mapping Frame=${frameCol}, Pole=${poleCol}, X=${xCol}, Y=${yCol}, Z=${zCol}.`
+        `Could not detect the Frame/Pole/X/Y/Z header row on "${matchedSheetName}". Type the column letters and data start row below and click Apply.`
       );
     }
 
-    const startIndex = headerRowIndex + 1;
-    persistSafely("pcl_data_start_index", String(startIndex)); // tiny, safe
-
-    return extractColumnsNoHeaderFromRows(rows, idx, startIndex, matchedSheetName);
+    return {
+      ...extractColumnsNoHeaderFromRows(rows, detected.columns, detected.startIndex, matchedSheetName),
+      detected,
+    };
   }
 
   /**
    * Manual remap extractor:
-   * NO header-name checks. Just reads chosen columns from the SAME sheet,
-   * starting at known startIndex (saved from default extraction).
+   * NO header-name checks. Just reads chosen columns from the chosen sheet,
+   * from startIndex to endIndex (0-based rows; no end = stop after a run of empty rows).
    */
-  async function extractColumnsNoHeader(bomFile, idx, startIndex) {
-    const { matchedSheetName, rows } = await readPilingRows(bomFile);
-    return extractColumnsNoHeaderFromRows(rows, idx, startIndex, matchedSheetName);
+  async function extractColumnsNoHeader(bomFile, idx, startIndex, endIndex, name) {
+    const { matchedSheetName, rows } = await readSheetRows(bomFile, name);
+    return extractColumnsNoHeaderFromRows(rows, idx, startIndex, matchedSheetName, endIndex);
   }
 
-  function extractColumnsNoHeaderFromRows(rows, idx, startIndex, matchedSheetName) {
+  function extractColumnsNoHeaderFromRows(rows, idx, startIndex, matchedSheetName, endIndex = null) {
     const start = Number.isFinite(startIndex) ? startIndex : 0;
+    const end = Number.isFinite(endIndex) ? Math.min(endIndex + 1, rows.length) : rows.length;
 
     const outFrame = [];
     const outPole = [];
     const outX = [];
     const outY = [];
     const outZ = [];
+    const outRow = [];
 
     let emptyStreak = 0;
     const EMPTY_STREAK_LIMIT = 25;
 
-    for (let i = start; i < rows.length; i++) {
+    for (let i = start; i < end; i++) {
       const r = rows[i] || [];
 
       const fVal = r[idx.frame] ?? "";
@@ -189,7 +196,7 @@ export default function Review() {
 
       if (allEmpty) {
         emptyStreak += 1;
-        if (emptyStreak >= EMPTY_STREAK_LIMIT) break;
+        if (emptyStreak >= EMPTY_STREAK_LIMIT && !Number.isFinite(endIndex)) break;
         continue;
       }
 
@@ -200,153 +207,388 @@ export default function Review() {
       outX.push(xVal);
       outY.push(yVal);
       outZ.push(zVal);
+      outRow.push(i + 1);
     }
 
     if (!outPole.length) {
       throw new Error("No data found in the selected columns.");
     }
 
-    return { matchedSheetName, outFrame, outPole, outX, outY, outZ };
+    return { matchedSheetName, outFrame, outPole, outX, outY, outZ, outRow };
   }
 
-  // ---------- initial load ----------
-  useEffect(() => {
-    setError("");
-    setStatus("");
-
-    // restore mapping letters if saved
+  // Saves copied columns + mapping to the project store (best effort; IndexedDB may be full)
+  async function saveToProject(cols, patch) {
     try {
-      const saved = JSON.parse(localStorage.getItem("pcl_mapping_letters") || "null");
-      if (saved?.frame) setFrameCol(String(saved.frame).toUpperCase());
-      if (saved?.pole) setPoleCol(String(saved.pole).toUpperCase());
-      if (saved?.x) setXCol(String(saved.x).toUpperCase());
-      if (saved?.y) setYCol(String(saved.y).toUpperCase());
-      if (saved?.z) setZCol(String(saved.z).toUpperCase());
+      await update({ columns: packColumns(cols), results: null, ...patch });
+      return true;
     } catch {
-      // ignore
+      return false;
     }
+  }
 
-    // prefer localStorage columns (instant)
+  // Detects the header row + columns and previews them; nothing is saved until the user confirms
+  async function showSuggestion(bomFile, name) {
+    const { matchedSheetName, outFrame, outPole, outX, outY, outZ, outRow, detected } = await detectAndExtract(
+      bomFile,
+      name
+    );
+
+    setFrameCol(detected.letters.frame);
+    setPoleCol(detected.letters.pole);
+    setXCol(detected.letters.x);
+    setYCol(detected.letters.y);
+    setZCol(detected.letters.z);
+
+    setStartRow(String(detected.startIndex + 1));
+    setEndRow("");
+
+    setSheetName(matchedSheetName);
+    setFrame(outFrame);
+    setPole(outPole);
+    setX(outX);
+    setY(outY);
+    setZ(outZ);
+    setSourceRows(outRow);
+    setInvalidText(null);
+    setFocus(null);
+    setEdits([]);
+    setRedo([]);
+
+    setSuggestion({ ...detected, sheetName: matchedSheetName });
+    setStatus("Suggested mapping ready. Check it and click Confirm mapping.");
+  }
+
+  async function redetect() {
+    setError("");
+    setStatus("");
+    const bomFile = project?.bomFile || state?.bomFile || null;
+    if (!bomFile) {
+      setError("Detection needs the uploaded file. Go back to Uploads and continue again.");
+      return;
+    }
+
+    setIsApplying(true);
     try {
-      const frameLS = JSON.parse(localStorage.getItem("pcl_columns_frame") || "[]");
-      const poleLS = JSON.parse(localStorage.getItem("pcl_columns_pole") || "[]");
-      const xLS = JSON.parse(localStorage.getItem("pcl_columns_x") || "[]");
-      const yLS = JSON.parse(localStorage.getItem("pcl_columns_y") || "[]");
-      const zLS = JSON.parse(localStorage.getItem("pcl_columns_z") || "[]");
-      const cfg = JSON.parse(localStorage.getItem("pcl_config") || "{}");
-
-      setFileName(state?.fileName || cfg.fileName || "");
-      setSheetName(cfg.sheetName || "Piling information");
-      setTrackerType(cfg.trackerType || "flat");
-
-      if (poleLS.length && xLS.length && yLS.length && zLS.length) {
-        setFrame(frameLS); // may be empty on older runs; that's ok
-        setPole(poleLS);
-        setX(xLS);
-        setY(yLS);
-        setZ(zLS);
-        return;
-      }
-    } catch {
-      // ignore; we will try extracting from bomFile next
+      setStatus("Detecting columns…");
+      await showSuggestion(bomFile, sheetName);
+    } catch (e) {
+      setStatus("");
+      setError(e?.message || "Failed to detect columns.");
+    } finally {
+      setIsApplying(false);
     }
+  }
 
-    // if no localStorage columns yet, extract from bomFile in navigation state
-    const bomFile = state?.bomFile || null;
+  // ---------- sheet picker ----------
+  async function openSheetPicker() {
+    setError("");
+    const bomFile = project?.bomFile || state?.bomFile || null;
     if (!bomFile) {
-      setError("No BOM file found. Go back to Uploads and continue again.");
+      setError("Changing sheet needs the uploaded file. Go back to Uploads and continue again.");
       return;
     }
 
-    (async () => {
-      try {
-        setStatus("Loading sheet…");
+    try {
+      setStatus("Reading workbook…");
+      const wb = await getWorkbook(bomFile);
+      setStatus("");
+      setShowSheets(true);
+      const name = sheetName && wb.SheetNames.includes(sheetName) ? sheetName : wb.SheetNames[0];
+      setPreview({ name, rows: sheetPreview(wb, name) });
+    } catch (e) {
+      setStatus("");
+      setError(e?.message || "Failed to read workbook.");
+    }
+  }
 
-        const idx = {
-          frame: letterToColIndex(frameCol) ?? 0, // A
-          pole: letterToColIndex(poleCol) ?? 2,  // C
-          x: letterToColIndex(xCol) ?? 3,        // D
-          y: letterToColIndex(yCol) ?? 4,        // E
-          z: letterToColIndex(zCol) ?? 8,        // I
-        };
+  function previewSheet(name) {
+    const wb = workbookRef.current?.wb;
+    if (wb) setPreview({ name, rows: sheetPreview(wb, name) });
+  }
 
-        const { matchedSheetName, outFrame, outPole, outX, outY, outZ } =
-          await extractColumnsDefault(bomFile, idx);
+  async function chooseSheet(name) {
+    setError("");
+    setStatus("");
+    setShowSheets(false);
+    rememberSheet(fileName, name);
 
-        setFileName(state?.fileName || bomFile.name || "");
-        setSheetName(matchedSheetName);
+    setIsApplying(true);
+    try {
+      setStatus("Detecting columns…");
+      await showSuggestion(workbookRef.current.file, name);
+    } catch (e) {
+      setStatus("");
+      setSuggestion(null);
+      setError(e?.message || "Failed to detect columns.");
+    } finally {
+      setIsApplying(false);
+    }
+  }
 
-        setFrame(outFrame);
-        setPole(outPole);
-        setX(outX);
-        setY(outY);
-        setZ(outZ);
+  async function confirmSuggestion() {
+    if (!suggestion) return;
+    setError("");
 
-        setStatus("");
+    const ok = await saveToProject(
+      { frame, pole, x, y, z, sheetRow: sourceRows },
+      {
+        fileName,
+        sheetName: suggestion.sheetName,
+        dataStartIndex: suggestion.startIndex,
+        dataEndIndex: null,
+        mapping: { ...suggestion.letters },
+        mappingConfidence: suggestion.confidence,
+        edits: [],
+      }
+    );
+
+    rememberSheet(fileName, suggestion.sheetName);
+    setSuggestion(null);
+    if (!ok) {
+      setStatus("Confirmed. Note: could not save to project storage, so refresh may require re-upload.");
+    } else {
+      setStatus("Mapping confirmed.");
+      setTimeout(() => setStatus(""), 1200);
+    }
+  }
 
-        // cache for refresh-safe (best effort)
-        const okF = persistSafely("pcl_columns_frame", JSON.stringify(outFrame));
-        const ok1 = persistSafely("pcl_columns_pole", JSON.stringify(outPole));
-        const ok2 = persistSafely("pcl_columns_x", JSON.stringify(outX));
-        const ok3 = persistSafely("pcl_columns_y", JSON.stringify(outY));
-        const ok4 = persistSafely("pcl_columns_z", JSON.stringify(outZ));
-
-        persistSafely(
-          "pcl_config",
-          JSON.stringify({
-            fileName: state?.fileName || bomFile.name,
-            sheetName: matchedSheetName,
-            trackerType: "flat",
-          })
-        );
+  // ---------- initial load ----------
+  useEffect(() => {
+    if (projectStatus === "loading") return;
 
-        persistSafely(
-          "pcl_mapping_letters",
-          JSON.stringify({
-            frame: frameCol,
-            pole: poleCol,
-            x: xCol,
-            y: yCol,
-            z: zCol,
-          })
-        );
+    (async () => {
+      if (projectStatus !== "ready") {
+        setError(projectError || "No project found. Go back to Uploads and upload your BOM.");
+        return;
+      }
 
-        if (!(ok1 && ok2 && ok3 && ok4 && okF)) {
-          setStatus("Loaded. Note: browser storage is full, so refresh may require re-upload.");
-        }
+      const saved = project.mapping;
+      if (saved?.frame) setFrameCol(String(saved.frame).toUpperCase());
+      if (saved?.pole) setPoleCol(String(saved.pole).toUpperCase());
+      if (saved?.x) setXCol(String(saved.x).toUpperCase());
+      if (saved?.y) setYCol(String(saved.y).toUpperCase());
+      if (saved?.z) setZCol(String(saved.z).toUpperCase());
+
+      setFileName(project.fileName || state?.fileName || "");
+      setSheetName(project.sheetName || "");
+      setTrackerType(project.trackerType || "flat");
+      setZSource(project.surface && project.zSource === "survey" ? "survey" : "bom");
+      if (Number.isFinite(project.dataStartIndex)) setStartRow(String(project.dataStartIndex + 1));
+      if (Number.isFinite(project.dataEndIndex)) setEndRow(String(project.dataEndIndex + 1));
+
+      // prefer stored columns (instant)
+      const cols = project.columns;
+      if (cols?.pole?.length && cols?.x?.length && cols?.y?.length && cols?.z?.length) {
+        setFrame(cols.frame || []);
+        setPole(cols.pole);
+        setX(cols.x);
+        setY(cols.y);
+        setZ(cols.z);
+        setSourceRows(cols.sheetRow || null);
+        setInvalidText(cols.invalidText || null);
+        setEdits(project.edits || []);
+        return;
+      }
+
+      // no stored columns yet: detect the mapping and preview it from the stored BOM file
+      const bomFile = project.bomFile || state?.bomFile || null;
+      if (!bomFile) {
+        setError("No BOM file found. Go back to Uploads and continue again.");
+        return;
+      }
+
+      try {
+        setStatus("Detecting columns…");
+        await showSuggestion(bomFile, project.sheetName);
+        setFileName(project.fileName || bomFile.name || "");
       } catch (e) {
         setStatus("");
         setError(e?.message || "Failed to read BOM file.");
+        // let the user pick another sheet
+        if (workbookRef.current) previewSheet(workbookRef.current.wb.SheetNames[0]);
+        setShowSheets(true);
       }
     })();
 
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [state]);
+  }, [projectStatus]);
 
   const rowCount = useMemo(() => {
     return Math.min(frame.length || Infinity, pole.length, x.length, y.length, z.length);
   }, [frame, pole, x, y, z]);
 
-  const PREVIEW_N = 2000;
-  const previewCount = Math.min(rowCount || 0, PREVIEW_N);
+  // Copied rows with the grid corrections applied (what the checks, the survey comparison and the analysis use)
+  const copied = useMemo(
+    () => (rowCount ? { frame, pole, x, y, z, sheetRow: sourceRows, invalidText } : null),
+    [rowCount, frame, pole, x, y, z, sourceRows, invalidText]
+  );
+  const edited = useMemo(() => applyEdits(copied, edits), [copied, edits]);
+  const editedCount = edited ? edited.source.length : 0;
+
+  // Data checks over the corrected rows (analysis/validate.js)
+  const validation = useMemo(() => (edited ? validateColumns(edited) : null), [edited]);
+  const shownIssues = useMemo(() => {
+    if (!validation) return [];
+    if (issueFilter === "all") return validation.issues;
+    return validation.issues.filter((issue) => issue.type === issueFilter);
+  }, [validation, issueFilter]);
+
+  // Issue rows index the corrected rows; the grid and the log address rows by their original copied index
+  const rowName = (i) => String(edited.sheetRow ? edited.sheetRow[i] : edited.source[i] + 1);
+
+  function openRow(row, rows) {
+    setFocus({ row: edited.source[row], rows: new Set(rows.map((r) => edited.source[r])) });
+  }
+
+  // ---------- corrections ----------
+  async function saveEdits(nextEdits, nextRedo) {
+    setError("");
+    setEdits(nextEdits);
+    setRedo(nextRedo);
+    try {
+      // analysis results no longer match
+      await update({ edits: nextEdits, results: null });
+    } catch (e) {
+      setError(e?.message || "Failed to save the correction.");
+    }
+  }
+
+  const editCell = (row, field, from, to, label) => saveEdits([...edits, cellEdit(row, field, from, to, label)], []);
+  const deleteRows = (items) => saveEdits([...edits, deleteEdit(items)], []);
+
+  function undoEdit() {
+    if (!edits.length) return;
+    saveEdits(edits.slice(0, -1), [...redo, edits[edits.length - 1]]);
+  }
+
+  function redoEdit() {
+    if (!redo.length) return;
+    saveEdits([...edits, redo[redo.length - 1]], redo.slice(0, -1));
+  }
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z / Ctrl+Y redoes (text boxes keep their own undo)
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undoEdit();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redoEdit();
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  const downloadName = baseName(fileName);
+
+  function downloadChangeLog() {
+    downloadText(changeLogCsv(edits, copied), `${downloadName}_changes.csv`, "text/csv");
+  }
+
+  function downloadCorrected() {
+    downloadText(columnsCsv(edited), `${downloadName}_corrected.csv`, "text/csv");
+  }
+
+  const changeRowName = (r) => String(sourceRows ? sourceRows[r] : r + 1);
+
+  // Proceeding with data errors needs an explicit OK
+  function confirmDataErrors() {
+    if (!validation?.errors) return true;
+    return window.confirm(
+      `The data checks found ${validation.errors.toLocaleString()} error(s) (rows the analysis will skip or ` +
+        "double count). Continue anyway?"
+    );
+  }
+
+  // Survey Z at every pile + difference from the copied Z column
+  const surface = project?.surface || null;
+  const surveyZ = useMemo(() => (surface && edited ? sampleColumns(surface, edited) : null), [surface, edited]);
+  const comparison = useMemo(() => (surface && edited ? surfaceComparison(surface, edited) : null), [surface, edited]);
+
+  // Read-only grid columns next to the BOM Z
+  const surveyColumns = useMemo(() => {
+    if (!surveyZ) return [];
+    const diff = (i) => surveyZ[i] - (toNum(edited.z[i]) ?? NaN);
+    return [
+      { key: "surveyZ", label: "Survey Z", value: (i) => surveyZ[i], text: (i) => fmtZ(surveyZ[i]) },
+      { key: "diffZ", label: "Δ Z (survey − BOM)", value: diff, text: (i) => fmtDiff(diff(i)) },
+    ];
+  }, [surveyZ, edited]);
+
+  async function chooseZSource(next) {
+    setError("");
+    setZSource(next);
+    try {
+      // analysis results no longer match
+      await update({ zSource: next, results: null });
+    } catch (e) {
+      setError(e?.message || "Failed to save the Z source.");
+    }
+  }
+
+  async function uploadSurvey(file) {
+    if (!file) return;
+    setError("");
+    setIsApplying(true);
+    try {
+      setStatus("Reading survey surface…");
+      const next = { ...(await readSurfaceFile(file)), uploadedAt: new Date().toISOString() };
+      await update({ surface: next, zSource: "survey", results: null });
+      setZSource("survey");
+      setStatus("Survey surface loaded.");
+      setTimeout(() => setStatus(""), 1200);
+    } catch (e) {
+      setStatus("");
+      setError(e?.message || "Could not read the survey file.");
+    } finally {
+      setIsApplying(false);
+      if (surveyInputRef.current) surveyInputRef.current.value = "";
+    }
+  }
+
+  async function removeSurvey() {
+    setError("");
+    try {
+      await update({ surface: null, zSource: "bom", results: null });
+      setZSource("bom");
+    } catch (e) {
+      setError(e?.message || "Failed to remove the survey.");
+    }
+  }
 
   function proceedToGradingTool() {
     setError("");
-    if (!rowCount) {
+    if (suggestion) {
+      setError("Confirm the suggested column mapping first (or type the letters and click Apply).");
+      return;
+    }
+    if (!editedCount) {
       setError("No rows found. Go back to Uploads and upload your BOM.");
       return;
     }
+    if (!confirmDataErrors()) return;
     navigate("/proceed-grading");
   }
 
   function goToParameters() {
     setError("");
-    if (!rowCount) {
+    if (suggestion) {
+      setError("Confirm the suggested column mapping first (or type the letters and click Apply).");
+      return;
+    }
+    if (!editedCount) {
       setError("No rows found. Go back to Uploads and upload your BOM.");
       return;
     }
-    navigate("/parameters", {
-      state: { fileName, sheetName, trackerType, rowCount },
+    if (!confirmDataErrors()) return;
+    navigate(parametersPath(project?.id), {
+      state: { fileName, sheetName, trackerType, rowCount: editedCount },
     });
   }
 
@@ -357,72 +599,80 @@ export default function Review() {
     setIsApplying(true);
 
     try {
-      const f = letterToColIndex(frameCol);
-      const p = letterToColIndex(poleCol);
-      const xc = letterToColIndex(xCol);
-      const yc = letterToColIndex(yCol);
-      const zc = letterToColIndex(zCol);
+      const f = columnIndex(frameCol);
+      const p = columnIndex(poleCol);
+      const xc = columnIndex(xCol);
+      const yc = columnIndex(yCol);
+      const zc = columnIndex(zCol);
 
       if ([f, p, xc, yc, zc].some((v) => v === null)) {
         setError("Invalid column letter. Use A-Z (or AA, AB...).");
         return;
       }
 
-      const bomFile = state?.bomFile || null;
+      const bomFile = project?.bomFile || state?.bomFile || null;
       if (!bomFile) {
         setError("Remap needs the uploaded file. Go back to Uploads and continue again.");
         return;
       }
 
-      const startIndex = Number(localStorage.getItem("pcl_data_start_index")) || 0;
+      // data range in sheet row numbers (1-based); blank start = row 1, blank end = until the data runs out
+      const first = startRow === "" ? 1 : Number(startRow);
+      const last = endRow === "" ? null : Number(endRow);
+      if (!Number.isInteger(first) || first < 1) {
+        setError("Data start row must be a whole number of 1 or more.");
+        return;
+      }
+      if (last !== null && (!Number.isInteger(last) || last < first)) {
+        setError("Data end row must be a whole number at or after the start row.");
+        return;
+      }
+
+      const startIndex = first - 1;
+      const endIndex = last === null ? null : last - 1;
 
       setStatus("Applying mapping…");
 
-      const { matchedSheetName, outFrame, outPole, outX, outY, outZ } =
+      const { matchedSheetName, outFrame, outPole, outX, outY, outZ, outRow } =
         await extractColumnsNoHeader(
           bomFile,
           { frame: f, pole: p, x: xc, y: yc, z: zc },
-          startIndex
+          startIndex,
+          endIndex,
+          sheetName
         );
 
       setSheetName(matchedSheetName);
+      setSuggestion(null);
+      rememberSheet(fileName || bomFile.name, matchedSheetName);
 
       setFrame(outFrame);
       setPole(outPole);
       setX(outX);
       setY(outY);
       setZ(outZ);
-
-      // save mapping letters only (safe)
-      persistSafely(
-        "pcl_mapping_letters",
-        JSON.stringify({
-          frame: frameCol,
-          pole: poleCol,
-          x: xCol,
-          y: yCol,
-          z: zCol,
-        })
-      );
-
-      // best-effort cache columns
-      const okF = persistSafely("pcl_columns_frame", JSON.stringify(outFrame));
-      const ok1 = persistSafely("pcl_columns_pole", JSON.stringify(outPole));
-      const ok2 = persistSafely("pcl_columns_x", JSON.stringify(outX));
-      const ok3 = persistSafely("pcl_columns_y", JSON.stringify(outY));
-      const ok4 = persistSafely("pcl_columns_z", JSON.stringify(outZ));
-
-      persistSafely(
-        "pcl_config",
-        JSON.stringify({
+      setSourceRows(outRow);
+      setInvalidText(null);
+      setFocus(null);
+      setEdits([]);
+      setRedo([]);
+
+      // save mapping letters + columns (analysis results no longer match)
+      const ok = await saveToProject(
+        { frame: outFrame, pole: outPole, x: outX, y: outY, z: outZ, sheetRow: outRow },
+        {
           fileName: fileName || bomFile.name,
           sheetName: matchedSheetName,
-          trackerType,
-        })
+          dataStartIndex: startIndex,
+          dataEndIndex: endIndex,
+          mapping: { frame: frameCol, pole: poleCol, x: xCol, y: yCol, z: zCol },
+          mappingConfidence: null,
+          edits: [],
+        }
       );
 
-      if (!(ok1 && ok2 && ok3 && ok4 && okF)) {
-        setStatus("Applied. Note: browser storage is full, so refresh may require re-upload.");
+      if (!ok) {
+        setStatus("Applied. Note: could not save to project storage, so refresh may require re-upload.");
       } else {
         setStatus("Applied.");
         setTimeout(() => setStatus(""), 1200);
@@ -450,7 +700,13 @@ export default function Review() {
             <div className="review-count">
               Sheet: <strong>{sheetName || "—"}</strong> · Rows copied:{" "}
               <strong>{rowCount || 0}</strong>
-              {rowCount > PREVIEW_N ? ` (showing first ${PREVIEW_N})` : ""}
+              {edits.length > 0 && (
+                <>
+                  {" "}
+                  · After {edits.length.toLocaleString()} correction{edits.length === 1 ? "" : "s"}:{" "}
+                  <strong>{editedCount}</strong>
+                </>
+              )}
             </div>
 
             <div className="review-count">
@@ -479,7 +735,7 @@ export default function Review() {
           <button
             className="review-btn"
             onClick={goToParameters}
-            disabled={!rowCount}
+            disabled={!editedCount}
             title="Go to the next step to enter parameters"
           >
             Next: Parameters →
@@ -488,7 +744,7 @@ export default function Review() {
           <button
             className="review-primary"
             onClick={proceedToGradingTool}
-            disabled={!rowCount}
+            disabled={!editedCount}
             title="Download the grading tool template + a CSV already mapped for Inputs sheet"
           >
             Proceed to use grading tool →
@@ -497,8 +753,99 @@ export default function Review() {
       </div>
 
       <div className="review-mappingbar">
+        <div className="review-sheetrow">
+          <div className="inst-title">
+            Sheet: <strong>{sheetName || "—"}</strong>
+          </div>
+          <button className="review-btn" onClick={showSheets ? () => setShowSheets(false) : openSheetPicker}>
+            {showSheets ? "Close sheet list" : "Change sheet"}
+          </button>
+        </div>
+
+        {showSheets && (
+          <div className="review-sheets">
+            <div className="review-sheetlist">
+              {sheets.map((sh) => (
+                <button
+                  key={sh.name}
+                  className={`review-sheetitem ${preview?.name === sh.name ? "is-active" : ""}`}
+                  onClick={() => previewSheet(sh.name)}
+                >
+                  <div className="review-sheetname">
+                    {sh.name}
+                    {sh.name === sheetName && <span className="review-sheettag">current</span>}
+                  </div>
+                  <div className="review-sheetsize">
+                    {sh.rowCount.toLocaleString()} rows · {sh.colCount.toLocaleString()} columns
+                  </div>
+                </button>
+              ))}
+            </div>
+
+            {preview && (
+              <div className="review-sheetpreview">
+                <div className="review-sheetpreview-head">
+                  <strong>{preview.name}</strong>
+                  <button className="review-primary" onClick={() => chooseSheet(preview.name)} disabled={isApplying}>
+                    Use this sheet
+                  </button>
+                </div>
+                {!preview.rows.length ? (
+                  <div className="review-empty">Sheet is empty.</div>
+                ) : (
+                  <table className="review-table">
+                    <thead>
+                      <tr>
+                        <th>Row</th>
+                        {preview.rows[0].map((_, c) => (
+                          <th key={c}>{columnLetter(c)}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.rows.map((r, i) => (
+                        <tr key={i}>
+                          <td>{i + 1}</td>
+                          {r.map((v, c) => (
+                            <td key={c}>{cellText(v)}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="inst-title">Column assignments (change if needed)</div>
 
+        {suggestion && (
+          <div className="review-suggest">
+            <div className="review-suggest-head">
+              Suggested mapping · header row <strong>{suggestion.headerRowIndex + 1}</strong> · overall confidence{" "}
+              <strong>{Math.round(suggestion.overall * 100)}%</strong>
+            </div>
+            <div className="review-suggest-row">
+              {MAPPING_FIELDS.map((f) => (
+                <div key={f} className="review-suggest-field">
+                  <div className="review-suggest-label">{FIELD_LABELS[f]}</div>
+                  <div className="review-suggest-value">
+                    {suggestion.letters[f]} · {suggestion.headers[f]}
+                  </div>
+                  <div className={`review-confidence ${confidenceClass(suggestion.confidence[f])}`}>
+                    {Math.round(suggestion.confidence[f] * 100)}%
+                  </div>
+                </div>
+              ))}
+              <button className="review-primary" onClick={confirmSuggestion}>
+                Confirm mapping
+              </button>
+            </div>
+          </div>
+        )}
+
         <div className="review-maprow">
           <div className="review-mapfield">
             <label>Frame</label>
@@ -550,45 +897,271 @@ export default function Review() {
             />
           </div>
 
+          <div className="review-mapfield">
+            <label>Data starts at row</label>
+            <input
+              className="review-mapinput"
+              inputMode="numeric"
+              value={startRow}
+              onChange={(e) => setStartRow(e.target.value.replace(/[^0-9]/g, ""))}
+              placeholder="1"
+            />
+          </div>
+
+          <div className="review-mapfield">
+            <label>Ends at row</label>
+            <input
+              className="review-mapinput"
+              inputMode="numeric"
+              value={endRow}
+              onChange={(e) => setEndRow(e.target.value.replace(/[^0-9]/g, ""))}
+              placeholder="auto"
+            />
+          </div>
+
           <button className="review-btn" onClick={applyMapping} disabled={isApplying}>
             {isApplying ? "Applying…" : "Apply"}
           </button>
 
+          <button className="review-btn" onClick={redetect} disabled={isApplying}>
+            Detect columns
+          </button>
+
           <div className="inst-list">
-            Default: Frame=A, Pole=C, X=D, Y=E, Z=I (Z terrain enter). Manual Apply ignores headers and shows chosen columns.
+            Columns are suggested from the sheet's header row. Manual Apply ignores headers and copies the chosen
+            columns over the data rows.
+          </div>
+        </div>
+      </div>
+
+      <div className="review-mappingbar">
+        <div className="review-sheetrow">
+          <div className="inst-title">
+            Terrain Z source:{" "}
+            {surface ? (
+              <strong>
+                {surface.fileName} · {surface.pointCount.toLocaleString()} points ·{" "}
+                {surface.triangleCount.toLocaleString()} triangles
+              </strong>
+            ) : (
+              <strong>BOM column only (no survey surface)</strong>
+            )}
+          </div>
+          <div className="review-survey-actions">
+            <button className="review-btn" onClick={() => surveyInputRef.current?.click()} disabled={isApplying}>
+              {surface ? "Replace survey" : "Add survey surface"}
+            </button>
+            {surface && (
+              <button className="review-btn" onClick={removeSurvey} disabled={isApplying}>
+                Remove
+              </button>
+            )}
+            <input
+              ref={surveyInputRef}
+              type="file"
+              accept={SURFACE_EXTENSIONS.join(",")}
+              className="review-hidden-input"
+              onChange={(e) => uploadSurvey(e.target.files?.[0])}
+            />
           </div>
         </div>
+
+        {surface && comparison && (
+          <div className="review-maprow">
+            <label className="review-radio">
+              <input
+                type="radio"
+                name="z-source"
+                checked={zSource === "bom"}
+                onChange={() => chooseZSource("bom")}
+              />
+              Use BOM Z ({zCol})
+            </label>
+            <label className="review-radio">
+              <input
+                type="radio"
+                name="z-source"
+                checked={zSource === "survey"}
+                onChange={() => chooseZSource("survey")}
+              />
+              Use survey surface Z
+            </label>
+            <div className="inst-list">
+              Sampled at {comparison.sampled.toLocaleString()} piles
+              {comparison.outside > 0 && ` (${comparison.outside.toLocaleString()} outside the survey keep the BOM Z)`} ·
+              survey − BOM: mean {fmtDiff(comparison.meanDiff)}, max |Δ| {fmtDiff(comparison.maxAbsDiff)}
+            </div>
+          </div>
+        )}
       </div>
 
+      {validation && (
+        <div className="review-mappingbar">
+          <div className="review-sheetrow">
+            <div className="inst-title">
+              Data checks:{" "}
+              {validation.issues.length ? (
+                <strong>
+                  {validation.errors.toLocaleString()} error{validation.errors === 1 ? "" : "s"} ·{" "}
+                  {validation.warnings.toLocaleString()} warning{validation.warnings === 1 ? "" : "s"}
+                </strong>
+              ) : (
+                <strong>no problems found</strong>
+              )}
+            </div>
+            {focus && (
+              <button className="review-btn" onClick={() => setFocus(null)}>
+                Clear highlight
+              </button>
+            )}
+          </div>
+
+          {validation.issues.length > 0 && (
+            <>
+              <div className="review-checks">
+                <button
+                  className={`review-check ${issueFilter === "all" ? "is-active" : ""}`}
+                  onClick={() => setIssueFilter("all")}
+                >
+                  All ({validation.issues.length.toLocaleString()})
+                </button>
+                {Object.entries(ISSUE_TYPES)
+                  .filter(([type]) => validation.counts[type] > 0)
+                  .map(([type, info]) => (
+                    <button
+                      key={type}
+                      className={`review-check is-${info.severity} ${issueFilter === type ? "is-active" : ""}`}
+                      onClick={() => setIssueFilter(type)}
+                    >
+                      {info.label} ({validation.counts[type].toLocaleString()})
+                    </button>
+                  ))}
+              </div>
+
+              <div className="review-issues">
+                <table className="review-table">
+                  <thead>
+                    <tr>
+                      <th>{sourceRows ? "Sheet row" : "Copied row"}</th>
+                      <th>Check</th>
+                      <th>Frame.Pole</th>
+                      <th>Problem</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shownIssues.slice(0, MAX_ISSUES_SHOWN).map((issue, k) => (
+                      <tr key={k} className={`is-${issue.severity}`}>
+                        <td>
+                          {issue.rows.map((r) => (
+                            <button key={r} className="review-rowlink" onClick={() => openRow(r, issue.rows)}>
+                              {rowName(r)}
+                            </button>
+                          ))}
+                        </td>
+                        <td>{ISSUE_TYPES[issue.type].label}</td>
+                        <td>{issue.label || "—"}</td>
+                        <td>{issue.message}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {shownIssues.length > MAX_ISSUES_SHOWN && (
+                <div className="inst-list">
+                  Showing the first {MAX_ISSUES_SHOWN} of {shownIssues.length.toLocaleString()}. Pick a check above to
+                  see the rest of one kind.
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
       {status && <div className="review-status">{status}</div>}
       {error && <div className="review-error">{error}</div>}
 
+      <div className="review-mappingbar">
+        <div className="review-sheetrow">
+          <div className="inst-title">
+            Corrections:{" "}
+            <strong>
+              {edits.length ? `${edits.length.toLocaleString()} in the change log` : "none (the rows are as copied)"}
+            </strong>
+          </div>
+          <div className="review-survey-actions">
+            <button className="review-btn" onClick={undoEdit} disabled={!edits.length} title="Ctrl+Z">
+              Undo
+            </button>
+            <button className="review-btn" onClick={redoEdit} disabled={!redo.length} title="Ctrl+Shift+Z">
+              Redo
+            </button>
+            <button className="review-btn" onClick={downloadChangeLog} disabled={!edits.length}>
+              Download change log
+            </button>
+            <button className="review-btn" onClick={downloadCorrected} disabled={!editedCount}>
+              Download corrected CSV
+            </button>
+          </div>
+        </div>
+
+        {edits.length > 0 && (
+          <div className="review-issues">
+            <table className="review-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>{sourceRows ? "Sheet row" : "Copied row"}</th>
+                  <th>Frame.Pole</th>
+                  <th>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {edits
+                  .map((e, k) => ({ e, k }))
+                  .reverse()
+                  .slice(0, MAX_CHANGES_SHOWN)
+                  .map(({ e, k }) => (
+                    <tr key={e.id}>
+                      <td>{k + 1}</td>
+                      <td>{e.rows.map(changeRowName).join(", ")}</td>
+                      <td>{e.labels.join(", ") || "—"}</td>
+                      <td>
+                        {e.type === "set"
+                          ? `${FIELD_NAMES[e.field]}: "${e.from}" → "${e.to}"`
+                          : `Deleted ${e.rows.length.toLocaleString()} row${e.rows.length === 1 ? "" : "s"}`}
+                      </td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {edits.length > MAX_CHANGES_SHOWN && (
+          <div className="inst-list">
+            Showing the latest {MAX_CHANGES_SHOWN} of {edits.length.toLocaleString()} changes. The change log download
+            has them all.
+          </div>
+        )}
+      </div>
+
       <div className="review-window">
-        {!rowCount ? (
+        {!editedCount ? (
           <div className="review-empty">No data to display.</div>
         ) : (
-          <table className="review-table">
-            <thead>
-              <tr>
-                <th>Frame ({frameCol})</th>
-                <th>Pole ({poleCol})</th>
-                <th>X ({xCol})</th>
-                <th>Y ({yCol})</th>
-                <th>Z ({zCol})</th>
-              </tr>
-            </thead>
-            <tbody>
-              {Array.from({ length: previewCount }).map((_, i) => (
-                <tr key={i}>
-                  <td>{String(frame[i] ?? "")}</td>
-                  <td>{String(pole[i] ?? "")}</td>
-                  <td>{String(x[i] ?? "")}</td>
-                  <td>{String(y[i] ?? "")}</td>
-                  <td>{String(z[i] ?? "")}</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
+          <ReviewGrid
+            columns={edited}
+            headers={{
+              frame: `Frame (${frameCol})`,
+              pole: `Pole (${poleCol})`,
+              x: `X (${xCol})`,
+              y: `Y (${yCol})`,
+              z: `Z (${zCol})`,
+            }}
+            extraColumns={surveyColumns}
+            focus={focus}
+            onEdit={editCell}
+            onDelete={deleteRows}
+          />
         )}
       </div>
 
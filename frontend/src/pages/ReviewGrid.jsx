@@ -0,0 +1,388 @@
+// ReviewGrid.jsx
+// Purpose: Virtualised, editable grid over every copied BOM row on the Review page.
+// Name: ReviewGrid.jsx
+// Date created: 2026-10-19
+// Method: Rows have a fixed height, so only the rows inside the scrolled viewport (plus a small overscan) are
+//         rendered, absolutely positioned inside a body as tall as all rows; the header and statistics rows are
+//         sticky. The view order is the corrected rows matching the search (Frame ids and / or Frame.Pole labels)
+//         sorted by the clicked column. Statistics cover the rows in view: min / max / mean and blank or
+//         non-numeric count for numeric columns, distinct and blank count for the ids. Double-click a cell
+//         (or Enter / F2 on the active cell) to edit it: Enter or leaving the cell commits, Escape cancels. Clicking
+//         a row number selects the row (Ctrl / Shift to add or extend) and Delete removes the selected rows. The
+//         grid never changes data itself: edits and deletions are reported to the page, which adds them to the
+//         project's change log (store/columnEdits.js).
+// Data dictionary:
+// - Props:
+//   - columns: corrected columns { frame, pole, x, y, z, sheetRow, source } (store/columnEdits.js applyEdits)
+//   - headers: { frame, pole, x, y, z } column titles
+//   - extraColumns: [{ key, label, value(i), text(i) }] read-only numeric columns (survey Z, Δ Z)
+//   - focus: { row, rows: Set } original row indexes to scroll to and highlight (data checks), or null
+//   - onEdit(row, field, from, to, label), onDelete([{ row, label }]): row = original copied row index
+// - State:
+//   - sort ({ key, dir }), search (string), selected (Set of original row indexes),
+//     active ({ pos, field }) cell, editing ({ row, field, value }), viewport ({ top, height })
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import { toIdPiece, toNum } from "../analysis/common";
+import { EDIT_FIELDS, rowLabel } from "../store/columnEdits";
+import { cellText, columnCellText } from "../store/projectStore";
+
+const ROW_HEIGHT = 34;
+const OVERSCAN = 12;
+
+const NUMERIC_FIELDS = new Set(["x", "y", "z"]);
+
+const fmtStat = (v) => (Number.isFinite(v) ? v.toFixed(3) : "—");
+
+const compareText = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+function compareValues(key, a, b) {
+  if (NUMERIC_FIELDS.has(key) || key === "row") {
+    const na = toNum(a);
+    const nb = toNum(b);
+    if (na === null || nb === null) return na === null ? (nb === null ? 0 : 1) : -1;
+    return na - nb;
+  }
+  return compareText(cellText(a), cellText(b));
+}
+
+// Search text -> frame ids and Frame.Pole labels (separated by spaces or commas)
+function parseSearch(text) {
+  const frames = new Set();
+  const labels = new Set();
+  for (const token of text.split(/[\s,]+/)) {
+    const dot = token.indexOf(".");
+    if (dot < 0) {
+      const f = toIdPiece(token);
+      if (f) frames.add(f);
+      continue;
+    }
+    const f = toIdPiece(token.slice(0, dot));
+    const p = toIdPiece(token.slice(dot + 1));
+    if (f && p) labels.add(`${f}.${p}`);
+    else if (f) frames.add(f);
+  }
+  return { frames, labels, any: frames.size + labels.size > 0 };
+}
+
+// Min / max / mean and blank or non-numeric count of a numeric column over the rows in view
+function numericStats(rows, value) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let count = 0;
+  for (const i of rows) {
+    const v = toNum(value(i));
+    if (v === null) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+    sum += v;
+    count++;
+  }
+  if (!count) return { lines: ["no numbers"], nulls: rows.length };
+  const lines = [`min ${fmtStat(min)}`, `max ${fmtStat(max)}`, `mean ${fmtStat(sum / count)}`];
+  return { lines, nulls: rows.length - count };
+}
+
+// Distinct and blank count of an id column over the rows in view
+function idStats(rows, value) {
+  const seen = new Set();
+  let nulls = 0;
+  for (const i of rows) {
+    const id = toIdPiece(value(i));
+    if (id) seen.add(id);
+    else nulls++;
+  }
+  return { lines: [`${seen.size.toLocaleString()} distinct`], nulls };
+}
+
+export default function ReviewGrid({ columns, headers, extraColumns = [], focus, onEdit, onDelete }) {
+  const scrollRef = useRef(null);
+  const [viewport, setViewport] = useState({ top: 0, height: 480 });
+  const [sort, setSort] = useState(null); // { key, dir: 1 | -1 }
+  const [search, setSearch] = useState("");
+  const [selected, setSelected] = useState(() => new Set());
+  const [anchor, setAnchor] = useState(null); // view position of the last row-number click (Shift range)
+  const [active, setActive] = useState(null); // { pos, field }
+  const [editing, setEditing] = useState(null); // { row, field, value }
+
+  const n = columns ? columns.source.length : 0;
+  const rowValue = (i) => (columns.sheetRow ? columns.sheetRow[i] : columns.source[i] + 1);
+
+  // Corrected row indexes in view order
+  const order = useMemo(() => {
+    if (!columns) return [];
+    const wanted = parseSearch(search);
+    const rows = [];
+    for (let i = 0; i < n; i++) {
+      if (wanted.any) {
+        const f = toIdPiece(columns.frame[i]);
+        if (!wanted.frames.has(f) && !wanted.labels.has(`${f}.${toIdPiece(columns.pole[i])}`)) continue;
+      }
+      rows.push(i);
+    }
+    if (sort) {
+      const value = sort.key === "row" ? rowValue : (i) => columns[sort.key][i];
+      rows.sort((a, b) => sort.dir * compareValues(sort.key, value(a), value(b)) || a - b);
+    }
+    return rows;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [columns, n, search, sort]);
+
+  // Column statistics over the rows in view
+  const stats = useMemo(() => {
+    if (!columns) return {};
+    const out = {};
+    for (const f of EDIT_FIELDS) {
+      const value = (i) => columns[f][i];
+      out[f] = NUMERIC_FIELDS.has(f) ? numericStats(order, value) : idStats(order, value);
+    }
+    for (const c of extraColumns) out[c.key] = numericStats(order, c.value);
+    return out;
+  }, [columns, order, extraColumns]);
+
+  // Original row index -> corrected row index
+  const bySource = useMemo(() => {
+    const map = new Map();
+    if (columns) columns.source.forEach((s, i) => map.set(s, i));
+    return map;
+  }, [columns]);
+
+  // Track the viewport size
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return undefined;
+    const measure = () => setViewport((v) => ({ ...v, height: el.clientHeight }));
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  // Scroll a row opened from the data checks into the middle of the viewport (clearing a filter that hides it)
+  useEffect(() => {
+    if (!focus) return;
+    const i = bySource.get(focus.row);
+    if (i === undefined) return;
+    let pos = order.indexOf(i);
+    if (pos < 0 && search) {
+      setSearch("");
+      return;
+    }
+    if (pos < 0) pos = 0;
+    const el = scrollRef.current;
+    if (el) el.scrollTop = Math.max(0, pos * ROW_HEIGHT - el.clientHeight / 2);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focus, order]);
+
+  const first = Math.max(0, Math.floor(viewport.top / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(order.length, Math.ceil((viewport.top + viewport.height) / ROW_HEIGHT) + OVERSCAN);
+
+  const fields = [...EDIT_FIELDS, ...extraColumns.map((c) => c.key)];
+  const template = `80px repeat(${EDIT_FIELDS.length}, minmax(110px, 1fr))${" minmax(120px, 1fr)".repeat(extraColumns.length)}`;
+
+  function toggleSort(key) {
+    setSort((s) => (s?.key !== key ? { key, dir: 1 } : s.dir === 1 ? { key, dir: -1 } : null));
+  }
+
+  function selectRow(pos, e) {
+    const i = order[pos];
+    const source = columns.source[i];
+    if (e.shiftKey && anchor !== null) {
+      const next = new Set(e.ctrlKey || e.metaKey ? selected : []);
+      for (let k = Math.min(anchor, pos); k <= Math.max(anchor, pos); k++) next.add(columns.source[order[k]]);
+      setSelected(next);
+      return;
+    }
+    const next = new Set(e.ctrlKey || e.metaKey ? selected : []);
+    if (next.has(source) && (e.ctrlKey || e.metaKey)) next.delete(source);
+    else next.add(source);
+    setSelected(next);
+    setAnchor(pos);
+  }
+
+  function startEdit(pos, field) {
+    if (!EDIT_FIELDS.includes(field)) return;
+    const i = order[pos];
+    setActive({ pos, field });
+    setEditing({ row: columns.source[i], field, value: columnCellText(columns, field, i) });
+  }
+
+  function commitEdit() {
+    if (!editing) return;
+    const i = bySource.get(editing.row);
+    setEditing(null);
+    if (i === undefined) return;
+    const from = columnCellText(columns, editing.field, i);
+    if (editing.value.trim() === from.trim()) return;
+    onEdit(editing.row, editing.field, from, editing.value.trim(), rowLabel(columns, i));
+  }
+
+  function deleteSelected() {
+    if (!selected.size) return;
+    const items = [...selected]
+      .filter((row) => bySource.has(row))
+      .map((row) => ({ row, label: rowLabel(columns, bySource.get(row)) }));
+    setSelected(new Set());
+    setAnchor(null);
+    if (items.length) onDelete(items);
+  }
+
+  // Arrow keys move the active cell, Enter / F2 edits it, Delete removes the selected rows
+  function onGridKeyDown(e) {
+    if (editing) return;
+    if (e.key === "Delete" && selected.size) {
+      e.preventDefault();
+      deleteSelected();
+      return;
+    }
+    if (!active) return;
+    const col = fields.indexOf(active.field);
+    const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    if (moves[e.key]) {
+      e.preventDefault();
+      const pos = Math.min(order.length - 1, Math.max(0, active.pos + moves[e.key][0]));
+      const field = fields[Math.min(fields.length - 1, Math.max(0, col + moves[e.key][1]))];
+      setActive({ pos, field });
+      const el = scrollRef.current;
+      if (el) {
+        const top = pos * ROW_HEIGHT;
+        if (top < el.scrollTop) el.scrollTop = top;
+        else if (top + 2 * ROW_HEIGHT > el.scrollTop + el.clientHeight) {
+          el.scrollTop = top + 2 * ROW_HEIGHT - el.clientHeight;
+        }
+      }
+    } else if (e.key === "Enter" || e.key === "F2") {
+      e.preventDefault();
+      startEdit(active.pos, active.field);
+    }
+  }
+
+  const sortMark = (key) => (sort?.key === key ? (sort.dir === 1 ? " ▲" : " ▼") : "");
+
+  return (
+    <div className="review-grid-shell">
+      <div className="review-grid-toolbar">
+        <label className="review-grid-filter">
+          Search
+          <input
+            className="review-mapinput"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Frame or Frame.Pole (e.g. 12, 13.4)"
+          />
+        </label>
+        <div className="review-grid-count">
+          {order.length.toLocaleString()} of {n.toLocaleString()} rows
+          {selected.size > 0 && ` · ${selected.size.toLocaleString()} selected`}
+        </div>
+        <button className="review-btn" onClick={deleteSelected} disabled={!selected.size}>
+          Delete selected rows
+        </button>
+        <div className="inst-list">
+          Double-click a cell to fix it. Click row numbers to select rows (Ctrl / Shift for more), then Delete.
+        </div>
+      </div>
+
+      <div
+        ref={scrollRef}
+        className="review-grid"
+        tabIndex={0}
+        onKeyDown={onGridKeyDown}
+        onScroll={(e) => setViewport({ top: e.currentTarget.scrollTop, height: e.currentTarget.clientHeight })}
+      >
+        <div className="review-grid-head">
+          <div className="review-grid-headrow" style={{ gridTemplateColumns: template }}>
+            <button className="review-grid-th" onClick={() => toggleSort("row")}>
+              {columns?.sheetRow ? "Row" : "#"}
+              {sortMark("row")}
+            </button>
+            {EDIT_FIELDS.map((f) => (
+              <button key={f} className="review-grid-th" onClick={() => toggleSort(f)}>
+                {headers[f]}
+                {sortMark(f)}
+              </button>
+            ))}
+            {extraColumns.map((c) => (
+              <div key={c.key} className="review-grid-th">
+                {c.label}
+              </div>
+            ))}
+          </div>
+          <div className="review-grid-stats" style={{ gridTemplateColumns: template }}>
+            <div className="review-grid-stat">Rows in view</div>
+            {fields.map((field) => (
+              <div key={field} className="review-grid-stat">
+                {stats[field]?.lines.map((line) => (
+                  <div key={line}>{line}</div>
+                ))}
+                <div className={stats[field]?.nulls ? "is-nulls" : ""}>
+                  {(stats[field]?.nulls || 0).toLocaleString()} blank
+                  {NUMERIC_FIELDS.has(field) || !EDIT_FIELDS.includes(field) ? " / non-numeric" : ""}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="review-grid-body" style={{ height: order.length * ROW_HEIGHT }}>
+          {order.slice(first, last).map((i, k) => {
+            const pos = first + k;
+            const source = columns.source[i];
+            const classes = ["review-grid-row"];
+            if (selected.has(source)) classes.push("is-selected");
+            if (focus?.rows.has(source)) classes.push("is-focus");
+            return (
+              <div
+                key={source}
+                className={classes.join(" ")}
+                style={{ gridTemplateColumns: template, transform: `translateY(${pos * ROW_HEIGHT}px)` }}
+              >
+                <div className="review-grid-td review-rownum" onClick={(e) => selectRow(pos, e)}>
+                  {rowValue(i)}
+                </div>
+                {fields.map((field) => {
+                  const extra = extraColumns.find((c) => c.key === field);
+                  const isActive = active?.pos === pos && active.field === field;
+                  const isEditing = !extra && editing?.row === source && editing.field === field;
+                  return (
+                    <div
+                      key={field}
+                      className={`review-grid-td ${isActive ? "is-active" : ""} ${extra ? "is-readonly" : ""}`}
+                      onClick={() => setActive({ pos, field })}
+                      onDoubleClick={() => startEdit(pos, field)}
+                    >
+                      {isEditing ? (
+                        <input
+                          className="review-grid-input"
+                          autoFocus
+                          value={editing.value}
+                          onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                          onBlur={commitEdit}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") {
+                              e.preventDefault();
+                              commitEdit();
+                              scrollRef.current?.focus();
+                            } else if (e.key === "Escape") {
+                              setEditing(null);
+                              scrollRef.current?.focus();
+                            }
+                          }}
+                        />
+                      ) : extra ? (
+                        extra.text(i)
+                      ) : (
+                        columnCellText(columns, field, i)
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,37 +1,117 @@
 // RunAnalysis.jsx
 // Purpose: Show scatter plot of frame locations and allow user to jump to a specific FramePage by frame number.
+//          "Run all frames" analyses every frame in a Web Worker and recolours the plot by result.
 // Name: RunAnalysis.jsx
 // Date created: 2026-01-15
-// Method: Loads Frame/Pole/X/Y arrays from localStorage, renders Plotly scatter, supports click-to-navigate,
-//         and adds a manual frame input + button to navigate to /frame/:frameId with required state.
+// Method: Loads Frame/Pole/X/Y/Z from the project store (URLs keyed by project id, so links survive a refresh),
+//         renders a Plotly scatter and opens a frame's FramePage on click or by frame number. The batch run
+//         colours frames by status or a metric and is saved on the project; a plot selection can be analysed,
+//         exported or compared on its own. Exports are built in export/ (LandXML, DXF, stakeout CSV, GeoJSON).
 // Data dictionary:
 // - Inputs:
-//   - localStorage: pcl_columns_frame, pcl_columns_pole, pcl_columns_x, pcl_columns_y
-//   - route state: fileName, sheetName, trackerType
+//   - project store: columns { frame, pole, x, y, z } (+ Review edits), params (+ units, crs), results (last batch run),
+//                    overrides (what-if tubes), surface + zSource (survey Z replaces the Z column when chosen on Review)
+//   - route param (optional): projectId (project-keyed URL; otherwise the current project)
 // - State:
 //   - frameInput (string): user-entered frame id
 //   - frameIdSet (Set<string>): valid frame ids present in dataset
+//   - batch ({ results, errors, volumes, ranAt, partial }): output of the analysis worker (partial = only some
+//                                                           frames have been analysed)
+//   - showHeatmap (boolean): draw the volume heatmap under the points
+//   - colorBy (string): "status" or a metric key from COLOR_METRICS
+//   - selectedFrames (Set<string>): frame ids selected on the plot (box / lasso)
+//   - stakeout ({ open, layout, scope, startNumber }): stakeout CSV export settings
 // - Output:
-//   - navigation to FramePage route with frameId + metadata
+//   - navigation to /project/:projectId/frame/:frameId, or …/compare?frames=… for the selection
+//   - <project>_Grading.xml LandXML download, <project>_Layout.dxf DXF download, <project>_Layout.geojson GeoJSON
+//     download, <project>_Stakeout.csv
 
-import { useEffect, useMemo, useState } from "react";
-import { Link, useLocation, useNavigate } from "react-router-dom";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
 import Plot from "react-plotly.js";
+import { FRAME_STATUS_HELP, FRAME_STATUS_LABELS, groupFrames } from "../analysis/common";
+import { fmtLatLon, paramsCrs, toWgs84 } from "../analysis/crs";
+import { frameStatusMap, mergeResults } from "../analysis/project";
+import { withSurfaceZ } from "../analysis/surface";
+import { VOLUME_NOT_ESTIMATED_HELP, volumeHeatmap } from "../analysis/tin";
+import { COORD_UNITS, coordSuffix, paramsUnits, volumeSuffix } from "../analysis/units";
+import { baseName, downloadText } from "../export/download";
+import { buildDxf } from "../export/dxf";
+import { buildGeoJson } from "../export/geojson";
+import {
+  STAKEOUT_FIELDS,
+  STAKEOUT_PRESETS,
+  buildStakeoutCsv,
+  loadStakeoutLayout,
+  presetLayout,
+  saveStakeoutLayout,
+  stakeoutRows,
+} from "../export/stakeout";
+import { buildLandXml } from "../export/landxml";
+import { editedColumns } from "../store/columnEdits";
+import { comparePath, earthworksPath, framePath, parametersPath } from "../store/projectRoutes";
+import { useProject } from "../store/useProject";
 import "./RunAnalysis.css";
 
+const STATUS_COLORS = {
+  pass: "#16a34a",
+  grade: "#f59e0b",
+  fail: "#dc2626",
+  none: "#cbd5e1",
+};
+
+// Frames that have not been analysed yet (after a selection-only run)
+const NOT_RUN_LABEL = "Not analysed";
+
+// Largest selection the Compare page accepts
+const MAX_COMPARE_FRAMES = 30;
+
+// Continuous colouring options (frame-level values from the batch results)
+const COLOR_METRICS = {
+  maxCut: { label: "Max cut", value: (r) => r.maxCut },
+  maxFill: { label: "Max fill", value: (r) => r.maxFill },
+  totalEarthworks: { label: "Total cut + fill", value: (r) => r.totalCut + r.totalFill },
+  volume: {
+    label: "Cut + fill volume",
+    volume: true,
+    value: (r) => (r.volume ? r.volume.cut + r.volume.fill : null),
+  },
+};
+
+// Metric name with its unit (depths in coordinate units, volumes cubed)
+const metricTitle = (metric, units) => `${metric.label} (${metric.volume ? volumeSuffix(units) : coordSuffix(units)})`;
+
+const statusLabel = (status) => FRAME_STATUS_LABELS[status] || NOT_RUN_LABEL;
+
+const fmtVolume = (v) => (Number.isFinite(v) ? Math.round(v).toLocaleString() : "—");
+
 export default function RunAnalysis() {
-  const { state } = useLocation();
   const navigate = useNavigate();
+  const { projectId } = useParams();
+  const {
+    project,
+    status: projectStatus,
+    error: projectError,
+    update,
+  } = useProject({ step: "run-analysis", projectId });
 
-  const [fileName, setFileName] = useState(state?.fileName || "");
-  const [sheetName, setSheetName] = useState(state?.sheetName || "");
-  const [trackerType, setTrackerType] = useState(state?.trackerType || "flat");
+  const [fileName, setFileName] = useState("");
+  const [sheetName, setSheetName] = useState("");
+  const [trackerType, setTrackerType] = useState("flat");
 
-  // data (from localStorage)
+  // data (from the project store)
   const [frame, setFrame] = useState([]); // Frame column (Table renamed to Frame)
   const [pole, setPole] = useState([]); // Pole column
   const [x, setX] = useState([]);
   const [y, setY] = useState([]);
+  const [z, setZ] = useState([]);
+
+  // Parameters payload (saved on the project by the Parameters page)
+  const [params, setParams] = useState(null);
+  const units = useMemo(() => paramsUnits(params), [params]);
+  const crs = useMemo(() => paramsCrs(params), [params]);
+  // Lat / long line of the point hover (projects with a CRS)
+  const hoverWhere = crs ? "<br>%{customdata.latlon}" : "";
 
   const [error, setError] = useState("");
 
@@ -39,6 +119,22 @@ export default function RunAnalysis() {
   const [frameInput, setFrameInput] = useState("");
   const [jumpError, setJumpError] = useState("");
 
+  // Batch analysis (Web Worker)
+  const workerRef = useRef(null);
+  const [runStatus, setRunStatus] = useState("idle"); // idle | running | done | cancelled | error
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [batch, setBatch] = useState(null);
+  const [batchError, setBatchError] = useState("");
+  const [colorBy, setColorBy] = useState("status");
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [selectedFrames, setSelectedFrames] = useState(() => new Set());
+
+  // Stakeout CSV export
+  const [stakeoutOpen, setStakeoutOpen] = useState(false);
+  const [stakeoutLayout, setStakeoutLayout] = useState(loadStakeoutLayout);
+  const [stakeoutScope, setStakeoutScope] = useState("all"); // all | selected
+  const [stakeoutStart, setStakeoutStart] = useState("1");
+
   // Helpers
   const toNum = (v) => {
     if (typeof v === "number") return Number.isFinite(v) ? v : null;
@@ -57,46 +153,45 @@ export default function RunAnalysis() {
   };
 
   useEffect(() => {
+    if (projectStatus === "loading") return;
+
     setError("");
     setJumpError("");
 
-    try {
-      const cfg = JSON.parse(localStorage.getItem("pcl_config") || "{}");
-      setFileName(state?.fileName || cfg.fileName || "");
-      setSheetName(state?.sheetName || cfg.sheetName || "");
-      setTrackerType(state?.trackerType || cfg.trackerType || "flat");
-
-      const frameLS = JSON.parse(localStorage.getItem("pcl_columns_frame") || "[]");
-      const poleLS = JSON.parse(localStorage.getItem("pcl_columns_pole") || "[]");
-      const xLS = JSON.parse(localStorage.getItem("pcl_columns_x") || "[]");
-      const yLS = JSON.parse(localStorage.getItem("pcl_columns_y") || "[]");
-
-      if (
-        !Array.isArray(frameLS) ||
-        !frameLS.length ||
-        !Array.isArray(poleLS) ||
-        !poleLS.length ||
-        !Array.isArray(xLS) ||
-        !xLS.length ||
-        !Array.isArray(yLS) ||
-        !yLS.length
-      ) {
-        setError("Missing Frame/Pole/X/Y data. Go back to Review and ensure Frame + Pole + X + Y columns are loaded.");
-        return;
-      }
+    if (projectStatus !== "ready") {
+      setError(projectError || "No project found. Go back to Uploads and upload your BOM.");
+      return;
+    }
 
-      setFrame(frameLS);
-      setPole(poleLS);
-      setX(xLS);
-      setY(yLS);
+    setFileName(project.fileName || "");
+    setSheetName(project.sheetName || "");
+    setParams(project.params);
+    setTrackerType(project.params?.trackerType || project.trackerType || "flat");
 
-      // Optional: prefill with first valid frame
-      const first = toIdPiece(frameLS.find((v) => toIdPiece(v)));
-      if (first) setFrameInput(first);
-    } catch {
-      setError("Failed to load data. Go back to Review and try again.");
+    // Z comes from the survey surface when the project uses one (analysis/surface.js)
+    const cols = withSurfaceZ(editedColumns(project), project.surface, project.zSource);
+    if (!cols?.frame?.length || !cols?.pole?.length || !cols?.x?.length || !cols?.y?.length) {
+      setError("Missing Frame/Pole/X/Y data. Go back to Review and ensure Frame + Pole + X + Y columns are loaded.");
+      return;
     }
-  }, [state]);
+
+    setFrame(cols.frame);
+    setPole(cols.pole);
+    setX(cols.x);
+    setY(cols.y);
+    setZ(cols.z || []);
+
+    // Restore the last batch run (cleared whenever columns or parameters change)
+    if (project.results) {
+      setBatch(project.results);
+      setRunStatus("done");
+    }
+
+    // Optional: prefill with first valid frame
+    const first = toIdPiece(cols.frame.find((v) => toIdPiece(v)));
+    if (first) setFrameInput(first);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectStatus, project?.id]);
 
   // Build fast arrays for Plotly (one trace)
   const { xNum, yNum, customData, pointCount, dropped, frameIdSet } = useMemo(() => {
@@ -125,7 +220,8 @@ export default function RunAnalysis() {
 
       xx.push(xv);
       yy.push(yv);
-      cd.push({ frame: f, pole: p, label: `${f}.${p}` });
+      const latlon = crs ? fmtLatLon(toWgs84(crs, xv, yv)) : "";
+      cd.push({ frame: f, pole: p, label: `${f}.${p}`, latlon });
     }
 
     return {
@@ -136,30 +232,373 @@ export default function RunAnalysis() {
       dropped: drop,
       frameIdSet: ids,
     };
-  }, [frame, pole, x, y]);
+  }, [frame, pole, x, y, crs]);
+
+  // frame id -> result (or { status: "fail" }); frames with no analysable poles count as failed, except after a
+  // selection-only run where frames outside the run are simply not analysed yet
+  const statusByFrame = useMemo(() => {
+    if (!batch) return null;
+    const map = frameStatusMap(batch.results, batch.errors);
+    if (batch.partial) return map;
+    for (const id of frameIdSet) {
+      if (!map.has(id)) map.set(id, { frameId: id, status: "fail", message: "No poles with numeric Z." });
+    }
+    return map;
+  }, [batch, frameIdSet]);
+
+  const statusCounts = useMemo(() => {
+    const counts = { pass: 0, grade: 0, fail: 0, none: 0 };
+    if (statusByFrame) {
+      for (const r of statusByFrame.values()) counts[r.status]++;
+      counts.none = Math.max(0, frameIdSet.size - statusByFrame.size);
+    }
+    return counts;
+  }, [statusByFrame, frameIdSet]);
+
+  // Aggregate stats for the frames selected on the plot
+  const selection = useMemo(() => {
+    if (!selectedFrames.size) return null;
+    const stats = { frames: selectedFrames.size, poles: 0, pass: 0, grade: 0, fail: 0, none: 0 };
+    stats.gradedPoles = 0;
+    stats.cut = 0;
+    stats.fill = 0;
+    stats.volumeCut = 0;
+    stats.volumeFill = 0;
+
+    for (const cd of customData) if (selectedFrames.has(cd.frame)) stats.poles++;
+
+    const list = [...selectedFrames].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    for (const id of list) {
+      const r = statusByFrame?.get(id);
+      if (!r) {
+        stats.none++;
+        continue;
+      }
+      stats[r.status]++;
+      if (r.status === "fail") continue;
+      stats.gradedPoles += r.gradedCount || 0;
+      stats.cut += r.totalCut || 0;
+      stats.fill += r.totalFill || 0;
+      stats.volumeCut += r.volume?.cut || 0;
+      stats.volumeFill += r.volume?.fill || 0;
+    }
+    return { ...stats, list };
+  }, [selectedFrames, statusByFrame, customData]);
+
+  const heatmap = useMemo(() => (batch ? volumeHeatmap(batch.results) : null), [batch]);
+  // Older saved runs carry a zero total instead of null when the TIN had no triangles
+  const volumesEstimated = Boolean(batch?.volumes?.total && batch.volumes.triangleCount);
+
+  const pointTraces = useMemo(() => {
+    const base = {
+      type: "scattergl",
+      mode: "markers",
+      hovertemplate: `%{customdata.label}${hoverWhere}<extra></extra>`,
+    };
+
+    if (!statusByFrame) {
+      return [
+        {
+          ...base,
+          x: xNum,
+          y: yNum,
+          customdata: customData,
+          marker: { size: 4, color: "#FFD400", opacity: 0.85 },
+          name: "Frame Locations",
+        },
+      ];
+    }
+
+    if (colorBy === "status") {
+      const groups = { pass: [], grade: [], fail: [], none: [] };
+      customData.forEach((cd, i) => {
+        const status = statusByFrame.get(cd.frame)?.status || (batch.partial ? "none" : "fail");
+        groups[status].push(i);
+      });
+
+      return Object.entries(groups)
+        .filter(([status, idx]) => status !== "none" || idx.length)
+        .map(([status, idx]) => ({
+          ...base,
+          x: idx.map((i) => xNum[i]),
+          y: idx.map((i) => yNum[i]),
+          customdata: idx.map((i) => ({ ...customData[i], status: statusLabel(status) })),
+          hovertemplate: `%{customdata.label} · %{customdata.status}${hoverWhere}<extra></extra>`,
+          marker: { size: 4, color: STATUS_COLORS[status], opacity: 0.85 },
+          name: `${statusLabel(status)} (${statusCounts[status].toLocaleString()})`,
+        }));
+    }
+
+    const metric = COLOR_METRICS[colorBy];
+    const values = customData.map((cd) => {
+      const r = statusByFrame.get(cd.frame);
+      return r && r.status !== "fail" ? metric.value(r) : null;
+    });
+
+    return [
+      {
+        ...base,
+        x: xNum,
+        y: yNum,
+        customdata: customData.map((cd, i) => ({
+          ...cd,
+          metric: Number.isFinite(values[i]) ? values[i].toFixed(3) : "—",
+        })),
+        hovertemplate: `%{customdata.label} · ${metricTitle(metric, units)}: %{customdata.metric}${hoverWhere}<extra></extra>`,
+        marker: {
+          size: 4,
+          opacity: 0.85,
+          color: values,
+          colorscale: "YlOrRd",
+          cmin: 0,
+          showscale: true,
+          colorbar: { title: { text: metricTitle(metric, units) }, thickness: 14, x: 1.0 },
+        },
+        name: metric.label,
+      },
+    ];
+  }, [batch, statusByFrame, colorBy, xNum, yNum, customData, statusCounts, units, hoverWhere]);
+
+  // Frames with a saved what-if tube (FramePage)
+  const overrideIds = useMemo(() => new Set(Object.keys(project?.overrides || {})), [project]);
+
+  const overrideTrace = useMemo(() => {
+    if (!overrideIds.size) return null;
+    const idx = [];
+    customData.forEach((cd, i) => {
+      if (overrideIds.has(cd.frame)) idx.push(i);
+    });
+    if (!idx.length) return null;
+    return {
+      type: "scattergl",
+      mode: "markers",
+      x: idx.map((i) => xNum[i]),
+      y: idx.map((i) => yNum[i]),
+      customdata: idx.map((i) => customData[i]),
+      hovertemplate: `%{customdata.label} · what-if tube${hoverWhere}<extra></extra>`,
+      marker: { size: 8, symbol: "diamond-open", color: "#7c3aed" },
+      name: `What-if tube (${overrideIds.size.toLocaleString()})`,
+    };
+  }, [overrideIds, customData, xNum, yNum, hoverWhere]);
+
+  // Ring around the selected frames' points (selection survives recolouring)
+  const selectionTrace = useMemo(() => {
+    if (!selectedFrames.size) return null;
+    const idx = [];
+    customData.forEach((cd, i) => {
+      if (selectedFrames.has(cd.frame)) idx.push(i);
+    });
+    return {
+      type: "scattergl",
+      mode: "markers",
+      x: idx.map((i) => xNum[i]),
+      y: idx.map((i) => yNum[i]),
+      customdata: idx.map((i) => customData[i]),
+      hoverinfo: "skip",
+      marker: { size: 9, color: "rgba(0,0,0,0)", line: { width: 1.5, color: "#2563eb" } },
+      name: "Selected",
+      showlegend: false,
+    };
+  }, [selectedFrames, customData, xNum, yNum]);
+
+  const plotData = useMemo(() => {
+    const points = [...pointTraces, overrideTrace, selectionTrace].filter(Boolean);
+    if (!showHeatmap || !heatmap) return points;
+
+    const layer = {
+      type: "heatmap",
+      ...heatmap,
+      colorscale: [
+        [0, "#b91c1c"],
+        [0.5, "#f8fafc"],
+        [1, "#1d4ed8"],
+      ],
+      zmid: 0,
+      opacity: 0.75,
+      hoverongaps: false,
+      hovertemplate: `Net volume: %{z:.1f} ${volumeSuffix(units)}<extra></extra>`,
+      colorbar: { title: { text: `Net volume, ${volumeSuffix(units)} (+fill / −cut)` }, thickness: 14, x: 1.12 },
+      name: "Volume",
+    };
+
+    return [layer, ...points];
+  }, [showHeatmap, heatmap, pointTraces, overrideTrace, selectionTrace, units]);
+
+  // Analyses every frame, or only frameIds (merged into the previous run when there is one)
+  function runAll(frameIds = null) {
+    if (workerRef.current) workerRef.current.terminate();
+
+    setBatchError("");
+    setRunStatus("running");
+    setProgress({ done: 0, total: frameIds ? frameIds.size : frameIdSet.size });
+
+    const previous = frameIds ? batch : null;
+
+    const worker = new Worker(new URL("../analysis/analysis.worker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === "progress") {
+        setProgress({ done: msg.done, total: msg.total });
+      } else if (msg.type === "done") {
+        const run = previous ? mergeResults(previous, msg, frameIds) : msg;
+        const next = {
+          results: run.results,
+          errors: run.errors,
+          volumes: run.volumes,
+          ranAt: new Date().toISOString(),
+          partial: frameIds ? (previous ? !!previous.partial : true) : false,
+        };
+        setBatch(next);
+        setRunStatus("done");
+        update({ results: next }).catch(() => {
+          setBatchError("Results could not be saved to the project; they will need re-running after a refresh.");
+        });
+        worker.terminate();
+        workerRef.current = null;
+      } else if (msg.type === "error") {
+        setBatchError(msg.message);
+        setRunStatus("error");
+        worker.terminate();
+        workerRef.current = null;
+      }
+    };
+
+    worker.onerror = () => {
+      setBatchError("Analysis worker crashed.");
+      setRunStatus("error");
+      worker.terminate();
+      workerRef.current = null;
+    };
+
+    worker.postMessage({
+      type: "run",
+      columns: { frame, pole, x, y, z },
+      params: { ...params, trackerType },
+      frameIds: frameIds ? [...frameIds] : null,
+      overrides: project?.overrides || null,
+    });
+  }
+
+  function cancelRun() {
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null;
+    setRunStatus("cancelled");
+  }
+
+  // Results limited to a frame set (null = all)
+  const resultsFor = (frameIds) =>
+    frameIds ? batch.results.filter((r) => frameIds.has(String(r.frameId))) : batch.results;
+
+  function exportLandXml(frameIds = null) {
+    if (!batch) return;
+    const name = project?.name || fileName;
+    const xml = buildLandXml(resultsFor(frameIds), { projectName: name, linearUnit: COORD_UNITS[units.coord].landXml });
+    downloadText(xml, `${baseName(name)}_${frameIds ? "Selection_" : ""}Grading.xml`, "application/xml");
+  }
+
+  function changeStakeoutLayout(next) {
+    setStakeoutLayout(next);
+    saveStakeoutLayout(next);
+  }
+
+  // Moves a stakeout column up (-1) or down (+1)
+  function moveStakeoutColumn(key, dir) {
+    const cols = [...stakeoutLayout.columns];
+    const i = cols.indexOf(key);
+    const j = i + dir;
+    if (i < 0 || j < 0 || j >= cols.length) return;
+    [cols[i], cols[j]] = [cols[j], cols[i]];
+    changeStakeoutLayout({ ...stakeoutLayout, preset: "", columns: cols });
+  }
+
+  function toggleStakeoutColumn(key, on) {
+    const cols = on ? [...stakeoutLayout.columns, key] : stakeoutLayout.columns.filter((c) => c !== key);
+    changeStakeoutLayout({ ...stakeoutLayout, preset: "", columns: cols });
+  }
+
+  const stakeoutCount = useMemo(() => {
+    if (!batch) return 0;
+    const frameIds = stakeoutScope === "selected" ? selectedFrames : null;
+    return batch.results.reduce((n, r) => n + (!frameIds || frameIds.has(String(r.frameId)) ? r.poles.length : 0), 0);
+  }, [batch, stakeoutScope, selectedFrames]);
+
+  function exportStakeout() {
+    if (!batch) return;
+    const rows = stakeoutRows(batch.results, {
+      frameIds: stakeoutScope === "selected" ? selectedFrames : null,
+      startNumber: toNum(stakeoutStart) ?? 1,
+    });
+    const csv = buildStakeoutCsv(rows, stakeoutLayout);
+    downloadText(csv, `${baseName(project?.name || fileName)}_Stakeout.csv`, "text/csv");
+  }
+
+  // Box selection on the plot -> set of frame ids
+  function onPlotSelected(e) {
+    const ids = new Set();
+    for (const pt of e?.points || []) {
+      const frameId = pt.customdata?.frame;
+      if (frameId && frameId !== "—") ids.add(String(frameId));
+    }
+    setSelectedFrames(ids);
+    if (!ids.size) setStakeoutScope("all");
+  }
+
+  function onPlotDeselect() {
+    setSelectedFrames(new Set());
+    setStakeoutScope("all");
+  }
+
+  function exportDxf(frameIds = null) {
+    const layout = groupFrames({ frame, pole, x, y, z });
+    if (frameIds) {
+      for (const id of layout.keys()) if (!frameIds.has(id)) layout.delete(id);
+    }
+    const dxf = buildDxf(layout, { statuses: statusByFrame });
+    const suffix = frameIds ? "Selection_Layout" : "Layout";
+    downloadText(dxf, `${baseName(project?.name || fileName)}_${suffix}.dxf`, "application/dxf");
+  }
+
+  // WGS 84 layout for GIS (needs the project CRS from Parameters)
+  function exportGeoJson(frameIds = null) {
+    if (!crs) return;
+    const layout = groupFrames({ frame, pole, x, y, z });
+    if (frameIds) {
+      for (const id of layout.keys()) if (!frameIds.has(id)) layout.delete(id);
+    }
+    const geojson = buildGeoJson(layout, crs, { statuses: statusByFrame });
+    const suffix = frameIds ? "Selection_Layout" : "Layout";
+    downloadText(geojson, `${baseName(project?.name || fileName)}_${suffix}.geojson`, "application/geo+json");
+  }
+
+  function openStakeoutForSelection() {
+    setStakeoutScope("selected");
+    setStakeoutOpen(true);
+  }
+
+  function openCompare() {
+    if (!selection || selection.frames > MAX_COMPARE_FRAMES) return;
+    navigate(comparePath(project?.id, selection.list));
+  }
+
+  // Stop any running batch when leaving the page
+  useEffect(() => {
+    return () => {
+      if (workerRef.current) workerRef.current.terminate();
+    };
+  }, []);
 
   function goBack() {
-    navigate("/parameters");
+    navigate(parametersPath(project?.id));
   }
 
   function goToFrame(frameIdRaw) {
     const cleaned = toIdPiece(frameIdRaw);
     if (!cleaned || cleaned === "—") return;
 
-    navigate(`/frame/${encodeURIComponent(cleaned)}`, {
-      state: {
-        frameId: cleaned,
-        fileName,
-        sheetName,
-        trackerType,
-        // Pass these so FramePage can build rows if needed
-        frame,
-        pole,
-        x,
-        y,
-        // If you later add z in RunAnalysis, include it too.
-      },
-    });
+    // FramePage rebuilds the frame from the project store
+    navigate(framePath(project?.id, cleaned));
   }
 
   // Click -> go to frame page
@@ -205,7 +644,7 @@ export default function RunAnalysis() {
     <div className="ra-shell">
       <header className="ra-topbar">
         <div className="ra-left">
-          <Link to="/parameters" className="ra-link">
+          <Link to={parametersPath(project?.id)} className="ra-link">
             ← Back
           </Link>
 
@@ -234,6 +673,97 @@ export default function RunAnalysis() {
             </div>
             {jumpError && <div className="ra-jump-error">{jumpError}</div>}
           </div>
+
+          <div className="ra-jump">
+            <div className="ra-jump-label">Analysis</div>
+            <div className="ra-jump-row">
+              {runStatus === "running" ? (
+                <button className="ra-btn" onClick={cancelRun}>
+                  Cancel
+                </button>
+              ) : (
+                <button className="ra-jump-btn" onClick={() => runAll()} disabled={!!error || !frameIdSet.size}>
+                  {batch ? "Re-run all frames" : "Run all frames"}
+                </button>
+              )}
+
+              <select
+                className="ra-select"
+                value={colorBy}
+                onChange={(e) => setColorBy(e.target.value)}
+                disabled={!batch}
+              >
+                <option value="status">Colour: status</option>
+                {Object.entries(COLOR_METRICS).map(([key, m]) => (
+                  <option key={key} value={key}>
+                    Colour: {m.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <label className="ra-check">
+              <input
+                type="checkbox"
+                checked={showHeatmap}
+                onChange={(e) => setShowHeatmap(e.target.checked)}
+                disabled={!batch}
+              />
+              Volume heatmap
+            </label>
+
+            {runStatus === "running" && (
+              <div className="ra-progress">
+                <div
+                  className="ra-progress-bar"
+                  style={{ width: `${progress.total ? (100 * progress.done) / progress.total : 0}%` }}
+                />
+                <div className="ra-progress-text">
+                  {progress.done.toLocaleString()} / {progress.total.toLocaleString()} frames
+                </div>
+              </div>
+            )}
+            {runStatus === "cancelled" && <div className="ra-progress-text">Cancelled.</div>}
+            {batchError && <div className="ra-jump-error">{batchError}</div>}
+          </div>
+
+          <div className="ra-jump">
+            <div className="ra-jump-label">Export</div>
+            <div className="ra-jump-row">
+              <button
+                className="ra-btn"
+                onClick={() => exportLandXml()}
+                disabled={!batch || runStatus === "running"}
+                title={batch ? "Pile points + proposed grading surface" : "Run all frames first"}
+              >
+                LandXML
+              </button>
+              <button
+                className="ra-btn"
+                onClick={() => exportDxf()}
+                disabled={!!error || !frameIdSet.size || runStatus === "running"}
+                title={batch ? "Frames, pole labels and cut/fill" : "Frame layout and pole labels"}
+              >
+                DXF
+              </button>
+              <button
+                className="ra-btn"
+                onClick={() => exportGeoJson()}
+                disabled={!crs || !!error || !frameIdSet.size || runStatus === "running"}
+                title={crs ? `Frame layout in WGS 84 (from ${crs.code})` : "Choose a CRS on Parameters first"}
+              >
+                GeoJSON
+              </button>
+              <button
+                className={`ra-btn ${stakeoutOpen ? "is-active" : ""}`}
+                onClick={() => setStakeoutOpen((v) => !v)}
+                disabled={!batch || runStatus === "running"}
+                title={batch ? "Per-pole stakeout file for data collectors" : "Run all frames first"}
+              >
+                Stakeout CSV
+              </button>
+            </div>
+          </div>
         </div>
 
         <div className="ra-meta">
@@ -253,65 +783,299 @@ export default function RunAnalysis() {
             <div className="ra-chip-label">Points</div>
             <div className="ra-chip-value">{pointCount.toLocaleString()}</div>
           </div>
+          {statusByFrame &&
+            Object.keys(STATUS_COLORS)
+              .filter((status) => status !== "none" || statusCounts.none)
+              .map((status) => (
+                <div className="ra-chip" key={status} title={FRAME_STATUS_HELP[status]}>
+                  <div className="ra-chip-label">
+                    <span className="ra-dot" style={{ background: STATUS_COLORS[status] }} />
+                    {statusLabel(status)}
+                  </div>
+                  <div className="ra-chip-value">{statusCounts[status].toLocaleString()} frames</div>
+                </div>
+              ))}
+          {overrideIds.size > 0 && (
+            <div className="ra-chip">
+              <div className="ra-chip-label">What-if tubes</div>
+              <div className="ra-chip-value">{overrideIds.size.toLocaleString()} frames</div>
+            </div>
+          )}
+          {batch?.volumes && (
+            <div className="ra-chip" title={volumesEstimated ? undefined : VOLUME_NOT_ESTIMATED_HELP}>
+              <div className="ra-chip-label">Volume cut / fill / net ({volumeSuffix(units)})</div>
+              <div className="ra-chip-value">
+                {volumesEstimated ? (
+                  <>
+                    {fmtVolume(batch.volumes.total.cut)} / {fmtVolume(batch.volumes.total.fill)} /{" "}
+                    {fmtVolume(batch.volumes.total.net)}
+                  </>
+                ) : (
+                  "Volume not estimated"
+                )}
+              </div>
+            </div>
+          )}
         </div>
       </header>
 
       {error && <div className="ra-error">{error}</div>}
 
+      {stakeoutOpen && batch && (
+        <section className="ra-stakeout">
+          <div className="ra-stakeout-row">
+            <label className="ra-field">
+              <span>Layout</span>
+              <select
+                className="ra-select"
+                value={stakeoutLayout.preset}
+                onChange={(e) => changeStakeoutLayout(presetLayout(e.target.value))}
+              >
+                {!stakeoutLayout.preset && <option value="">Custom</option>}
+                {Object.entries(STAKEOUT_PRESETS).map(([key, preset]) => (
+                  <option key={key} value={key}>
+                    {preset.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="ra-check">
+              <input
+                type="checkbox"
+                checked={stakeoutLayout.header}
+                onChange={(e) => changeStakeoutLayout({ ...stakeoutLayout, header: e.target.checked })}
+              />
+              Header row
+            </label>
+
+            <label className="ra-field">
+              <span>First point number</span>
+              <input
+                className="ra-jump-input ra-number"
+                type="number"
+                min="0"
+                value={stakeoutStart}
+                onChange={(e) => setStakeoutStart(e.target.value)}
+              />
+            </label>
+
+            <div className="ra-field">
+              <span>Frames</span>
+              <div className="ra-stakeout-scope">
+                <label className="ra-check">
+                  <input type="radio" checked={stakeoutScope === "all"} onChange={() => setStakeoutScope("all")} />
+                  All results
+                </label>
+                <label className="ra-check">
+                  <input
+                    type="radio"
+                    checked={stakeoutScope === "selected"}
+                    onChange={() => setStakeoutScope("selected")}
+                    disabled={!selectedFrames.size}
+                  />
+                  Selected on plot ({selectedFrames.size.toLocaleString()})
+                </label>
+              </div>
+            </div>
+
+            <button
+              className="ra-jump-btn"
+              onClick={exportStakeout}
+              disabled={!stakeoutCount || !stakeoutLayout.columns.length}
+            >
+              Download {stakeoutCount.toLocaleString()} points
+            </button>
+          </div>
+
+          <div className="ra-stakeout-columns">
+            {stakeoutLayout.columns.map((key, i) => (
+              <div className="ra-stakeout-col" key={key}>
+                <input type="checkbox" checked onChange={() => toggleStakeoutColumn(key, false)} />
+                <span>
+                  {i + 1}. {STAKEOUT_FIELDS[key]}
+                </span>
+                <button className="ra-mini" onClick={() => moveStakeoutColumn(key, -1)} disabled={i === 0}>
+                  ↑
+                </button>
+                <button
+                  className="ra-mini"
+                  onClick={() => moveStakeoutColumn(key, 1)}
+                  disabled={i === stakeoutLayout.columns.length - 1}
+                >
+                  ↓
+                </button>
+              </div>
+            ))}
+            {Object.keys(STAKEOUT_FIELDS)
+              .filter((key) => !stakeoutLayout.columns.includes(key))
+              .map((key) => (
+                <label className="ra-stakeout-col is-off" key={key}>
+                  <input type="checkbox" checked={false} onChange={() => toggleStakeoutColumn(key, true)} />
+                  <span>{STAKEOUT_FIELDS[key]}</span>
+                </label>
+              ))}
+          </div>
+          <div className="ra-progress-text">
+            Design grade is staked as the elevation; cut/fill is design − existing (+ fill, − cut). Drag a box on the
+            plot to select frames.
+          </div>
+        </section>
+      )}
+
       {!error && (
-        <div className="ra-plotwrap">
-          <Plot
-            data={[
-              {
-                type: "scattergl",
-                mode: "markers",
-                x: xNum,
-                y: yNum,
-                customdata: customData,
-                marker: {
-                  size: 4,
-                  color: "#FFD400",
-                  opacity: 0.85,
+        <div className="ra-body">
+          <div className="ra-plotwrap">
+            <Plot
+              data={plotData}
+              layout={{
+                autosize: true,
+                margin: { l: 60, r: showHeatmap && heatmap ? 120 : 20, t: 30, b: 55 },
+                paper_bgcolor: "#ffffff",
+                plot_bgcolor: "#ffffff",
+                xaxis: {
+                  title: "X",
+                  zeroline: false,
+                  showgrid: true,
+                  gridcolor: "#eef2f7",
+                },
+                yaxis: {
+                  title: "Y",
+                  zeroline: false,
+                  showgrid: true,
+                  gridcolor: "#eef2f7",
                 },
-                hovertemplate: "%{customdata.label}<extra></extra>",
-                name: "Frame Locations",
-              },
-            ]}
-            layout={{
-              autosize: true,
-              margin: { l: 60, r: 20, t: 30, b: 55 },
-              paper_bgcolor: "#ffffff",
-              plot_bgcolor: "#ffffff",
-              xaxis: {
-                title: "X",
-                zeroline: false,
-                showgrid: true,
-                gridcolor: "#eef2f7",
-              },
-              yaxis: {
-                title: "Y",
-                zeroline: false,
-                showgrid: true,
-                gridcolor: "#eef2f7",
-              },
-              showlegend: false,
-              hovermode: "closest",
-            }}
-            config={{
-              responsive: true,
-              displaylogo: false,
-              scrollZoom: true,
-              modeBarButtonsToRemove: ["lasso2d"],
-            }}
-            style={{ width: "100%", height: "100%" }}
-            onClick={onPlotClick}
-          />
+                showlegend: !!statusByFrame && colorBy === "status",
+                legend: { orientation: "h", x: 0, y: 1.02, yanchor: "bottom" },
+                hovermode: "closest",
+                uirevision: "frames",
+              }}
+              config={{
+                responsive: true,
+                displaylogo: false,
+                scrollZoom: true,
+              }}
+              style={{ width: "100%", height: "100%" }}
+              onClick={onPlotClick}
+              onSelected={onPlotSelected}
+              onDeselect={onPlotDeselect}
+            />
+          </div>
+
+          {selection && (
+            <aside className="ra-side">
+              <div className="ra-side-head">
+                <div>
+                  <div className="ra-side-title">Selection</div>
+                  <div className="ra-chip-label">
+                    {selection.frames.toLocaleString()} frames · {selection.poles.toLocaleString()} poles
+                  </div>
+                </div>
+                <button className="ra-mini" onClick={onPlotDeselect} title="Clear selection">
+                  ✕
+                </button>
+              </div>
+
+              <div className="ra-side-stats">
+                {Object.keys(STATUS_COLORS).map((status) => (
+                  <div key={status} className="ra-side-stat" title={FRAME_STATUS_HELP[status]}>
+                    <span className="ra-dot" style={{ background: STATUS_COLORS[status] }} />
+                    {statusLabel(status)}: <strong>{selection[status].toLocaleString()}</strong>
+                  </div>
+                ))}
+                <div className="ra-side-stat">
+                  Graded poles: <strong>{selection.gradedPoles.toLocaleString()}</strong>
+                </div>
+                <div className="ra-side-stat">
+                  Cut / fill depth: <strong>{selection.cut.toFixed(2)}</strong> /{" "}
+                  <strong>{selection.fill.toFixed(2)}</strong> {coordSuffix(units)}
+                </div>
+                <div className="ra-side-stat">
+                  {volumesEstimated ? (
+                    <>
+                      Volume cut / fill: <strong>{fmtVolume(selection.volumeCut)}</strong> /{" "}
+                      <strong>{fmtVolume(selection.volumeFill)}</strong> {volumeSuffix(units)}
+                    </>
+                  ) : (
+                    <span title={VOLUME_NOT_ESTIMATED_HELP}>Volume not estimated</span>
+                  )}
+                </div>
+              </div>
+
+              <div className="ra-side-actions">
+                <button
+                  className="ra-jump-btn"
+                  onClick={() => runAll(selectedFrames)}
+                  disabled={runStatus === "running"}
+                >
+                  Analyse selection
+                </button>
+                <button
+                  className="ra-btn"
+                  onClick={openCompare}
+                  disabled={selection.frames > MAX_COMPARE_FRAMES}
+                  title={
+                    selection.frames > MAX_COMPARE_FRAMES
+                      ? `Select at most ${MAX_COMPARE_FRAMES} frames to compare`
+                      : "Open the selected frames side by side"
+                  }
+                >
+                  Compare frames
+                </button>
+                <div className="ra-side-exports">
+                  <button
+                    className="ra-btn"
+                    onClick={() => exportLandXml(selectedFrames)}
+                    disabled={!batch || runStatus === "running"}
+                  >
+                    LandXML
+                  </button>
+                  <button
+                    className="ra-btn"
+                    onClick={() => exportDxf(selectedFrames)}
+                    disabled={runStatus === "running"}
+                  >
+                    DXF
+                  </button>
+                  <button
+                    className="ra-btn"
+                    onClick={() => exportGeoJson(selectedFrames)}
+                    disabled={!crs || runStatus === "running"}
+                  >
+                    GeoJSON
+                  </button>
+                  <button
+                    className="ra-btn"
+                    onClick={openStakeoutForSelection}
+                    disabled={!batch || runStatus === "running"}
+                  >
+                    Stakeout
+                  </button>
+                </div>
+              </div>
+
+              <div className="ra-side-list">
+                {selection.list.map((id) => {
+                  const status = statusByFrame?.get(id)?.status || "none";
+                  return (
+                    <button key={id} className="ra-side-frame" onClick={() => goToFrame(id)}>
+                      <span className="ra-dot" style={{ background: STATUS_COLORS[status] }} />
+                      Frame {id}
+                      {overrideIds.has(id) && <span className="ra-side-tag">what-if</span>}
+                      <span className="ra-side-status">{statusLabel(status)}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </aside>
+          )}
         </div>
       )}
 
       {!error && (
         <footer className="ra-footer">
-          Hover shows Frame.Pole. Dropped non-numeric rows: <strong>{dropped.toLocaleString()}</strong>.
+          Hover shows Frame.Pole. Use the box or lasso tool to select a block of frames. Dropped non-numeric rows:{" "}
+          <strong>{dropped.toLocaleString()}</strong>.
         </footer>
       )}
 
@@ -319,6 +1083,9 @@ export default function RunAnalysis() {
         <button className="ra-btn" onClick={goBack}>
           ← Back to Parameters
         </button>
+        <button className="ra-btn" onClick={() => navigate(earthworksPath(project?.id))} disabled={!!error}>
+          Earthworks list →
+        </button>
       </div>
     </div>
   );
@@ -1,7 +1,14 @@
 import { useRef, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
+import { SURFACE_EXTENSIONS, readSurfaceFile } from "../import/surface";
+import { DECIMAL_OPTIONS, DELIMITER_OPTIONS, LAYOUT_OPTIONS, isTextFile } from "../import/textFiles";
+import { createProject, setCurrentProjectId } from "../store/projectStore";
 import "./Uploads.css";
 
+const ACCEPTED_EXTENSIONS = [".xlsx", ".xlsm", ".xls", ".csv", ".txt"];
+
+const fileKind = (name) => String(name).split(".").pop().toUpperCase();
+
 export default function Uploads() {
   const fileInputRef = useRef(null);
   const navigate = useNavigate();
@@ -11,6 +18,17 @@ export default function Uploads() {
   const [statusMsg, setStatusMsg] = useState("");
   const [isDragging, setIsDragging] = useState(false);
 
+  // CSV / TXT options
+  const [delimiter, setDelimiter] = useState("auto");
+  const [layout, setLayout] = useState("table"); // table | pnezd | penzd
+  const [decimal, setDecimal] = useState("auto"); // auto | . | ,
+
+  // Optional existing-ground survey (XYZ points or LandXML surface)
+  const surveyInputRef = useRef(null);
+  const [surveyFile, setSurveyFile] = useState(null);
+  const [surveyLayout, setSurveyLayout] = useState("table");
+  const [isSaving, setIsSaving] = useState(false);
+
   function validateAndSetFile(file) {
     setError("");
     setStatusMsg("");
@@ -18,16 +36,20 @@ export default function Uploads() {
     if (!file) return;
 
     const name = file.name.toLowerCase();
-    const isXlsx = name.endsWith(".xlsx");
+    const isAccepted = ACCEPTED_EXTENSIONS.some((ext) => name.endsWith(ext));
 
-    if (!isXlsx) {
+    if (!isAccepted) {
       setBomFile(null);
-      setError("Please upload a valid .xlsx Excel file (BOM).");
+      setError(`Please upload a BOM or survey file (${ACCEPTED_EXTENSIONS.join(", ")}).`);
       return;
     }
 
     setBomFile(file);
-    setStatusMsg("File ready. Click Continue to review.");
+    setStatusMsg(
+      isTextFile(file.name)
+        ? "File ready. Check the delimiter and layout, then click Continue to review."
+        : "File ready. Click Continue to review."
+    );
   }
 
   function onDrop(e) {
@@ -49,26 +71,86 @@ export default function Uploads() {
     if (fileInputRef.current) fileInputRef.current.value = "";
   }
 
-  function continueToReview() {
+  function validateAndSetSurvey(file) {
+    setError("");
+    if (!file) return;
+
+    const name = file.name.toLowerCase();
+    if (!SURFACE_EXTENSIONS.some((ext) => name.endsWith(ext))) {
+      setSurveyFile(null);
+      setError(`Survey must be a point file or LandXML surface (${SURFACE_EXTENSIONS.join(", ")}).`);
+      return;
+    }
+    setSurveyFile(file);
+  }
+
+  function clearSurvey() {
+    setSurveyFile(null);
+    if (surveyInputRef.current) surveyInputRef.current.value = "";
+  }
+
+  async function continueToReview() {
     setError("");
     setStatusMsg("");
 
     if (!bomFile) {
-      setError("Please upload your BOM .xlsx file to continue.");
+      setError("Please upload your BOM or survey file to continue.");
+      return;
+    }
+
+    const uploadedAt = new Date().toISOString();
+    const importOptions = isTextFile(bomFile.name) ? { delimiter, layout, decimal } : null;
+
+    setIsSaving(true);
+
+    // Survey is turned into a TIN once here; the analysis then uses it for Z by default
+    let surface = null;
+    if (surveyFile) {
+      try {
+        setStatusMsg("Reading survey surface…");
+        surface = { ...(await readSurfaceFile(surveyFile, { layout: surveyLayout })), uploadedAt };
+        setStatusMsg("");
+      } catch (e) {
+        setStatusMsg("");
+        setError(e?.message || "Could not read the survey file.");
+        setIsSaving(false);
+        return;
+      }
+    }
+
+    // New project per upload; the BOM blob is stored so Review can re-read it after a refresh
+    let projectId = null;
+    try {
+      const project = await createProject({
+        fileName: bomFile.name,
+        fileSize: bomFile.size,
+        uploadedAt,
+        bomFile,
+        importOptions,
+        surface,
+        zSource: surface ? "survey" : "bom",
+      });
+      await setCurrentProjectId(project.id);
+      projectId = project.id;
+    } catch {
+      setError("Could not save the project in browser storage. Free some space and try again.");
+      setIsSaving(false);
       return;
     }
 
     navigate("/review", {
       state: {
+        projectId,
         bomFile,
         fileName: bomFile.name,
         fileSize: bomFile.size,
-        uploadedAt: new Date().toISOString(),
+        uploadedAt,
+        importOptions,
       },
     });
   }
 
-  const canContinue = !!bomFile;
+  const canContinue = !!bomFile && !isSaving;
 
   return (
     <div className="uploads-page">
@@ -80,7 +162,7 @@ export default function Uploads() {
           <div className="topbar-titlewrap">
             <h1 className="topbar-title">Upload BOM</h1>
             <p className="topbar-subtitle">
-              Upload your BOM Excel file (.xlsx). You’ll review it on the next page.
+              Upload your BOM (Excel) or a survey point file (CSV / TXT). You’ll review it on the next page.
             </p>
           </div>
         </div>
@@ -91,7 +173,7 @@ export default function Uploads() {
         <section className="card">
           <div className="card-header">
             <h2 className="card-title">BOM File</h2>
-            <p className="card-subtitle">Accepted format: .xlsx</p>
+            <p className="card-subtitle">Accepted formats: {ACCEPTED_EXTENSIONS.join(", ")}</p>
           </div>
 
           <div
@@ -115,7 +197,7 @@ export default function Uploads() {
             <input
               ref={fileInputRef}
               type="file"
-              accept=".xlsx"
+              accept={ACCEPTED_EXTENSIONS.join(",")}
               className="hidden-input"
               onChange={(e) => validateAndSetFile(e.target.files?.[0])}
             />
@@ -127,7 +209,7 @@ export default function Uploads() {
           {bomFile && (
             <div className="filecard">
               <div className="filecard-left">
-                <div className="filechip">XLSX</div>
+                <div className="filechip">{fileKind(bomFile.name)}</div>
                 <div className="filemeta">
                   <div className="filename">{bomFile.name}</div>
                   <div className="filesub">
@@ -142,6 +224,101 @@ export default function Uploads() {
             </div>
           )}
 
+          {bomFile && isTextFile(bomFile.name) && (
+            <div className="textopts">
+              <label className="textopt">
+                <span className="textopt-label">Layout</span>
+                <select className="textopt-select" value={layout} onChange={(e) => setLayout(e.target.value)}>
+                  {LAYOUT_OPTIONS.map((o) => (
+                    <option key={o.value} value={o.value}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="textopt">
+                <span className="textopt-label">Delimiter</span>
+                <select className="textopt-select" value={delimiter} onChange={(e) => setDelimiter(e.target.value)}>
+                  {DELIMITER_OPTIONS.map((o) => (
+                    <option key={o.value} value={o.value}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="textopt">
+                <span className="textopt-label">Decimal separator</span>
+                <select className="textopt-select" value={decimal} onChange={(e) => setDecimal(e.target.value)}>
+                  {DECIMAL_OPTIONS.map((o) => (
+                    <option key={o.value} value={o.value}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <div className="textopt-hint">
+                Point files have no header: P = point number, N = northing, E = easting, Z = elevation,
+                D = description. Descriptions like "12.3" are split into Frame 12, Pole 3. A column whose numbers
+                all look like "1,234" could use either decimal separator: choose it here if Review shows them as text.
+              </div>
+            </div>
+          )}
+
+          <div className="survey-slot">
+            <div className="survey-head">
+              <div>
+                <div className="survey-title">Existing ground survey (optional)</div>
+                <div className="survey-subtitle">
+                  XYZ point file ({SURFACE_EXTENSIONS.filter((e) => !e.includes("xml")).join(", ")}) or LandXML TIN
+                  surface. Terrain Z is sampled from it at every pile instead of the BOM Z column.
+                </div>
+              </div>
+              <button className="btn btn-ghost" onClick={() => surveyInputRef.current?.click()}>
+                {surveyFile ? "Replace" : "Choose file"}
+              </button>
+              <input
+                ref={surveyInputRef}
+                type="file"
+                accept={SURFACE_EXTENSIONS.join(",")}
+                className="hidden-input"
+                onChange={(e) => validateAndSetSurvey(e.target.files?.[0])}
+              />
+            </div>
+
+            {surveyFile && (
+              <div className="filecard">
+                <div className="filecard-left">
+                  <div className="filechip">{fileKind(surveyFile.name)}</div>
+                  <div className="filemeta">
+                    <div className="filename">{surveyFile.name}</div>
+                    <div className="filesub">{(surveyFile.size / 1024 / 1024).toFixed(2)} MB</div>
+                  </div>
+                </div>
+
+                {!/\.(xml|landxml)$/i.test(surveyFile.name) && (
+                  <select
+                    className="textopt-select"
+                    value={surveyLayout}
+                    onChange={(e) => setSurveyLayout(e.target.value)}
+                  >
+                    {LAYOUT_OPTIONS.map((o) => (
+                      <option key={o.value} value={o.value}>
+                        {o.value === "table" ? "X, Y, Z columns" : o.label}
+                      </option>
+                    ))}
+                  </select>
+                )}
+
+                <button className="btn btn-ghost" onClick={clearSurvey}>
+                  Remove
+                </button>
+              </div>
+            )}
+          </div>
+
           <div className="card-actions">
             <button
               className={`btn btn-primary ${canContinue ? "" : "is-disabled"}`}
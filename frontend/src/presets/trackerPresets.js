@@ -0,0 +1,174 @@
+// trackerPresets.js
+// Purpose: Manufacturer / tracker product presets for the Parameters page, plus team-saved custom presets.
+// Name: trackerPresets.js
+// Date created: 2026-10-19
+// Method: Built-in presets are a static list of products with no values: they set the manufacturer and tracker
+//         type, and the limits are typed in from the manufacturer's design guide for the project. Those values
+//         are then saved as a custom preset that records the guide and revision they came from (source). Custom
+//         presets live in localStorage (pcl_custom_presets) and can be exported/imported as a JSON file
+//         ({ format, version, presets }).
+// Data dictionary:
+// - Preset: { id, manufacturer, product, trackerType ("flat" | "xtr"), source (design guide + revision; null for
+//             built-in products), values: { maxIncline (%), minPileReveal (mm), maxPileReveal (mm),
+//             installationTolerance (mm), maxSegmentSlopeChange (%), maxCumulativeSlopeChange (%) } }
+// - Outputs:
+//   - BUILT_IN_PRESETS, MANUFACTURERS, PRESET_FIELDS
+//   - loadCustomPresets / saveCustomPresets, findPreset, findPresetByName, mergePresets, presetHasValues
+//   - makeCustomPreset, presetsToJSON, parsePresetFile ({ presets, skipped: [message] })
+
+export const PRESET_FIELDS = [
+  "maxIncline",
+  "minPileReveal",
+  "maxPileReveal",
+  "installationTolerance",
+  "maxSegmentSlopeChange",
+  "maxCumulativeSlopeChange",
+];
+
+export const MANUFACTURERS = [
+  { value: "nextracker", label: "Nextracker" },
+  { value: "pvh", label: "PVH" },
+  { value: "gamechange", label: "GameChange" },
+  { value: "ati", label: "ATI" },
+];
+
+// Products only: no values are bundled, because the tool has no sourced design-guide figures to ship. Choosing one
+// sets the manufacturer and tracker type; the limits come from the project's design guide.
+// Open: auto-filling built-ins still needs each product's design guide (title and revision) from the requester.
+// When one arrives, fill that product's values here and set `source` to the guide and revision it came from.
+const product = (manufacturer, slug, name, trackerType) => ({
+  id: `${manufacturer}/${slug}`,
+  manufacturer,
+  product: name,
+  trackerType,
+  source: null,
+  values: Object.fromEntries(PRESET_FIELDS.map((f) => [f, ""])),
+});
+
+export const BUILT_IN_PRESETS = [
+  product("nextracker", "nx-horizon", "NX Horizon", "flat"),
+  product("nextracker", "nx-horizon-xtr", "NX Horizon-XTR", "xtr"),
+  product("pvh", "axone-duo", "AxoneDuo", "flat"),
+  product("gamechange", "genius", "Genius Tracker", "flat"),
+  product("ati", "duratrack-hz", "DuraTrack HZ v3", "flat"),
+];
+
+const CUSTOM_KEY = "pcl_custom_presets";
+const FILE_FORMAT = "pcl-tracker-presets";
+const FILE_VERSION = 1;
+
+export function loadCustomPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_KEY) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCustomPresets(presets) {
+  try {
+    localStorage.setItem(CUSTOM_KEY, JSON.stringify(presets));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Unique per preset, so presets whose names only differ in case or punctuation never share an id
+const newCustomId = () => `custom/${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const nameKey = (name) => `${name ?? ""}`.trim().toLowerCase();
+
+export function findPreset(id, customPresets = []) {
+  if (!id) return null;
+  return BUILT_IN_PRESETS.find((p) => p.id === id) || customPresets.find((p) => p.id === id) || null;
+}
+
+export function presetHasValues(preset) {
+  return !!preset && PRESET_FIELDS.some((f) => String(preset.values?.[f] ?? "") !== "");
+}
+
+/**
+ * Builds a custom preset from the current form values (source: the design guide and revision they came from).
+ */
+export function makeCustomPreset(name, manufacturer, trackerType, values, source = "") {
+  return {
+    id: newCustomId(),
+    manufacturer: manufacturer || "custom",
+    product: String(name).trim(),
+    trackerType: trackerType === "xtr" ? "xtr" : "flat",
+    source: String(source ?? "").trim(),
+    custom: true,
+    values: Object.fromEntries(PRESET_FIELDS.map((f) => [f, String(values[f] ?? "")])),
+  };
+}
+
+/**
+ * Custom preset with the same name (ignoring case and surrounding spaces), if any.
+ */
+export function findPresetByName(presets, name) {
+  const key = nameKey(name);
+  return presets.find((p) => nameKey(p.product) === key) || null;
+}
+
+/**
+ * Adds presets to a list. One with the same name as an existing preset replaces it in place and keeps its id;
+ * `replaced` lists the names that were overwritten.
+ */
+export function mergePresets(existing, incoming) {
+  const presets = [...existing];
+  const replaced = [];
+  for (const preset of incoming) {
+    const i = presets.findIndex((p) => nameKey(p.product) === nameKey(preset.product));
+    if (i < 0) {
+      presets.push(preset);
+      continue;
+    }
+    if (!replaced.includes(presets[i].product)) replaced.push(presets[i].product);
+    presets[i] = { ...preset, id: presets[i].id };
+  }
+  return { presets, replaced };
+}
+
+export function presetsToJSON(presets) {
+  return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, presets }, null, 2);
+}
+
+/**
+ * Parses an exported presets file. Throws with a readable message if the file is not a presets export.
+ * Entries without a name or a values object are skipped and listed in `skipped` ("Preset 3: no values").
+ * Imported presets are always treated as custom.
+ */
+export function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Preset file is not valid JSON.");
+  }
+
+  const list = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(list) || (data?.format && data.format !== FILE_FORMAT)) {
+    throw new Error("File does not contain tracker presets.");
+  }
+
+  const presets = [];
+  const skipped = [];
+  list.forEach((p, i) => {
+    const name = p && typeof p === "object" && p.product ? `"${p.product}"` : `Preset ${i + 1}`;
+    if (!p || typeof p !== "object" || !p.product) {
+      skipped.push(`${name}: no name`);
+    } else if (!p.values || typeof p.values !== "object" || Array.isArray(p.values)) {
+      skipped.push(`${name}: no values`);
+    } else {
+      presets.push(makeCustomPreset(p.product, p.manufacturer, p.trackerType, p.values, p.source));
+    }
+  });
+
+  if (!presets.length) {
+    const reasons = skipped.length ? ` (${skipped.join("; ")})` : "";
+    throw new Error(`No valid presets found in file${reasons}.`);
+  }
+  return { presets, skipped };
+}
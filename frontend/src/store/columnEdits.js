@@ -0,0 +1,181 @@
+// columnEdits.js
+// Purpose: Corrections to the copied BOM rows kept as a change log on top of the original columns.
+// Name: columnEdits.js
+// Date created: 2026-10-19
+// Method: The copied columns are never changed in place. Each correction is an entry in project.edits: a cell
+//         value change or the deletion of rows, both addressed by the row's index in the original copied
+//         columns. applyEdits replays the log over a copy of the columns and drops deleted rows; the result is
+//         cached per (columns, edits) pair, so every page that reads editedColumns(project) gets the same
+//         corrected columns and the analysis runs on the corrected data. Undo / redo move entries between the
+//         log and a redo stack held by the Review page. Re-mapping the BOM starts a new, empty log.
+// Data dictionary:
+// - Inputs:
+//   - columns: { frame, pole, x, y, z, sheetRow, invalidText } copied columns (plain arrays or stored Float64Array;
+//              invalidText keeps the text of stored non-numeric cells, store/projectStore.js packColumns)
+//   - edits: [{ id, at, type: "set" | "delete", rows: [original row index], field, from, to, labels }]
+// - Outputs:
+//   - applyEdits / editedColumns: corrected columns + source (original row index of each remaining row), with
+//     invalidText following the edits and deletions
+//   - cellEdit / deleteEdit: new log entries; rowLabel: Frame.Pole of a row
+//   - changeLogCsv / columnsCsv: CSV text of the change log and of the corrected rows
+
+import { toIdPiece, toNum } from "../analysis/common";
+import { columnCellText, columnRowCount } from "./projectStore";
+
+export const EDIT_FIELDS = ["frame", "pole", "x", "y", "z"];
+export const FIELD_NAMES = { frame: "Frame", pole: "Pole", x: "X", y: "Y", z: "Z" };
+const NUMERIC_FIELDS = new Set(["x", "y", "z"]);
+
+const cache = new WeakMap();
+
+function identity(n) {
+  return Int32Array.from({ length: n }, (_, i) => i);
+}
+
+// Typed numeric columns hold NaN for anything that is not a number; plain arrays keep the typed-in value
+function cellValue(column, field, raw) {
+  if (NUMERIC_FIELDS.has(field)) {
+    const n = toNum(raw);
+    if (!Array.isArray(column)) return n ?? NaN;
+    return n ?? String(raw ?? "").trim();
+  }
+  const s = String(raw ?? "").trim();
+  const n = Number(s);
+  return s !== "" && Number.isFinite(n) ? n : s;
+}
+
+/**
+ * Columns with the change log replayed: values changed, deleted rows removed.
+ */
+export function applyEdits(columns, edits) {
+  if (!columns) return null;
+  const log = edits || [];
+  const byEdits = cache.get(columns);
+  if (byEdits?.has(log)) return byEdits.get(log);
+
+  const n = columnRowCount(columns);
+  const out = {};
+  for (const f of EDIT_FIELDS) out[f] = columns[f].slice(0, n);
+  const sheetRow = columns.sheetRow ? columns.sheetRow.slice(0, n) : null;
+
+  const invalidText = {};
+  for (const f of NUMERIC_FIELDS) invalidText[f] = { ...columns.invalidText?.[f] };
+
+  const deleted = new Uint8Array(n);
+  for (const e of log) {
+    if (e.type === "set") {
+      const text = String(e.to ?? "").trim();
+      for (const r of e.rows) {
+        if (r >= n) continue;
+        out[e.field][r] = cellValue(out[e.field], e.field, e.to);
+        if (!NUMERIC_FIELDS.has(e.field)) continue;
+        if (text && toNum(e.to) === null) invalidText[e.field][r] = text;
+        else delete invalidText[e.field][r];
+      }
+    } else if (e.type === "delete") {
+      for (const r of e.rows) if (r < n) deleted[r] = 1;
+    }
+  }
+
+  let result;
+  if (!deleted.includes(1)) {
+    result = { ...out, sheetRow, invalidText, source: identity(n) };
+  } else {
+    const kept = [];
+    for (let i = 0; i < n; i++) if (!deleted[i]) kept.push(i);
+    const pick = (col) => (Array.isArray(col) ? kept.map((i) => col[i]) : col.constructor.from(kept, (i) => col[i]));
+    const pickText = (texts) => {
+      const moved = {};
+      kept.forEach((src, i) => {
+        if (texts[src] !== undefined) moved[i] = texts[src];
+      });
+      return moved;
+    };
+    result = { sheetRow: sheetRow ? pick(sheetRow) : null, invalidText: {}, source: Int32Array.from(kept) };
+    for (const f of EDIT_FIELDS) result[f] = pick(out[f]);
+    for (const f of NUMERIC_FIELDS) result.invalidText[f] = pickText(invalidText[f]);
+  }
+
+  const map = byEdits || new WeakMap();
+  map.set(log, result);
+  if (!byEdits) cache.set(columns, map);
+  return result;
+}
+
+/**
+ * The project's copied columns with its change log applied (what the analysis uses).
+ */
+export function editedColumns(project) {
+  return applyEdits(project?.columns || null, project?.edits);
+}
+
+const newEditId = () => `e-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Frame.Pole label of a row of (corrected) columns, for the log.
+ */
+export function rowLabel(columns, i) {
+  const f = toIdPiece(columns.frame[i]);
+  const p = toIdPiece(columns.pole[i]);
+  return f || p ? `${f}.${p}` : "";
+}
+
+/**
+ * Log entry for a changed cell (row = original copied row index).
+ */
+export function cellEdit(row, field, from, to, label) {
+  return { id: newEditId(), at: new Date().toISOString(), type: "set", rows: [row], field, from, to, labels: [label] };
+}
+
+/**
+ * Log entry for deleting rows: [{ row (original copied row index), label }].
+ */
+export function deleteEdit(items) {
+  const sorted = [...items].sort((a, b) => a.row - b.row);
+  return {
+    id: newEditId(),
+    at: new Date().toISOString(),
+    type: "delete",
+    rows: sorted.map((it) => it.row),
+    labels: sorted.map((it) => it.label),
+  };
+}
+
+const csvCell = (v) => {
+  const s = typeof v === "number" && Number.isNaN(v) ? "" : String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const toCsv = (lines) => lines.map((cells) => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * One CSV line per changed cell or deleted row, oldest first.
+ */
+export function changeLogCsv(edits, columns) {
+  const rowName = (r) => (columns?.sheetRow ? columns.sheetRow[r] : r + 1);
+  const lines = [
+    ["Change", "Time", "Action", columns?.sheetRow ? "Sheet row" : "Copied row", "Frame.Pole", "Field", "From", "To"],
+  ];
+  edits.forEach((e, k) => {
+    e.rows.forEach((r, j) => {
+      if (e.type === "set") {
+        lines.push([k + 1, e.at, "Changed", rowName(r), e.labels[j], FIELD_NAMES[e.field], e.from, e.to]);
+      } else {
+        lines.push([k + 1, e.at, "Deleted", rowName(r), e.labels[j], "", "", ""]);
+      }
+    });
+  });
+  return toCsv(lines);
+}
+
+/**
+ * The corrected rows as CSV (Frame, Pole, X, Y, Z and the sheet row they came from).
+ */
+export function columnsCsv(columns) {
+  const n = columnRowCount(columns);
+  const lines = [["Frame", "Pole", "X", "Y", "Z", "Sheet row"]];
+  for (let i = 0; i < n; i++) {
+    lines.push([...EDIT_FIELDS.map((f) => columnCellText(columns, f, i)), columns.sheetRow ? columns.sheetRow[i] : ""]);
+  }
+  return toCsv(lines);
+}
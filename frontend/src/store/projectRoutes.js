@@ -0,0 +1,35 @@
+// projectRoutes.js
+// Purpose: URLs for the project-scoped pages, so a refreshed or shared link reopens the same project and frame.
+// Name: projectRoutes.js
+// Date created: 2026-10-19
+// Method: Analysis pages live under /project/:projectId/… and rebuild everything from the project record in
+//         IndexedDB (useProject({ projectId })). Without a project id the older un-keyed routes are returned;
+//         those still open the current project.
+// Data dictionary:
+// - Inputs: projectId (project store id), frameId, frameIds (array of frame ids for Compare)
+// - Outputs: route paths for Parameters, Run Analysis, FramePage, Compare and Earthworks
+
+const enc = encodeURIComponent;
+
+const projectBase = (projectId) => `/project/${enc(projectId)}`;
+
+export function parametersPath(projectId) {
+  return projectId ? `${projectBase(projectId)}/parameters` : "/parameters";
+}
+
+export function analysisPath(projectId) {
+  return projectId ? `${projectBase(projectId)}/analysis` : "/run-analysis";
+}
+
+export function framePath(projectId, frameId) {
+  return projectId ? `${projectBase(projectId)}/frame/${enc(frameId)}` : `/frame/${enc(frameId)}`;
+}
+
+export function comparePath(projectId, frameIds) {
+  const query = `?frames=${frameIds.map(enc).join(",")}`;
+  return projectId ? `${projectBase(projectId)}/compare${query}` : `/compare${query}`;
+}
+
+export function earthworksPath(projectId) {
+  return projectId ? `${projectBase(projectId)}/earthworks` : "/earthworks";
+}
@@ -0,0 +1,417 @@
+// projectStore.js
+// Purpose: IndexedDB persistence for projects (BOM file, copied columns, mapping, parameters, analysis results).
+// Name: projectStore.js
+// Date created: 2026-10-19
+// Method: A "projects" object store keyed by project id holds each project's small fields; the large ones (BOM
+//         Blob, copied columns, batch results, survey surface) live in "projectData", one entry per field keyed by
+//         [project id, field], so a small update (lastStep, one what-if tube) rewrites only the small record and
+//         the large fields it patches. "projectSummaries" keeps the few fields the home dashboard lists, written
+//         with every record, so listing projects never reads a full record. A "meta" store remembers the current
+//         project. X/Y/Z columns are stored as Float64Array (NaN = non-numeric cell, its text kept in invalidText),
+//         Frame/Pole as plain arrays, the original BOM as a Blob. Projects saved by earlier versions of the
+//         database are split and summarised on upgrade. Data saved by older versions in localStorage
+//         (pcl_columns_*, pcl_config, pcl_mapping_letters, pcl_parameters) is moved into a project the first time
+//         the store is opened.
+// Data dictionary:
+// - Project: { id, name, fileName, fileSize, uploadedAt, createdAt, updatedAt, bomFile (Blob), sheetName,
+//              trackerType, mapping: { frame, pole, x, y, z } (column letters), dataStartIndex,
+//              columns: { frame, pole, x, y, z, sheetRow (1-based sheet row of each copied row) | null,
+//                         invalidText: { x, y, z: { [row]: original text of a non-numeric cell } } },
+//              edits (Review change log over the copied columns, store/columnEdits.js), params (Parameters payload),
+//              results: { results, errors, volumes, ranAt } | null,
+//              importOptions (CSV / TXT delimiter, layout, decimal) | null,
+//              surface (existing-ground survey TIN, import/surface.js) | null, zSource ("bom" | "survey"),
+//              archived, lastStep ("review" | "parameters" | "run-analysis"),
+//              rowCount, analysis: { ranAt, frames, pass, grade, fail } | null, surfaceName (derived when the
+//              columns, results or surface are written) }
+// - projectData: [id, "bomFile" | "columns" | "results" | "surface"] -> value (absent = null)
+// - ProjectSummary: { id, name, fileName, trackerType, surfaceName, archived, rowCount, analysis, lastStep,
+//                     createdAt, updatedAt }
+// - Outputs: async CRUD helpers (createProject, getProject, updateProject, duplicateProject, listProjects,
+//            deleteProject, getCurrentProjectId, setCurrentProjectId, loadCurrentProject) and column helpers
+
+const DB_NAME = "pcl-earthworks";
+const DB_VERSION = 3;
+const PROJECTS = "projects";
+const PROJECT_DATA = "projectData";
+const SUMMARIES = "projectSummaries";
+const META = "meta";
+
+// Large fields kept out of the project record (one projectData entry each)
+const HEAVY_FIELDS = ["bomFile", "columns", "results", "surface"];
+
+let dbPromise = null;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(PROJECTS)) db.createObjectStore(PROJECTS, { keyPath: "id" });
+        if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+        if (!db.objectStoreNames.contains(PROJECT_DATA)) db.createObjectStore(PROJECT_DATA);
+        if (!db.objectStoreNames.contains(SUMMARIES)) db.createObjectStore(SUMMARIES, { keyPath: "id" });
+        if (e.oldVersion >= 1) upgradeStoredProjects(req.transaction, e.oldVersion);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).then(async (db) => {
+      // Another tab opening a newer version: let its upgrade run and reopen on the next call
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      await migrateLegacyStorage(db);
+      return db;
+    });
+  }
+  return dbPromise;
+}
+
+async function tx(storeName, mode, fn) {
+  const db = await openDB();
+  return txOn(db, storeName, mode, fn);
+}
+
+// storeName may be a list; fn then gets one object store per name, in order
+function txOn(db, storeName, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(storeName, mode);
+    const stores = [].concat(storeName).map((name) => t.objectStore(name));
+    let result;
+    Promise.resolve(fn(...stores))
+      .then((r) => {
+        result = r;
+      })
+      .catch(reject);
+    t.oncomplete = () => resolve(result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error || new Error("Storage transaction aborted."));
+  });
+}
+
+function newId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Float64Array of the values (NaN = not a number) and the original text of non-blank cells that are not numbers
+function toFloatColumn(values, keptText = null) {
+  const out = new Float64Array(values?.length || 0);
+  const invalid = {};
+  for (let i = 0; i < out.length; i++) {
+    const v = values[i];
+    const n = typeof v === "number" ? v : String(v ?? "").trim() === "" ? NaN : Number(v);
+    out[i] = Number.isFinite(n) ? n : NaN;
+    if (Number.isFinite(out[i])) continue;
+    const text = typeof v === "number" ? keptText?.[i] : String(v ?? "").trim();
+    if (text) invalid[i] = text;
+  }
+  return { column: out, invalid };
+}
+
+/**
+ * Normalises copied columns for storage: numeric columns become Float64Array, and the text of cells that are not
+ * numbers is kept in invalidText ({ x: { [row]: text }, y, z }) so messages can still quote it after a reload.
+ */
+export function packColumns({ frame = [], pole = [], x = [], y = [], z = [], sheetRow = null, invalidText = null }) {
+  const packed = {
+    x: toFloatColumn(x, invalidText?.x),
+    y: toFloatColumn(y, invalidText?.y),
+    z: toFloatColumn(z, invalidText?.z),
+  };
+  return {
+    frame: Array.from(frame),
+    pole: Array.from(pole),
+    x: packed.x.column,
+    y: packed.y.column,
+    z: packed.z.column,
+    sheetRow: sheetRow ? Int32Array.from(sheetRow) : null,
+    invalidText: { x: packed.x.invalid, y: packed.y.invalid, z: packed.z.invalid },
+  };
+}
+
+/**
+ * Display helper for a stored numeric cell (NaN shows as blank).
+ */
+export function cellText(v) {
+  if (typeof v === "number" && Number.isNaN(v)) return "";
+  return String(v ?? "");
+}
+
+/**
+ * Text of a copied cell: the original text of a stored non-numeric cell, otherwise cellText of its value.
+ */
+export function columnCellText(columns, field, i) {
+  return columns.invalidText?.[field]?.[i] ?? cellText(columns[field][i]);
+}
+
+export function columnRowCount(columns) {
+  if (!columns) return 0;
+  const { frame, pole, x, y, z } = columns;
+  return Math.min(frame?.length || Infinity, pole?.length || 0, x?.length || 0, y?.length || 0, z?.length || 0);
+}
+
+// ---------- projects ----------
+
+// Small summary of the last batch run, kept beside the full results so the project list stays cheap
+function analysisSummary(results) {
+  if (!results?.results) return null;
+  const out = { ranAt: results.ranAt || null, frames: 0, pass: 0, grade: 0, fail: results.errors?.length || 0 };
+  for (const r of results.results) {
+    if (r.status === "grade") out.grade++;
+    else out.pass++;
+  }
+  out.frames = out.pass + out.grade + out.fail;
+  return out;
+}
+
+// Summary fields derived from whichever large fields are being written
+function derived(data) {
+  const out = {};
+  if ("columns" in data) out.rowCount = columnRowCount(data.columns);
+  if ("results" in data) out.analysis = analysisSummary(data.results);
+  if ("surface" in data) out.surfaceName = data.surface?.fileName || "";
+  return out;
+}
+
+// Project (or patch) -> small record fields + large fields present in it
+function splitProject(project) {
+  const record = { ...project };
+  const data = {};
+  for (const field of HEAVY_FIELDS) {
+    if (!(field in record)) continue;
+    data[field] = record[field] ?? null;
+    delete record[field];
+  }
+  return { record: { ...record, ...derived(data) }, data };
+}
+
+function putData(dataStore, id, data) {
+  return Promise.all(
+    Object.entries(data).map(([field, value]) =>
+      request(value === null ? dataStore.delete([id, field]) : dataStore.put(value, [id, field]))
+    )
+  );
+}
+
+async function readProject(projectStore, dataStore, id) {
+  const record = await request(projectStore.get(id));
+  if (!record) return null;
+  const values = await Promise.all(HEAVY_FIELDS.map((field) => request(dataStore.get([id, field]))));
+  const project = { ...record };
+  HEAVY_FIELDS.forEach((field, i) => {
+    project[field] = values[i] ?? null;
+  });
+  return project;
+}
+
+// Home dashboard fields of a project record
+function summaryOf(record) {
+  return {
+    id: record.id,
+    name: record.name || "",
+    fileName: record.fileName || "",
+    trackerType: record.params?.trackerType || record.trackerType || "flat",
+    surfaceName: record.surfaceName || "",
+    archived: !!record.archived,
+    rowCount: record.rowCount || 0,
+    analysis: record.analysis || null,
+    lastStep: record.lastStep || "review",
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+  };
+}
+
+// Upgrade from an older database: version 1 kept the large fields in the record (moved to projectData) and
+// versions 1 and 2 had no summaries
+function upgradeStoredProjects(t, oldVersion) {
+  const dataStore = t.objectStore(PROJECT_DATA);
+  const summaryStore = t.objectStore(SUMMARIES);
+  t.objectStore(PROJECTS).openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    let record = cursor.value;
+    if (oldVersion < 2) {
+      const split = splitProject({ ...Object.fromEntries(HEAVY_FIELDS.map((f) => [f, null])), ...record });
+      for (const [field, value] of Object.entries(split.data)) {
+        if (value !== null) dataStore.put(value, [record.id, field]);
+      }
+      record = split.record;
+      cursor.update(record);
+    }
+    summaryStore.put(summaryOf(record));
+    cursor.continue();
+  };
+}
+
+async function putProject(db, project) {
+  const { record, data } = splitProject(project);
+  await txOn(db, [PROJECTS, PROJECT_DATA, SUMMARIES], "readwrite", (projectStore, dataStore, summaryStore) =>
+    Promise.all([
+      request(projectStore.put(record)),
+      putData(dataStore, record.id, data),
+      request(summaryStore.put(summaryOf(record))),
+    ])
+  );
+}
+
+export async function createProject(fields = {}) {
+  const now = new Date().toISOString();
+  const project = {
+    id: newId(),
+    name: fields.fileName || "",
+    fileName: "",
+    sheetName: "",
+    trackerType: "flat",
+    mapping: null,
+    dataStartIndex: null,
+    bomFile: null,
+    columns: null,
+    params: null,
+    results: null,
+    surface: null,
+    archived: false,
+    lastStep: "review",
+    createdAt: now,
+    ...fields,
+    updatedAt: now,
+  };
+  await putProject(await openDB(), project);
+  return { ...project, ...splitProject(project).record };
+}
+
+export async function getProject(id) {
+  if (!id) return null;
+  return tx([PROJECTS, PROJECT_DATA], "readonly", (projectStore, dataStore) =>
+    readProject(projectStore, dataStore, id)
+  );
+}
+
+/**
+ * Merges `patch` into the stored project. Only the small record and the large fields named in the patch are
+ * written; the returned object holds the saved record plus those large fields (merge it into the loaded project).
+ */
+export async function updateProject(id, patch) {
+  const stores = [PROJECTS, PROJECT_DATA, SUMMARIES];
+  return tx(stores, "readwrite", async (projectStore, dataStore, summaryStore) => {
+    const current = await request(projectStore.get(id));
+    if (!current) throw new Error("Project not found.");
+    const { record, data } = splitProject(patch);
+    const next = { ...current, ...record, id, updatedAt: new Date().toISOString() };
+    await request(projectStore.put(next));
+    await request(summaryStore.put(summaryOf(next)));
+    await putData(dataStore, id, data);
+    return { ...next, ...data };
+  });
+}
+
+/**
+ * Copies a project (BOM, columns, parameters and results) under a new id.
+ */
+export async function duplicateProject(id) {
+  const source = await getProject(id);
+  if (!source) throw new Error("Project not found.");
+  const { id: _id, createdAt: _createdAt, updatedAt: _updatedAt, ...fields } = source;
+  return createProject({ ...fields, name: `${source.name || source.fileName || "Project"} (copy)`, archived: false });
+}
+
+/**
+ * Lists every project's summary (ProjectSummary, not the full record), newest first.
+ */
+export async function listProjects() {
+  const all = await tx(SUMMARIES, "readonly", (store) => request(store.getAll()));
+  return all.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export async function deleteProject(id) {
+  await tx([PROJECTS, PROJECT_DATA, SUMMARIES], "readwrite", (projectStore, dataStore, summaryStore) =>
+    Promise.all([
+      request(projectStore.delete(id)),
+      request(summaryStore.delete(id)),
+      ...HEAVY_FIELDS.map((field) => request(dataStore.delete([id, field]))),
+    ])
+  );
+  if ((await getCurrentProjectId()) === id) await setCurrentProjectId(null);
+}
+
+// ---------- current project ----------
+
+export async function getCurrentProjectId() {
+  return (await tx(META, "readonly", (store) => request(store.get("currentProjectId")))) || null;
+}
+
+export async function setCurrentProjectId(id) {
+  await tx(META, "readwrite", (store) => request(store.put(id, "currentProjectId")));
+}
+
+export async function loadCurrentProject() {
+  return getProject(await getCurrentProjectId());
+}
+
+// ---------- migration from localStorage ----------
+
+const LEGACY_KEYS = [
+  "pcl_columns_frame",
+  "pcl_columns_pole",
+  "pcl_columns_x",
+  "pcl_columns_y",
+  "pcl_columns_z",
+  "pcl_config",
+  "pcl_mapping_letters",
+  "pcl_parameters",
+  "pcl_data_start_index",
+];
+
+async function migrateLegacyStorage(db) {
+  let legacy;
+  try {
+    const read = (key, fallback) => JSON.parse(localStorage.getItem(key) || "null") ?? fallback;
+    legacy = {
+      frame: read("pcl_columns_frame", []),
+      pole: read("pcl_columns_pole", []),
+      x: read("pcl_columns_x", []),
+      y: read("pcl_columns_y", []),
+      z: read("pcl_columns_z", []),
+      cfg: read("pcl_config", {}),
+      mapping: read("pcl_mapping_letters", null),
+      params: read("pcl_parameters", null),
+      startIndex: read("pcl_data_start_index", null),
+    };
+  } catch {
+    return;
+  }
+
+  if (!legacy.pole.length || !legacy.x.length) return;
+
+  const now = new Date().toISOString();
+  const project = {
+    id: newId(),
+    name: legacy.cfg.fileName || "",
+    fileName: legacy.cfg.fileName || "",
+    sheetName: legacy.cfg.sheetName || "",
+    trackerType: legacy.params?.trackerType || legacy.cfg.trackerType || "flat",
+    mapping: legacy.mapping,
+    dataStartIndex: Number.isFinite(Number(legacy.startIndex)) ? Number(legacy.startIndex) : null,
+    columns: packColumns(legacy),
+    params: legacy.params,
+    results: null,
+    archived: false,
+    lastStep: legacy.params ? "run-analysis" : "review",
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await putProject(db, project);
+  await txOn(db, META, "readwrite", (store) => request(store.put(project.id, "currentProjectId")));
+
+  for (const key of LEGACY_KEYS) localStorage.removeItem(key);
+}
@@ -0,0 +1,66 @@
+// useProject.js
+// Purpose: React hook that loads the current project from the IndexedDB store and saves changes back.
+// Name: useProject.js
+// Date created: 2026-10-19
+// Method: Loads once on mount (async, so pages render a loading state first). `update(patch)` writes to the store
+//         and merges the saved fields into the in-memory copy (the store only returns the large fields it wrote).
+//         Pages that are a workflow step pass `step` so the home dashboard can resume the project there. Pages opened from a project-keyed URL pass
+//         `projectId`: that project is loaded (and becomes the current one) instead of the current project.
+// Data dictionary:
+// - Input: options { step ("review" | "parameters" | "run-analysis"), projectId (route param, optional) }
+// - Output: { project, status ("loading" | "ready" | "missing" | "error"), error, update }
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getProject, loadCurrentProject, setCurrentProjectId, updateProject } from "./projectStore";
+
+// Project named in the URL (made current so the other workflow pages follow it), or the current project
+async function loadProject(projectId) {
+  if (!projectId) return loadCurrentProject();
+  const p = await getProject(projectId);
+  if (!p) throw new Error(`Project "${projectId}" was not found in this browser's project storage.`);
+  await setCurrentProjectId(p.id);
+  return p;
+}
+
+// Workflow step the project was last opened at (merged over the loaded project)
+async function markStep(project, step) {
+  return { ...project, ...(await updateProject(project.id, { lastStep: step })) };
+}
+
+export function useProject({ step, projectId } = {}) {
+  const [project, setProject] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState("");
+  const idRef = useRef(null);
+
+  useEffect(() => {
+    let alive = true;
+
+    loadProject(projectId)
+      .then((p) => (p && step && p.lastStep !== step ? markStep(p, step) : p))
+      .then((p) => {
+        if (!alive) return;
+        idRef.current = p?.id || null;
+        setProject(p);
+        setStatus(p ? "ready" : "missing");
+      })
+      .catch((e) => {
+        if (!alive) return;
+        setError(e?.message || "Failed to open project storage.");
+        setStatus("error");
+      });
+
+    return () => {
+      alive = false;
+    };
+  }, [step, projectId]);
+
+  const update = useCallback(async (patch) => {
+    if (!idRef.current) throw new Error("No project loaded.");
+    const saved = await updateProject(idRef.current, patch);
+    setProject((prev) => ({ ...prev, ...saved }));
+    return saved;
+  }, []);
+
+  return { project, status, error, update };
+}